@@ -0,0 +1,8082 @@
+/**
+ * GyroCam — Visual Horizon Stabilizer
+ *
+ * Reads device orientation and counter-rotates the camera preview to keep
+ * the horizon visually level inside a circular viewport.
+ *
+ * Sensor strategy (several APIs for maximum compatibility):
+ *   1. Generic Sensor API (AbsoluteOrientationSensor) — Android Chrome 67+
+ *      Provides quaternion orientation directly.
+ *      More reliable and properly permission-gated on Android.
+ *      RelativeOrientationSensor, then raw Gyroscope + Accelerometer fused
+ *      in-app, follow for devices without a (usable) magnetometer.
+ *   2. DeviceOrientationEvent — iOS Safari 13+ fallback
+ *      alpha/beta/gamma are rebuilt into a quaternion. Requires
+ *      requestPermission() on iOS. devicemotion rates and gravity, fused
+ *      in-app, are the last resort.
+ *   3. Trace replay — desktop / no-gyro fallback
+ *      Plays back a recorded JSON trace of timestamped samples at original
+ *      timing, so stabilization bugs can be reproduced deterministically.
+ *
+ * Key concepts:
+ *   - Every strategy feeds one orientation model (a quaternion)
+ *   - roll: rotation of the screen around its own normal, measured from the
+ *     gravity vector projected onto the screen plane (−180 to 180, no wrap
+ *     at ±45° and no gimbal flips)
+ *   - Screen orientation: roll is measured against the device's natural
+ *     (portrait) axis, then shifted by screen.orientation.angle so the
+ *     correction matches whatever way the UI is currently drawn
+ *   - Rotation inversion: device tilts +N° → rotate video −N° to compensate
+ *   - A selectable filter (EMA, One-Euro, Kalman, complementary) smooths
+ *     each timestamped sample, independent of frame rate
+ *   - requestAnimationFrame drives visual updates (never inside sensor callbacks)
+ *
+ * Embedding (ES module):
+ *
+ *   import { createGyroCam } from './gyrocam.js';
+ *
+ *   const cam = createGyroCam(document.querySelector('#my-container'));
+ *   cam.on('tilt', ({ roll }) => console.log(roll));
+ *   button.onclick = () => cam.start(); // permissions need a user gesture
+ *
+ * The instance renders its UI into the container (unless the container
+ * already holds GyroCam markup) and only touches elements inside it.
+ * Element IDs come from style.css, so only one instance can run per page:
+ * createGyroCam throws until the previous one has been destroyed.
+ */
+
+import { createMp4Muxer, createWebmMuxer, readMuxedFile, readSample } from './muxer.js';
+import { ANALYSIS_WIDTH as HORIZON_ANALYSIS_WIDTH } from './horizon.js';
+import { openLibrary } from './library.js';
+import { createZipWriter } from './zip.js';
+
+/** Default UI, rendered into containers that don't supply their own. */
+const TEMPLATE = `
+  <div id="viewport-wrapper">
+    <div id="viewport">
+      <video id="camera" autoplay playsinline muted></video>
+      <canvas id="preview-canvas"></canvas>
+      <canvas id="hud-canvas"></canvas>
+      <div id="horizon-line"></div>
+      <div id="tilt-readout">
+        <span id="tilt-value">0.0°</span>
+      </div>
+    </div>
+    <div id="bubble-level">
+      <div class="indicatorDot"></div>
+    </div>
+    <div id="record-countdown" class="hidden"></div>
+  </div>
+
+  <div id="status-panel">
+    <div id="status-badge">WAITING</div>
+    <div id="lifecycle-status" class="hidden">
+      <span id="lifecycle-message"></span>
+      <button id="btn-lifecycle-retry" class="btn btn-tertiary hidden">Retry</button>
+    </div>
+    <div id="record-indicator" class="hidden">
+      <span class="rec-dot"></span>
+      <span id="record-timer">00:00</span>
+      <span id="record-status"></span>
+    </div>
+    <div id="audio-meter" class="hidden" title="Microphone input level">
+      <div id="audio-meter-fill"></div>
+    </div>
+    <div id="debug-panel" class="hidden">
+      <canvas id="diag-graph"></canvas>
+      <div id="diag-stats">
+        <span id="fps-display">FPS: --</span>
+        <span id="diag-frame">Frame: --</span>
+        <span id="diag-rate">Sensor: --</span>
+        <span id="diag-latency">Latency: --</span>
+        <span id="diag-noise">Noise: --</span>
+        <span id="vision-info">Vision: --</span>
+        <span id="diag-source">Source: --</span>
+      </div>
+      <button id="btn-diag-export" class="btn btn-tertiary">Export Report</button>
+    </div>
+  </div>
+
+  <div id="controls">
+    <button id="btn-camera" class="btn btn-primary">Start Camera</button>
+    <button id="btn-motion" class="btn btn-secondary" disabled>Enable Motion</button>
+    <button id="btn-calibrate" class="btn btn-tertiary" disabled>Calibrate</button>
+    <button id="btn-level" class="btn btn-tertiary" disabled>Level</button>
+    <button id="btn-record" class="btn btn-record" disabled>Record</button>
+    <button id="btn-record-pause" class="btn btn-tertiary hidden">Pause</button>
+  </div>
+
+  <div id="calibration-panel" class="hidden">
+    <p id="calibration-status"></p>
+    <div id="calibration-progress">
+      <div id="calibration-progress-fill"></div>
+    </div>
+    <div class="post-row">
+      <button id="btn-cal-level" class="btn btn-tertiary">Level Here</button>
+      <button id="btn-cal-flip" class="btn btn-tertiary">Two-Position</button>
+      <button id="btn-cal-reset" class="btn btn-tertiary">Reset</button>
+      <button id="btn-cal-close" class="btn btn-tertiary">Close</button>
+    </div>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-auto-zero">
+      <span>Auto-zero when resting flat</span>
+    </label>
+  </div>
+
+  <div id="level-panel" class="hidden">
+    <div id="level-vial">
+      <div id="level-bubble"></div>
+    </div>
+    <div id="level-readouts">
+      <div class="level-axis">
+        <span id="level-x-label" class="level-axis-label"></span>
+        <span id="level-x" class="level-value">--</span>
+        <span id="level-x-alt" class="level-alt"></span>
+      </div>
+      <div class="level-axis">
+        <span id="level-y-label" class="level-axis-label"></span>
+        <span id="level-y" class="level-value">--</span>
+        <span id="level-y-alt" class="level-alt"></span>
+      </div>
+    </div>
+    <p id="level-between" class="hidden"></p>
+    <div class="post-row">
+      <button id="btn-level-hold" class="btn btn-secondary">Hold</button>
+      <button id="btn-level-ref" class="btn btn-tertiary">Set Reference</button>
+      <button id="btn-level-close" class="btn btn-tertiary">Close</button>
+    </div>
+    <label class="setting-row">
+      <span>Units</span>
+      <select id="level-unit"></select>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-level-camera">
+      <span>Hide camera</span>
+    </label>
+  </div>
+
+  <canvas id="record-canvas" class="hidden"></canvas>
+
+  <div id="toggles">
+    <label class="toggle-label">
+      <span>Smoothing</span>
+      <select id="filter-select"></select>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-landscape">
+      <span>Landscape</span>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-vision">
+      <span>Vision</span>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-audio">
+      <span>Mic</span>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-sidecar" checked>
+      <span>Gyro data</span>
+    </label>
+    <label class="toggle-label">
+      <input type="checkbox" id="toggle-debug">
+      <span>Diagnostics</span>
+    </label>
+  </div>
+
+  <details id="profile-settings" class="settings-panel">
+    <summary>Profiles</summary>
+    <label class="setting-row">
+      <span>Profile</span>
+      <select id="profile-select"></select>
+    </label>
+    <div class="profile-actions">
+      <button id="btn-profile-new" class="btn btn-tertiary">Save As…</button>
+      <button id="btn-profile-delete" class="btn btn-tertiary">Delete</button>
+      <button id="btn-profile-export" class="btn btn-tertiary">Export</button>
+      <button id="btn-profile-import" class="btn btn-tertiary">Import</button>
+      <input type="file" id="profile-file" class="hidden" accept="application/json,.json">
+    </div>
+  </details>
+
+  <details id="camera-settings" class="settings-panel hidden">
+    <summary>Camera settings</summary>
+    <label class="setting-row">
+      <span>Camera</span>
+      <select id="camera-device"></select>
+    </label>
+    <label class="setting-row">
+      <span>Resolution</span>
+      <select id="camera-resolution"></select>
+    </label>
+    <label class="setting-row">
+      <span>Frame rate</span>
+      <select id="camera-fps"></select>
+    </label>
+    <label id="camera-zoom-label" class="setting-row hidden">
+      <span>Zoom</span>
+      <input type="range" id="camera-zoom">
+    </label>
+    <label id="camera-exposure-label" class="setting-row hidden">
+      <span>Exposure</span>
+      <input type="range" id="camera-exposure">
+    </label>
+    <div id="camera-focus-label" class="setting-row hidden">
+      <label class="toggle-label">
+        <input type="checkbox" id="camera-focus-auto" checked>
+        <span>Auto focus</span>
+      </label>
+      <input type="range" id="camera-focus">
+    </div>
+    <label id="camera-torch-label" class="toggle-label hidden">
+      <input type="checkbox" id="camera-torch">
+      <span>Torch</span>
+    </label>
+  </details>
+
+  <details id="sensor-settings" class="settings-panel">
+    <summary>Motion Sensor</summary>
+    <label class="setting-row">
+      <span>Source</span>
+      <select id="sensor-strategy"></select>
+    </label>
+    <p id="sensor-quality" class="setting-note">Not running</p>
+  </details>
+
+  <details id="stab-settings" class="settings-panel">
+    <summary>Stabilization</summary>
+    <label class="setting-row">
+      <span>Mode</span>
+      <select id="stab-mode"></select>
+    </label>
+    <label id="stab-follow-label" class="setting-row with-value">
+      <span>Follow</span>
+      <input type="range" id="stab-follow" min="0.2" max="5" step="0.1">
+      <span id="stab-follow-value"></span>
+    </label>
+    <div id="stab-hybrid-options">
+      <label class="setting-row with-value">
+        <span>Deadband</span>
+        <input type="range" id="stab-deadband" min="0" max="15" step="1">
+        <span id="stab-deadband-value"></span>
+      </label>
+      <label class="setting-row with-value">
+        <span>Max corr.</span>
+        <input type="range" id="stab-max" min="5" max="45" step="1">
+        <span id="stab-max-value"></span>
+      </label>
+    </div>
+  </details>
+
+  <details id="render-settings" class="settings-panel">
+    <summary>Rendering</summary>
+    <label class="setting-row">
+      <span>Renderer</span>
+      <select id="render-engine"></select>
+    </label>
+    <div id="render-gl-options">
+      <label class="setting-row with-value">
+        <span>Lens k1</span>
+        <input type="range" id="render-k1" min="-0.5" max="0.5" step="0.01">
+        <span id="render-k1-value"></span>
+      </label>
+      <label class="setting-row with-value">
+        <span>Lens k2</span>
+        <input type="range" id="render-k2" min="-0.5" max="0.5" step="0.01">
+        <span id="render-k2-value"></span>
+      </label>
+      <label class="setting-row with-value">
+        <span>Shutter</span>
+        <input type="range" id="render-readout" min="0" max="40" step="1">
+        <span id="render-readout-value"></span>
+      </label>
+    </div>
+  </details>
+
+  <details id="record-settings" class="settings-panel">
+    <summary>Recording</summary>
+    <label class="setting-row">
+      <span>Mode</span>
+      <select id="capture-mode"></select>
+    </label>
+    <label class="setting-row">
+      <span>Interval</span>
+      <select id="capture-interval"></select>
+    </label>
+    <label class="setting-row">
+      <span>Playback</span>
+      <select id="capture-playback"></select>
+    </label>
+    <label class="setting-row">
+      <span>Codec</span>
+      <select id="record-codec"></select>
+    </label>
+    <label class="setting-row">
+      <span>Bitrate</span>
+      <select id="record-bitrate"></select>
+    </label>
+    <label class="setting-row">
+      <span>Frame rate</span>
+      <select id="record-fps"></select>
+    </label>
+    <p id="record-backend" class="setting-note"></p>
+    <label class="setting-row">
+      <span>Countdown</span>
+      <select id="record-countdown-delay"></select>
+    </label>
+    <label class="setting-row">
+      <span>Split every</span>
+      <select id="record-max-minutes"></select>
+    </label>
+    <label class="setting-row">
+      <span>Split at size</span>
+      <select id="record-max-size"></select>
+    </label>
+    <p id="record-storage" class="setting-note"></p>
+  </details>
+
+  <details id="hud-settings" class="settings-panel">
+    <summary>Overlays</summary>
+    <div id="hud-overlays"></div>
+  </details>
+
+  <div id="filter-params"></div>
+
+  <div id="crop-panel">
+    <label class="toggle-label">
+      <span>Crop</span>
+      <select id="crop-mode"></select>
+    </label>
+    <label id="crop-angle-label" class="toggle-label hidden">
+      <span>Max angle</span>
+      <input type="range" id="crop-angle" min="1" max="45" step="1">
+      <span id="crop-angle-value"></span>
+    </label>
+  </div>
+
+  <div id="trace-panel">
+    <button id="btn-trace-record" class="btn btn-tertiary" disabled>Record Trace</button>
+    <button id="btn-trace-load" class="btn btn-tertiary">Load Trace</button>
+    <input type="file" id="trace-file" class="hidden" accept="application/json,.json">
+    <button id="btn-post-open" class="btn btn-tertiary">Re-stabilize</button>
+    <button id="btn-library" class="btn btn-tertiary">Library</button>
+  </div>
+
+  <div id="library-panel" class="hidden">
+    <div class="post-row">
+      <span id="library-usage">Storage use unknown</span>
+      <button id="btn-library-close" class="btn btn-tertiary">Close</button>
+    </div>
+    <div id="library-usage-bar">
+      <div id="library-usage-fill"></div>
+    </div>
+    <p id="library-empty" class="setting-note hidden"></p>
+    <div id="library-list"></div>
+    <div id="clip-viewer" class="hidden">
+      <video id="clip-video" controls playsinline></video>
+      <input type="text" id="clip-name" maxlength="80" aria-label="Clip name">
+      <p id="clip-info" class="setting-note"></p>
+      <label class="post-slider">
+        <span>Start</span>
+        <input type="range" id="clip-trim-start" min="0" max="0" value="0" step="0.1">
+        <span id="clip-trim-start-value">00:00.0</span>
+      </label>
+      <label class="post-slider">
+        <span>End</span>
+        <input type="range" id="clip-trim-end" min="0" max="0" value="0" step="0.1">
+        <span id="clip-trim-end-value">00:00.0</span>
+      </label>
+      <div class="post-row">
+        <button id="btn-clip-trim" class="btn btn-tertiary">Trim</button>
+        <button id="btn-clip-share" class="btn btn-secondary">Share</button>
+        <button id="btn-clip-download" class="btn btn-tertiary">Download</button>
+        <button id="btn-clip-delete" class="btn btn-tertiary">Delete</button>
+      </div>
+    </div>
+  </div>
+
+  <div id="post-panel" class="hidden">
+    <div class="post-row">
+      <button id="btn-post-video" class="btn btn-tertiary">Load Video</button>
+      <input type="file" id="post-video-file" class="hidden" accept="video/*">
+      <button id="btn-post-log" class="btn btn-tertiary">Load Gyro Log</button>
+      <input type="file" id="post-log-file" class="hidden" accept="application/json,.json">
+      <button id="btn-post-close" class="btn btn-tertiary">Close</button>
+    </div>
+    <div class="post-row">
+      <button id="btn-post-play" class="btn btn-secondary">Play</button>
+      <input type="range" id="post-seek" min="0" max="0" value="0" step="1">
+      <span id="post-time">00:00.0 / 00:00.0</span>
+    </div>
+    <label class="post-slider">
+      <span>Offset</span>
+      <input type="range" id="post-offset" min="-20" max="20" step="0.1" value="0">
+      <span id="post-offset-value">0.0°</span>
+    </label>
+    <label class="post-slider">
+      <span>Sync</span>
+      <input type="range" id="post-sync" min="-2000" max="2000" step="10" value="0">
+      <span id="post-sync-value">+0 ms</span>
+    </label>
+    <button id="btn-post-render" class="btn btn-primary">Render</button>
+  </div>
+
+  <div id="replay-controls" class="hidden">
+    <button id="btn-replay-toggle" class="btn btn-secondary">Pause</button>
+    <input type="range" id="replay-seek" min="0" max="0" value="0" step="1">
+    <span id="replay-time">00:00.0 / 00:00.0</span>
+    <select id="replay-speed">
+      <option value="0.25">0.25×</option>
+      <option value="0.5">0.5×</option>
+      <option value="1" selected>1×</option>
+      <option value="2">2×</option>
+      <option value="4">4×</option>
+    </select>
+  </div>
+
+  <div id="error-message" class="hidden"></div>
+  <div id="landscape-hint" class="hidden">Rotate your device to landscape to record</div>
+`;
+
+// The live instance's token; style.css and the template share fixed IDs
+let activeInstance = null;
+
+/** True when launched from the home screen rather than a browser tab. */
+export function isStandalone() {
+  return window.matchMedia('(display-mode: fullscreen)').matches ||
+    window.matchMedia('(display-mode: standalone)').matches ||
+    navigator.standalone === true;
+}
+
+/**
+ * Creates a GyroCam instance in `container`. Throws while another instance
+ * on the page hasn't been destroyed.
+ *
+ * options:
+ *   settings  Partial settings applied on top of the stored profile (same
+ *             shape as setOptions); unlike setOptions, not saved into it
+ *   persist   Read and write settings profiles in localStorage (default true)
+ *   library   Keep recordings in the in-app clip library (default true);
+ *             false downloads each one as it finishes
+ */
+export function createGyroCam(container, options = {}) {
+  if (!container) {
+    throw new TypeError('createGyroCam: a container element is required.');
+  }
+  if (activeInstance) {
+    throw new Error('createGyroCam: only one instance can run per page; destroy() the existing one first.');
+  }
+  const instanceToken = {};
+  activeInstance = instanceToken;
+
+  // Nodes we rendered ourselves, removed again by destroy()
+  const renderedNodes = [];
+  if (!container.querySelector('#viewport')) {
+    const template = document.createElement('template');
+    template.innerHTML = TEMPLATE;
+    renderedNodes.push(...template.content.childNodes);
+    container.append(template.content);
+  }
+
+  const config = {
+    persist: options.persist !== false,
+    library: options.library !== false,
+  };
+
+  // ─── Constants ───────────────────────────────────────────────────
+  const SMOOTHING_ALPHA = 0.12;        // Default EMA coefficient per 60 Hz frame (0 = no change, 1 = no smoothing)
+  const LEVEL_THRESHOLD_DEG = 1.5;     // Degrees within which we consider "level"
+  const TILTED_THRESHOLD_DEG = 10;     // Degrees beyond which we consider "very tilted"
+  const FPS_SAMPLE_INTERVAL_MS = 500;  // How often to update FPS display
+  const SENSOR_FREQUENCY_HZ = 60;      // Generic Sensor API sampling rate
+  const STANDARD_GRAVITY = 9.80665;    // m/s²
+  const FUSION_TILT_S = 1;             // In-app fusion: time constant pulling tilt towards gravity
+  const FUSION_ACCEL_TOLERANCE = 0.1;  // Acceleration further than this from 1 g is not trusted for tilt
+  const RAD_TO_DEG = 180 / Math.PI;
+  const TRACE_FORMAT = 'gyrocam-trace'; // Identifier written into trace files
+  const TRACE_VERSION = 1;
+  const SIDECAR_FORMAT = 'gyrocam-sidecar'; // Identifier written into sidecar JSON files
+  const SIDECAR_VERSION = 1;
+  const RECORD_FPS = 60;               // canvas.captureStream frame rate when the camera's rate is unknown
+  const AUDIO_SYNC_DELAY_S = 1 / RECORD_FPS; // Mic delay matching the one-frame lag of canvas drawing
+  const SETTINGS_STORAGE_KEY = 'gyrocam.settings';
+  const LEGACY_FILTER_STORAGE_KEY = 'gyrocam.filter'; // Pre-profile filter settings, migrated once
+  const PROFILES_FORMAT = 'gyrocam-profiles'; // Identifier written into exported profile files
+  const PROFILES_VERSION = 1;
+  const DEFAULT_PROFILE = 'Default';
+  const CROP_RELEASE_S = 1.2;           // Time constant for zooming back out after a large rotation
+  const DEFAULT_CROP_MAX_ANGLE = 15;   // Degrees covered by the "fixed" crop mode
+  const DEFAULT_FOLLOW_S = 1.5;        // Time constant for following intentional rotation
+  const DEFAULT_DEADBAND_DEG = 3;      // Hybrid mode: tilt that is always corrected in full
+  const DEFAULT_MAX_CORRECTION_DEG = 20; // Hybrid mode: largest correction before the frame tilts along
+  const CORRECTION_KNEE = 0.75;        // Fraction of the max correction where the soft limit starts
+  const STATIONARY_WINDOW_MS = 1000;   // Span the stillness test looks at
+  const STATIONARY_MAX_STD_DEG = 0.1;  // Tilt noise below which the device counts as still
+  const CALIBRATION_AVERAGE_MS = 2000; // Still time averaged into each calibration reading
+  const FLAT_MIN_UP_Z = 0.985;         // |up.z| above which the device lies flat (within ~10°)
+  const AUTO_ZERO_HOLD_MS = 3000;      // Stillness needed before auto-zero measures
+  const AUTO_ZERO_MAX_DEG = 2;         // Larger apparent tilt is taken as a sloped surface, not bias
+  const LEVEL_FLAT_MIN_UP_Z = Math.SQRT1_2; // |up.z| above which the level reads as lying flat (45°)
+  const LEVEL_BUBBLE_HALF_DEG = 2;     // Tilt that moves the level bubble halfway to the rim
+  const LEVEL_BUBBLE_HZ = 1.2;         // Natural frequency of the bubble's spring
+  const LEVEL_BUBBLE_DAMPING = 0.7;    // Bubble damping ratio (1 = critically damped)
+  const VISION_INTERVAL_MS = 100;      // Minimum spacing of frames sent to the horizon detector
+  const VISION_MIN_CONFIDENCE = 0.3;   // Detections below this are ignored
+  const VISION_FUSION_S = 3;           // Time constant for pulling the sensor tilt towards vision
+  const VISION_MAX_DISAGREE_DEG = 10;  // Detections this far from the fused tilt are taken as other lines
+  const RECOVERY_RETRY_MS = 1500;      // Delay between attempts to re-acquire a lost camera or sensor
+  const RECOVERY_MAX_ATTEMPTS = 3;     // Attempts before the session is marked failed
+  const CAMERA_MUTE_GRACE_MS = 3000;   // A camera muted this long is reopened instead of waited for
+  const DIAGNOSTICS_FORMAT = 'gyrocam-diagnostics'; // Identifier written into diagnostics reports
+  const DIAGNOSTICS_VERSION = 1;
+  const DIAG_GRAPH_MS = 10000;         // Span of the diagnostics graphs (and the report's history)
+  const DIAG_STATS_MS = 2000;          // Window for sample rate, jitter, frame time and latency
+  const DIAG_MAX_ERRORS = 20;          // Error messages kept for the report
+  const CLIP_THUMBNAIL_WIDTH = 320;    // Library thumbnail width (px)
+  const CLIP_THUMBNAIL_AT_MS = 1000;   // Thumbnail retaken this far into a clip, once the view has settled
+  const CLIP_MIN_LENGTH_S = 0.5;       // Shortest range a clip can be trimmed to
+  const TRIM_MAX_QUEUE = 8;            // Frames queued in the decoder and encoder while trimming
+  const LIBRARY_FULL_SHARE = 0.9;      // Storage use (of quota) shown as nearly full
+  const FLAT_POSE_MIN = 0.1;           // |up| projected on screen below which roll is undefined (~6° from flat)
+  const FLAT_POSE_MAX = 0.3;           // ...and above which gravity fully defines roll (~17° from flat)
+  const ROLL_RATE_CUTOFF_HZ = 8;       // Low-pass on roll rate derived from orientation samples
+  const AUTO_BITS_PER_PIXEL = 0.1;     // Automatic recording bitrate per pixel per frame
+  const KEYFRAME_INTERVAL_S = 2;       // WebCodecs keyframe spacing (also the seek granularity)
+  const MAX_CATCH_UP_S = 1;            // Longest rAF stall filled with repeated frames
+  const ENCODER_MAX_QUEUE = 8;         // Frames queued in the encoder before new ones are skipped
+  const SPLIT_MARGIN_S = 2;            // A size split happens this much recording before the limit
+  const LOW_STORAGE_MINUTES = 5;       // Warn when free storage holds less recording than this
+  const STORAGE_CHECK_MS = 30000;      // Free storage is re-estimated this often while recording
+  const STILL_JPEG_QUALITY = 0.92;     // Interval stills
+
+  // ─── DOM References (cached once) ────────────────────────────────
+  const byId = (id) => container.querySelector('#' + id);
+
+  const dom = {
+    camera: byId('camera'),
+    viewport: byId('viewport'),
+    horizonLine: byId('horizon-line'),
+    tiltValue: byId('tilt-value'),
+    statusBadge: byId('status-badge'),
+    lifecycleStatus: byId('lifecycle-status'),
+    lifecycleMessage: byId('lifecycle-message'),
+    btnLifecycleRetry: byId('btn-lifecycle-retry'),
+    btnCamera: byId('btn-camera'),
+    btnMotion: byId('btn-motion'),
+    btnCalibrate: byId('btn-calibrate'),
+    calibrationPanel: byId('calibration-panel'),
+    calibrationStatus: byId('calibration-status'),
+    calibrationProgressFill: byId('calibration-progress-fill'),
+    btnCalLevel: byId('btn-cal-level'),
+    btnCalFlip: byId('btn-cal-flip'),
+    btnCalReset: byId('btn-cal-reset'),
+    btnCalClose: byId('btn-cal-close'),
+    toggleAutoZero: byId('toggle-auto-zero'),
+    btnRecord: byId('btn-record'),
+    btnRecordPause: byId('btn-record-pause'),
+    filterSelect: byId('filter-select'),
+    filterParams: byId('filter-params'),
+    toggleDebug: byId('toggle-debug'),
+    toggleSidecar: byId('toggle-sidecar'),
+    toggleAudio: byId('toggle-audio'),
+    profileSelect: byId('profile-select'),
+    btnProfileNew: byId('btn-profile-new'),
+    btnProfileDelete: byId('btn-profile-delete'),
+    btnProfileExport: byId('btn-profile-export'),
+    btnProfileImport: byId('btn-profile-import'),
+    profileFile: byId('profile-file'),
+    cameraSettings: byId('camera-settings'),
+    cameraDevice: byId('camera-device'),
+    cameraResolution: byId('camera-resolution'),
+    cameraFps: byId('camera-fps'),
+    cameraZoom: byId('camera-zoom'),
+    cameraZoomLabel: byId('camera-zoom-label'),
+    cameraTorch: byId('camera-torch'),
+    cameraTorchLabel: byId('camera-torch-label'),
+    cameraFocusAuto: byId('camera-focus-auto'),
+    cameraFocus: byId('camera-focus'),
+    cameraFocusLabel: byId('camera-focus-label'),
+    cameraExposure: byId('camera-exposure'),
+    cameraExposureLabel: byId('camera-exposure-label'),
+    audioMeter: byId('audio-meter'),
+    audioMeterFill: byId('audio-meter-fill'),
+    debugPanel: byId('debug-panel'),
+    fpsDisplay: byId('fps-display'),
+    diagGraph: byId('diag-graph'),
+    diagFrame: byId('diag-frame'),
+    diagRate: byId('diag-rate'),
+    diagLatency: byId('diag-latency'),
+    diagNoise: byId('diag-noise'),
+    diagSource: byId('diag-source'),
+    btnDiagExport: byId('btn-diag-export'),
+    visionInfo: byId('vision-info'),
+    toggleVision: byId('toggle-vision'),
+    errorMessage: byId('error-message'),
+    landscapeHint: byId('landscape-hint'),
+    toggleLandscape: byId('toggle-landscape'),
+    cropMode: byId('crop-mode'),
+    cropAngle: byId('crop-angle'),
+    cropAngleLabel: byId('crop-angle-label'),
+    cropAngleValue: byId('crop-angle-value'),
+    sensorStrategy: byId('sensor-strategy'),
+    sensorQuality: byId('sensor-quality'),
+    stabMode: byId('stab-mode'),
+    stabFollow: byId('stab-follow'),
+    stabFollowLabel: byId('stab-follow-label'),
+    stabFollowValue: byId('stab-follow-value'),
+    stabHybridOptions: byId('stab-hybrid-options'),
+    stabDeadband: byId('stab-deadband'),
+    stabDeadbandValue: byId('stab-deadband-value'),
+    stabMax: byId('stab-max'),
+    stabMaxValue: byId('stab-max-value'),
+    previewCanvas: byId('preview-canvas'),
+    hudCanvas: byId('hud-canvas'),
+    hudOverlays: byId('hud-overlays'),
+    renderEngine: byId('render-engine'),
+    renderGlOptions: byId('render-gl-options'),
+    renderK1: byId('render-k1'),
+    renderK1Value: byId('render-k1-value'),
+    renderK2: byId('render-k2'),
+    renderK2Value: byId('render-k2-value'),
+    renderReadout: byId('render-readout'),
+    renderReadoutValue: byId('render-readout-value'),
+    recordSettings: byId('record-settings'),
+    captureMode: byId('capture-mode'),
+    captureInterval: byId('capture-interval'),
+    capturePlayback: byId('capture-playback'),
+    recordCodec: byId('record-codec'),
+    recordBitrate: byId('record-bitrate'),
+    recordFps: byId('record-fps'),
+    recordBackend: byId('record-backend'),
+    recordCountdownDelay: byId('record-countdown-delay'),
+    recordMaxMinutes: byId('record-max-minutes'),
+    recordMaxSize: byId('record-max-size'),
+    recordStorage: byId('record-storage'),
+    bubbleLevel: byId('bubble-level'),
+    btnLevel: byId('btn-level'),
+    levelPanel: byId('level-panel'),
+    levelVial: byId('level-vial'),
+    levelXLabel: byId('level-x-label'),
+    levelX: byId('level-x'),
+    levelXAlt: byId('level-x-alt'),
+    levelYLabel: byId('level-y-label'),
+    levelY: byId('level-y'),
+    levelYAlt: byId('level-y-alt'),
+    levelBetween: byId('level-between'),
+    btnLevelHold: byId('btn-level-hold'),
+    btnLevelRef: byId('btn-level-ref'),
+    btnLevelClose: byId('btn-level-close'),
+    levelUnit: byId('level-unit'),
+    toggleLevelCamera: byId('toggle-level-camera'),
+    recordCanvas: byId('record-canvas'),
+    recordIndicator: byId('record-indicator'),
+    recordTimer: byId('record-timer'),
+    recordStatus: byId('record-status'),
+    recordCountdown: byId('record-countdown'),
+    btnTraceRecord: byId('btn-trace-record'),
+    btnTraceLoad: byId('btn-trace-load'),
+    traceFile: byId('trace-file'),
+    replayControls: byId('replay-controls'),
+    btnReplayToggle: byId('btn-replay-toggle'),
+    replaySeek: byId('replay-seek'),
+    replayTime: byId('replay-time'),
+    replaySpeed: byId('replay-speed'),
+    btnPostOpen: byId('btn-post-open'),
+    btnLibrary: byId('btn-library'),
+    libraryPanel: byId('library-panel'),
+    libraryUsage: byId('library-usage'),
+    libraryUsageBar: byId('library-usage-bar'),
+    libraryUsageFill: byId('library-usage-fill'),
+    btnLibraryClose: byId('btn-library-close'),
+    libraryEmpty: byId('library-empty'),
+    libraryList: byId('library-list'),
+    clipViewer: byId('clip-viewer'),
+    clipVideo: byId('clip-video'),
+    clipName: byId('clip-name'),
+    clipInfo: byId('clip-info'),
+    clipTrimStart: byId('clip-trim-start'),
+    clipTrimStartValue: byId('clip-trim-start-value'),
+    clipTrimEnd: byId('clip-trim-end'),
+    clipTrimEndValue: byId('clip-trim-end-value'),
+    btnClipTrim: byId('btn-clip-trim'),
+    btnClipShare: byId('btn-clip-share'),
+    btnClipDownload: byId('btn-clip-download'),
+    btnClipDelete: byId('btn-clip-delete'),
+    postPanel: byId('post-panel'),
+    btnPostVideo: byId('btn-post-video'),
+    postVideoFile: byId('post-video-file'),
+    btnPostLog: byId('btn-post-log'),
+    postLogFile: byId('post-log-file'),
+    btnPostClose: byId('btn-post-close'),
+    btnPostPlay: byId('btn-post-play'),
+    postSeek: byId('post-seek'),
+    postTime: byId('post-time'),
+    postOffset: byId('post-offset'),
+    postOffsetValue: byId('post-offset-value'),
+    postSync: byId('post-sync'),
+    postSyncValue: byId('post-sync-value'),
+    btnPostRender: byId('btn-post-render'),
+  };
+
+  // ─── State ───────────────────────────────────────────────────────
+  const state = {
+    cameraStream: null,
+    cameraSettings: {         // Requested camera mode
+      deviceId: null,         // null = rear camera via facingMode
+      width: 1280,
+      height: 720,
+      frameRate: null,        // null = camera default
+    },
+    audio: null,              // Mic capture: { stream, context, analyser, destination, levels, meterFrame }
+    motionEnabled: false,
+    sensorType: 'none',       // A SENSOR_STRATEGIES key | 'trace-replay' | 'vision' | 'none'
+
+    orientation: {            // Shared orientation model, fed by every sensor strategy
+      quaternion: [0, 0, 0, 1], // Device → world rotation [x, y, z, w]
+      up: [0, 1, 0],          // World "up" expressed in device coordinates, sensor bias removed
+      rawUp: [0, 1, 0],       // ...as the sensor reported it
+      roll: 0,                // Screen-plane roll (degrees, clockwise positive)
+      pitch: 0,               // Front/back tilt, equivalent to beta (degrees)
+      tiltX: 0,               // Left/right tilt of a flat device (degrees)
+      tiltY: 0,               // Front/back tilt of a flat device (degrees)
+      heading: null,          // Compass heading of the camera (degrees from north), null without alpha
+      valid: false,           // False until the first sample (or after a reset)
+    },
+    rawRollRate: null,        // Latest gyroscope roll rate (deg/s), if available
+    smoothedRoll: 0,          // Roll after the filter pipeline
+    rollRate: 0,              // Roll rate for rolling-shutter compensation (deg/s)
+    lastSampleT: null,        // Timestamp of the previous orientation sample (ms)
+
+    filterPipeline: [         // Ordered filter stages applied to each roll sample
+      { id: 'smoothing', type: 'ema', params: { alpha: SMOOTHING_ALPHA }, state: null },
+    ],
+    filterParams: {},         // Last-used parameters per filter type (persisted)
+
+    profiles: null,           // Named settings profiles: { <name>: settings }
+    activeProfile: '',        // Profile that changes are saved into
+    audioPreferred: false,    // Turn the mic on whenever the camera starts
+    calibrationOffset: 0,     // Stored offset from calibration (device frame)
+    calibration: {            // Sensor bias, from the two-position method or auto-zero
+      biasRoll: 0,            // Side-to-side tilt bias (degrees, as tiltX)
+      biasPitch: 0,           // Front-to-back tilt bias (degrees, as tiltY)
+      autoZero: false,        // Re-measure the bias whenever the device rests flat
+    },
+    calibrationRun: null,     // Guided calibration in progress: { method, step, readings, values, ... }
+    stillness: {              // Recent raw up vectors for stationary detection
+      samples: [],            // { t, up }
+      since: null,            // Time the device has been still since (null = moving)
+      autoZeroed: false,      // Auto-zero already ran during this rest
+    },
+    screenAngle: 0,           // screen.orientation.angle (0 | 90 | 180 | 270)
+    landscapeLock: false,     // User asked for lock-to-landscape capture
+
+    render: {
+      engine: 'webgl',        // Preferred renderer: 'webgl' | '2d'
+      k1: 0,                  // Radial lens distortion coefficients (WebGL only)
+      k2: 0,
+      readoutMs: 0,           // Sensor readout time for rolling-shutter compensation (0 = off)
+    },
+    gl: null,                 // Active WebGL renderer: { context, program, texture, uniforms }
+
+    hud: {
+      preview: [],            // Overlay ids drawn on the live preview
+      burnIn: [],             // Overlay ids drawn into recordings
+      info: null,             // This frame's values: { time, roll, residual, elevation, heading }
+      previewDrawn: false,    // Whether #hud-canvas currently holds anything
+    },
+    hudLayer: null,           // Offscreen canvas the WebGL path blends burned-in overlays from
+
+    stabilization: {
+      mode: 'lock',           // 'lock' | 'follow' | 'hybrid'
+      followS: DEFAULT_FOLLOW_S, // How quickly intentional rotation is followed (s)
+      deadband: DEFAULT_DEADBAND_DEG,
+      maxCorrection: DEFAULT_MAX_CORRECTION_DEG,
+      intent: 0,              // Roll currently treated as intentional (degrees)
+      lastTime: 0,            // Frame time of the last update
+    },
+
+    crop: {
+      mode: 'fill',           // 'fill' | 'fixed' | 'letterbox'
+      maxAngle: DEFAULT_CROP_MAX_ANGLE, // Rotation the 'fixed' crop is sized for (degrees)
+      zoom: 1,                // Current (smoothed) zoom relative to a plain cover fit
+      lastTime: 0,            // Frame time of the last zoom update
+    },
+    hasReceivedData: false,   // True once we get a non-zero sensor reading
+
+    bubble: {                 // Level bubble, in vial radii from the centre (y up)
+      x: 0, y: 0,
+      vx: 0, vy: 0,           // Velocity (radii per second)
+      t: null,                // Frame time of the last step
+    },
+    spiritLevel: {
+      active: false,          // Level panel open
+      unit: 'deg',            // Main readout: a LEVEL_UNITS key
+      hideCamera: false,      // Panel covers the whole app
+      reading: null,          // Latest readLevel() result
+      held: null,             // Frozen reading while Hold is on
+      reference: null,        // measureLevel() result readings are relative to
+    },
+
+    sensorInstances: [],      // Generic Sensor API instances (if used)
+    sensorStrategy: 'auto',   // User setting: 'auto' or a SENSOR_STRATEGIES key
+    fusion: null,             // In-app fusion: { q, t, accel, trusted, total }
+    animFrameId: null,        // requestAnimationFrame handle
+    lastFrameTime: 0,         // For FPS calculation
+    frameCount: 0,
+    currentFps: 0,
+
+    isRecording: false,
+    recordingStarting: false, // Waiting for the encoder config check
+    mediaRecorder: null,      // MediaRecorder backend (mic audio, or no WebCodecs), see startRecorder
+    encoderSession: null,     // WebCodecs backend: { encoder, muxer, fps, frameIndex, ... }
+    stillArchive: null,       // ZIP the current interval-stills part is collected in
+    encoding: {               // Recording encoder preferences
+      codec: 'auto',          // 'auto' | 'avc' | 'vp9' | 'vp8'
+      bitrate: 0,             // Mbit/s (0 = automatic)
+      fps: 0,                 // Target frame rate (0 = match the camera)
+    },
+    recordLimits: {           // Recording preferences beyond the encoder
+      countdown: 0,           // Seconds between pressing Record and recording (0 = none)
+      maxMinutes: 0,          // Split into a new file after this long (0 = never)
+      maxMegabytes: 0,        // ...or once the file reaches this size (0 = never)
+    },
+    capture: {                // Capture mode preferences (see Capture Modes)
+      mode: 'video',          // 'video' | 'timelapse' | 'stills'
+      interval: 5,            // Seconds between time-lapse frames or stills
+      playbackFps: 30,        // Time-lapse playback rate
+    },
+    take: null,               // Current recording across pauses and splits (see createTake)
+    wakeLock: null,           // Screen wake lock held while recording
+    countdown: null,          // { timer, endsAt } while counting down to a recording
+    recordTimerInterval: null,
+    recordingName: '',        // Base filename shared by a clip and its sidecars
+
+    sidecarEnabled: true,     // Export gyro metadata next to each recording
+    sidecar: null,            // Capture for the current clip: { samples, frames, firstFrameTime, ... }
+    clipStats: null,          // Library metadata gathered while recording (see createClipStats)
+    library: {
+      store: null,            // openLibrary() result once open
+      opening: null,          // Promise of the store (resolves null without IndexedDB)
+      clips: [],              // Metadata, newest first
+      selected: null,         // Clip open in the viewer, with its video and sidecar
+      selectedBlob: null,
+      selectedSidecar: null,
+      videoUrl: null,         // Object URL playing in the viewer
+      thumbUrls: [],          // Object URLs of the gallery thumbnails
+      trimming: false,
+    },
+
+    isTraceRecording: false,  // True while sensor samples are being captured to a trace
+    traceSamples: [],         // Captured samples: { t, quaternion?, alpha?, beta, gamma, rate? }
+    traceStartTime: 0,        // Sensor timestamp of the first captured sample
+    traceSensorType: 'none',  // Strategy the trace was captured from
+    replay: null,             // Active replay: { trace, cursor, position, speed, playing, lastNow, clock }
+
+    post: null,               // Offline re-stabilization session (video file + gyro log)
+
+    lifecycle: {
+      phase: 'idle',          // 'idle' | 'requesting' | 'active' | 'paused' | 'recovering' | 'failed'
+      reason: null,           // Why the last transition happened, e.g. 'hidden', 'camera-ended'
+      resume: null,           // What recovery must bring back: { camera, motion }
+      attempts: 0,            // Recovery attempts in the current episode
+      timer: null,            // Next recovery attempt, or the end of a camera mute's grace
+      inFlight: false,        // A recovery attempt is awaiting the camera or a sensor
+      requests: 0,            // User-initiated acquires in flight
+      requestFailed: false,
+    },
+    destroyed: false,
+
+    diagnostics: {
+      history: [],            // Per rendered frame: { t, rawRoll, roll, rawPitch, pitch }
+      sampleTimes: [],        // Sensor sample timestamps over DIAG_STATS_MS
+      frames: [],             // Render-loop frames: { t, dt }
+      latencies: [],          // Sample-to-render delays: { t, ms }
+      motion: [],             // Recent roll/pitch for the noise estimate: { t, roll, pitch }
+      noise: null,            // Roll/pitch std deviation over the last stationary window
+      noiseFloor: null,       // Quietest full window seen this session
+      pitchStates: new WeakMap(), // Filter stage → its state for the diagnostics-only pitch pipeline
+      filteredPitch: 0,
+      lastSampleAt: null,     // performance.now() timebase
+      lastRenderedSampleAt: null,
+      lastFrameAt: null,
+      permissions: {},        // Observed outcomes: name → 'granted' | 'denied' | 'prompt' | …
+      attempts: [],           // Sensor strategies tried: { strategy, result }
+      errors: [],             // Recent error messages: { time, message }
+    },
+
+    vision: {
+      enabled: false,         // User setting: detect the horizon in camera frames
+      worker: null,           // horizon-worker.js while running
+      canvas: null,           // Downscaled copy of the frame being analysed
+      pending: null,          // Frame in the worker: { id, sensorTilt }
+      frameId: 0,
+      lastRequest: 0,         // performance.now() of the last frame sent
+      lastFused: 0,           // performance.now() of the last detection fused
+      angle: null,            // Latest detection (degrees, same convention as the corrected tilt)
+      confidence: 0,
+      offset: 0,              // Correction fused into the sensor tilt (degrees)
+    },
+    level: null,              // Last level reported to listeners: 'level' | 'tilted' | 'very-tilted'
+  };
+
+  // ─── Events ──────────────────────────────────────────────────────
+
+  /**
+   * Subscribers get a single detail object:
+   *
+   *   tilt             every frame: { roll, rawRoll, smoothedRoll, pitch, rotation, zoom, level }
+   *   level-change     { level, previous }
+   *   recording-start  { name, mimeType }
+   *   recording-stop   { name, fileName, blob } once the file is ready
+   *   calibration      { method, offset } | { method, bias, surfaceSlope? }
+   *   lifecycle        { phase, previous, reason } on every phase change
+   *   error            { message }
+   *
+   * A throwing handler is logged and never stops the render loop.
+   */
+  const listeners = new Map();
+
+  function on(type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => off(type, handler);
+  }
+
+  function off(type, handler) {
+    const handlers = listeners.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  function emit(type, detail) {
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+    for (const handler of [...handlers]) {
+      try {
+        handler(detail);
+      } catch (err) {
+        logError('GyroCam ' + type + ' handler failed: ' + (err && err.message || err));
+      }
+    }
+  }
+
+  // ─── Lifecycle ───────────────────────────────────────────────────
+
+  /**
+   * One explicit phase for the live session (camera and/or live sensor):
+   *
+   *   idle        nothing running
+   *   requesting  startCamera()/enableMotion() waiting on permissions
+   *   active      running
+   *   paused      page hidden: any recording is finalized, the camera and
+   *               sensors are released, the render loop stops
+   *   recovering  re-acquiring what was running, after the page returns or
+   *               when the camera track ends, stays muted or a sensor fails
+   *   failed      a request or RECOVERY_MAX_ATTEMPTS recoveries failed;
+   *               Retry (or a new camera appearing) tries again
+   *
+   * setPhase() only allows the moves in LIFECYCLE_TRANSITIONS and emits a
+   * `lifecycle` event for each one. Camera tracks, sensors and visibility
+   * are observed through their standard events, so tests can drive every
+   * transition with mock tracks and sensor objects.
+   *
+   * Trace replay and re-stabilization are not live and stay out of it.
+   */
+  const LIFECYCLE_TRANSITIONS = {
+    idle: ['requesting'],
+    requesting: ['active', 'recovering', 'failed', 'idle'],
+    active: ['requesting', 'paused', 'recovering', 'idle'],
+    paused: ['recovering', 'idle'],
+    recovering: ['active', 'paused', 'failed', 'idle'],
+    failed: ['requesting', 'recovering', 'idle'],
+  };
+
+  const RECOVERY_MESSAGES = {
+    visible: 'Resuming camera and sensors',
+    'camera-ended': 'Camera lost, reconnecting',
+    'camera-muted': 'Camera interrupted, waiting for it',
+    'sensor-error': 'Motion sensor stopped, restarting it',
+    'device-change': 'Camera connected, reconnecting',
+    retry: 'Retrying',
+  };
+
+  function setPhase(phase, reason) {
+    const lifecycle = state.lifecycle;
+    const previous = lifecycle.phase;
+    if (phase === previous) return true;
+    if (!LIFECYCLE_TRANSITIONS[previous].includes(phase)) {
+      logError('Ignored lifecycle transition ' + previous + ' \u2192 ' + phase + '.');
+      return false;
+    }
+
+    lifecycle.phase = phase;
+    lifecycle.reason = reason || null;
+    updateLifecycleStatus();
+    emit('lifecycle', { phase, previous, reason: lifecycle.reason });
+    return true;
+  }
+
+  /** True while the camera or a live sensor is running. */
+  function isLive() {
+    return !!state.cameraStream || liveSensorRunning();
+  }
+
+  function liveSensorRunning() {
+    return !!(state.sensorInstances.length || state._doeHandler || state._dmHandler);
+  }
+
+  /**
+   * Runs a user-initiated acquire (camera or motion) inside the requesting
+   * phase. Nested and overlapping requests share it; the phase settles once
+   * the last one finishes.
+   */
+  async function withRequest(acquire) {
+    const lifecycle = state.lifecycle;
+    lifecycle.requests++;
+    if (lifecycle.phase !== 'recovering' && lifecycle.phase !== 'paused') {
+      clearLifecycleTimer();
+      lifecycle.resume = null;
+      setPhase('requesting', 'start');
+    }
+
+    let ok = false;
+    try {
+      ok = await acquire();
+    } finally {
+      lifecycle.requests--;
+      if (!ok) lifecycle.requestFailed = true;
+      if (lifecycle.requests === 0 && lifecycle.phase === 'requesting') {
+        const failed = lifecycle.requestFailed;
+        lifecycle.requestFailed = false;
+        setPhase(isLive() ? 'active' : failed ? 'failed' : 'idle', failed ? 'request-failed' : 'started');
+      }
+    }
+    return ok;
+  }
+
+  /** After a deliberate stop: idle once nothing live is left. */
+  function settleLifecycle() {
+    const lifecycle = state.lifecycle;
+    if (isLive() || lifecycle.phase === 'idle' || lifecycle.phase === 'requesting') return;
+    clearLifecycleTimer();
+    lifecycle.resume = null;
+    setPhase('idle', 'stopped');
+  }
+
+  function clearLifecycleTimer() {
+    clearTimeout(state.lifecycle.timer);
+    state.lifecycle.timer = null;
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      pauseLifecycle();
+      return;
+    }
+    // The render loop didn't run while hidden; don't replay the gap at once
+    if (state.replay) state.replay.lastNow = performance.now();
+    if (state.lifecycle.phase === 'paused') {
+      startRecovery('visible');
+    }
+  }
+
+  function pauseLifecycle() {
+    const lifecycle = state.lifecycle;
+    if (lifecycle.phase !== 'active' && lifecycle.phase !== 'recovering') return;
+
+    const resume = lifecycle.resume || { camera: false, motion: false };
+    lifecycle.resume = {
+      camera: resume.camera || !!state.cameraStream,
+      motion: resume.motion || liveSensorRunning(),
+    };
+    clearLifecycleTimer();
+    releaseForPause();
+    setPhase('paused', 'hidden');
+  }
+
+  /** A backgrounded page keeps nothing open; the recording is saved as it stands. */
+  function releaseForPause() {
+    if (state.isRecording) stopRecording();
+    if (state.isTraceRecording) stopTraceRecording();
+    releaseCamera();
+    if (liveSensorRunning() || state.lifecycle.resume.motion) {
+      releaseMotion();
+    }
+  }
+
+  /**
+   * Enters (or restarts) recovery. `lost` adds to what must come back;
+   * while paused it is only noted, and the return to the page recovers it.
+   */
+  function startRecovery(reason, lost) {
+    const lifecycle = state.lifecycle;
+    const resume = lifecycle.resume || { camera: false, motion: false };
+    lifecycle.resume = {
+      camera: resume.camera || !!(lost && lost.camera),
+      motion: resume.motion || !!(lost && lost.motion),
+    };
+    if (lifecycle.phase === 'paused' && reason !== 'visible') return;
+
+    if (lifecycle.phase === 'recovering') {
+      lifecycle.reason = reason;
+      updateLifecycleStatus();
+    } else if (!setPhase('recovering', reason)) {
+      return;
+    }
+    lifecycle.attempts = 0;
+    clearLifecycleTimer();
+    recover();
+  }
+
+  /** One recovery attempt; schedules the next until RECOVERY_MAX_ATTEMPTS. */
+  async function recover() {
+    const lifecycle = state.lifecycle;
+    lifecycle.timer = null;
+    if (lifecycle.phase !== 'recovering' || lifecycle.inFlight) return;
+
+    lifecycle.inFlight = true;
+    lifecycle.attempts++;
+    updateLifecycleStatus();
+
+    const want = lifecycle.resume;
+    const acquired = { camera: false, motion: false };
+    let ok = true;
+    try {
+      if (want.camera && !state.cameraStream) {
+        acquired.camera = await acquireCamera();
+        ok = acquired.camera;
+      }
+      if (want.motion && !liveSensorRunning()) {
+        acquired.motion = await acquireMotion();
+        ok = ok && acquired.motion;
+      }
+    } finally {
+      lifecycle.inFlight = false;
+    }
+
+    if (lifecycle.phase !== 'recovering') {
+      // Hidden or stopped while we waited; don't leave what came back running
+      if (lifecycle.phase === 'paused') {
+        releaseForPause();
+      } else if (lifecycle.phase === 'idle') {
+        if (acquired.camera) releaseCamera();
+        if (acquired.motion) releaseMotion();
+      }
+      return;
+    }
+
+    if (ok) {
+      lifecycle.resume = null;
+      setPhase('active', 'recovered');
+    } else if (lifecycle.attempts < RECOVERY_MAX_ATTEMPTS) {
+      lifecycle.timer = setTimeout(recover, RECOVERY_RETRY_MS);
+    } else {
+      setPhase('failed', 'recovery-failed');
+    }
+  }
+
+  function retryRecovery() {
+    if (state.lifecycle.phase === 'failed' && state.lifecycle.resume) {
+      startRecovery('retry');
+    }
+  }
+
+  function watchCameraTrack(track) {
+    track.addEventListener('ended', () => onCameraTrackLost(track, 'camera-ended'));
+    track.addEventListener('mute', () => onCameraMuted(track));
+    track.addEventListener('unmute', () => onCameraUnmuted(track));
+  }
+
+  /** Unplugged, revoked or taken by another app. track.stop() never lands here. */
+  function onCameraTrackLost(track, reason) {
+    if (track !== cameraTrack() || state.lifecycle.phase === 'paused') return;
+    if (state.isRecording) stopRecording();
+    releaseCamera();
+    startRecovery(reason, { camera: true });
+  }
+
+  /** Short interruptions (a call, another app) unmute on their own. */
+  function onCameraMuted(track) {
+    const lifecycle = state.lifecycle;
+    if (track !== cameraTrack() || lifecycle.phase !== 'active') return;
+    setPhase('recovering', 'camera-muted');
+    lifecycle.timer = setTimeout(() => onCameraTrackLost(track, 'camera-muted'), CAMERA_MUTE_GRACE_MS);
+  }
+
+  function onCameraUnmuted(track) {
+    const lifecycle = state.lifecycle;
+    if (track !== cameraTrack() || lifecycle.phase !== 'recovering' || lifecycle.reason !== 'camera-muted') return;
+    clearLifecycleTimer();
+    setPhase('active', 'camera-unmuted');
+  }
+
+  /**
+   * A sensor failing after it started. The render loop keeps going with
+   * the last orientation while the strategies are tried again.
+   */
+  function onSensorLost() {
+    if (state.lifecycle.phase === 'paused') return;
+    stopLiveSensors();
+    startRecovery('sensor-error', { motion: true });
+  }
+
+  function updateLifecycleStatus() {
+    const lifecycle = state.lifecycle;
+    let message = '';
+    if (lifecycle.phase === 'requesting') {
+      message = 'Waiting for camera and sensor access\u2026';
+    } else if (lifecycle.phase === 'paused') {
+      message = 'Paused in the background';
+    } else if (lifecycle.phase === 'recovering') {
+      message = (RECOVERY_MESSAGES[lifecycle.reason] || 'Reconnecting') +
+        (lifecycle.attempts > 1 ? ' (attempt ' + lifecycle.attempts + ' of ' + RECOVERY_MAX_ATTEMPTS + ')' : '') +
+        '\u2026';
+    } else if (lifecycle.phase === 'failed' && lifecycle.resume) {
+      const lost = [lifecycle.resume.camera && 'camera', lifecycle.resume.motion && 'motion sensors'];
+      message = 'Could not restore the ' + lost.filter(Boolean).join(' and ') + '.';
+    }
+
+    dom.lifecycleStatus.dataset.phase = lifecycle.phase;
+    dom.lifecycleMessage.textContent = message;
+    dom.lifecycleStatus.classList.toggle('hidden', !message);
+    dom.btnLifecycleRetry.classList.toggle('hidden', !(lifecycle.phase === 'failed' && lifecycle.resume));
+  }
+
+  // ─── Camera ──────────────────────────────────────────────────────
+
+  /** Resolves to true once the preview is running. */
+  function startCamera() {
+    return withRequest(acquireCamera);
+  }
+
+  async function acquireCamera() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      showError('Camera API is not supported in this browser.');
+      return false;
+    }
+
+    try {
+      try {
+        await openCameraStream();
+      } catch (err) {
+        // A saved camera may belong to another device or have been unplugged
+        if (!state.cameraSettings.deviceId ||
+            (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) {
+          throw err;
+        }
+        state.cameraSettings.deviceId = null;
+        await openCameraStream();
+      }
+      notePermission('camera', 'granted');
+
+      dom.btnCamera.textContent = 'Camera Active';
+      dom.btnCamera.disabled = true;
+      dom.btnMotion.disabled = state.motionEnabled;
+      dom.btnRecord.disabled = false;
+
+      hideError();
+      await refreshCameraDevices();
+      dom.cameraSettings.classList.remove('hidden');
+      saveSettings();
+
+      if (state.audioPreferred && !state.audio) {
+        dom.toggleAudio.checked = await enableAudio();
+      }
+      if (state.vision.enabled) {
+        startVision();
+      }
+      return true;
+    } catch (err) {
+      if (err.name === 'NotAllowedError') notePermission('camera', 'denied');
+      showCameraError(err);
+      return false;
+    }
+  }
+
+  /**
+   * Opens the camera described by state.cameraSettings and attaches it to
+   * the preview. Defaults to the rear camera at 1280×720.
+   */
+  async function openCameraStream() {
+    const settings = state.cameraSettings;
+    const video = {
+      width: { ideal: settings.width },
+      height: { ideal: settings.height },
+    };
+    if (settings.deviceId) {
+      video.deviceId = { exact: settings.deviceId };
+    } else {
+      video.facingMode = 'environment';
+    }
+    if (settings.frameRate) {
+      video.frameRate = { ideal: settings.frameRate };
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+
+    dom.camera.srcObject = stream;
+
+    // iOS Safari: ensure inline playback
+    dom.camera.setAttribute('playsinline', '');
+    dom.camera.setAttribute('muted', '');
+    try {
+      await dom.camera.play();
+    } catch (err) {
+      stream.getTracks().forEach((track) => track.stop());
+      dom.camera.srcObject = null;
+      throw err;
+    }
+    state.cameraStream = stream;
+
+    // Remember which physical camera we actually got
+    const track = cameraTrack();
+    if (track && track.getSettings) {
+      settings.deviceId = track.getSettings().deviceId || settings.deviceId;
+    }
+    if (track) {
+      watchCameraTrack(track);
+    }
+    renderCameraCapabilities();
+  }
+
+  /** Releases the camera (and mic); motion keeps running if enabled. */
+  function stopCamera() {
+    releaseCamera();
+    settleLifecycle();
+  }
+
+  function releaseCamera() {
+    cancelCountdown();
+    if (state.isRecording) stopRecording();
+    disableAudio();
+    stopVision();
+    dom.cameraSettings.classList.add('hidden');
+    if (!state.cameraStream) return;
+
+    state.cameraStream.getTracks().forEach((track) => track.stop());
+    state.cameraStream = null;
+    dom.camera.srcObject = null;
+
+    dom.btnCamera.textContent = 'Start Camera';
+    dom.btnCamera.disabled = false;
+    dom.btnMotion.disabled = true;
+    dom.btnRecord.disabled = true;
+  }
+
+  function showCameraError(err) {
+    if (err.name === 'NotAllowedError') {
+      showError('Camera permission denied. Please allow camera access and reload.');
+    } else if (err.name === 'NotFoundError') {
+      showError('No camera found on this device.');
+    } else if (err.name === 'OverconstrainedError') {
+      showError('This camera does not support the selected mode.');
+    } else {
+      showError('Camera error: ' + err.message);
+    }
+  }
+
+  function cameraTrack() {
+    return state.cameraStream ? state.cameraStream.getVideoTracks()[0] : null;
+  }
+
+  // ─── Camera Settings ─────────────────────────────────────────────
+
+  /**
+   * Device picker plus per-track controls. Lenses are switched by reopening
+   * the stream with a new deviceId (the page never reloads); resolution and
+   * frame rate use applyConstraints on the live track. Zoom, torch, focus
+   * and exposure are image-capture constraints that only some browsers
+   * (mainly Android Chrome) expose through getCapabilities(); each control
+   * is shown only when the active track reports support for it.
+   */
+  const RESOLUTION_PRESETS = [
+    [3840, 2160],
+    [2560, 1440],
+    [1920, 1080],
+    [1280, 720],
+    [960, 540],
+    [640, 480],
+  ];
+  const FRAME_RATE_PRESETS = [24, 25, 30, 48, 50, 60, 120];
+
+  async function refreshCameraDevices() {
+    if (!navigator.mediaDevices.enumerateDevices) return;
+
+    const devices = (await navigator.mediaDevices.enumerateDevices())
+      .filter(d => d.kind === 'videoinput');
+
+    dom.cameraDevice.textContent = '';
+    devices.forEach((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || 'Camera ' + (index + 1);
+      dom.cameraDevice.appendChild(option);
+    });
+
+    if (state.cameraSettings.deviceId) {
+      dom.cameraDevice.value = state.cameraSettings.deviceId;
+    }
+  }
+
+  async function switchCamera(deviceId) {
+    if (state.isRecording || deviceId === state.cameraSettings.deviceId) return;
+
+    const previousId = state.cameraSettings.deviceId;
+    if (state.cameraStream) {
+      state.cameraStream.getTracks().forEach((track) => track.stop());
+    }
+
+    state.cameraSettings.deviceId = deviceId;
+    try {
+      await openCameraStream();
+      hideError();
+      saveSettings();
+    } catch (err) {
+      showCameraError(err);
+      // Fall back to the camera that was working
+      state.cameraSettings.deviceId = previousId;
+      dom.cameraDevice.value = previousId || '';
+      try {
+        await openCameraStream();
+      } catch (e) {
+        // Neither camera opened: drop the stopped stream, leave the error showing
+        stopCamera();
+      }
+    }
+  }
+
+  /** Rebuilds the mode and image controls from the active track's capabilities. */
+  function renderCameraCapabilities() {
+    const track = cameraTrack();
+    const caps = track && track.getCapabilities ? track.getCapabilities() : {};
+    const current = track && track.getSettings ? track.getSettings() : {};
+
+    // Resolution
+    dom.cameraResolution.textContent = '';
+    const maxW = caps.width ? caps.width.max : 1920;
+    const maxH = caps.height ? caps.height.max : 1080;
+    for (const [w, h] of RESOLUTION_PRESETS) {
+      if (Math.max(w, h) > Math.max(maxW, maxH) || Math.min(w, h) > Math.min(maxW, maxH)) continue;
+      const option = document.createElement('option');
+      option.value = w + 'x' + h;
+      option.textContent = h + 'p';
+      dom.cameraResolution.appendChild(option);
+    }
+    dom.cameraResolution.value = state.cameraSettings.width + 'x' + state.cameraSettings.height;
+
+    // Frame rate
+    dom.cameraFps.textContent = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = 'Auto';
+    dom.cameraFps.appendChild(auto);
+    const maxFps = caps.frameRate ? caps.frameRate.max : 30;
+    for (const fps of FRAME_RATE_PRESETS) {
+      if (fps > maxFps) continue;
+      const option = document.createElement('option');
+      option.value = String(fps);
+      option.textContent = fps + ' fps';
+      dom.cameraFps.appendChild(option);
+    }
+    dom.cameraFps.value = state.cameraSettings.frameRate ? String(state.cameraSettings.frameRate) : '';
+
+    // Zoom
+    setupRangeControl(dom.cameraZoom, dom.cameraZoomLabel, caps.zoom, current.zoom);
+
+    // Torch
+    dom.cameraTorchLabel.classList.toggle('hidden', !caps.torch);
+    dom.cameraTorch.checked = !!current.torch;
+
+    // Focus: continuous auto-focus, or manual distance when supported
+    const manualFocus = Array.isArray(caps.focusMode) && caps.focusMode.includes('manual') && caps.focusDistance;
+    dom.cameraFocusLabel.classList.toggle('hidden', !manualFocus);
+    dom.cameraFocusAuto.checked = current.focusMode !== 'manual';
+    setupRangeControl(dom.cameraFocus, null, manualFocus ? caps.focusDistance : null, current.focusDistance);
+    dom.cameraFocus.disabled = dom.cameraFocusAuto.checked;
+
+    // Exposure compensation (works alongside continuous auto-exposure)
+    setupRangeControl(dom.cameraExposure, dom.cameraExposureLabel, caps.exposureCompensation, current.exposureCompensation);
+  }
+
+  function setupRangeControl(input, label, range, value) {
+    const supported = range && typeof range.max === 'number' && range.max > range.min;
+    if (label) label.classList.toggle('hidden', !supported);
+    if (!supported) return;
+
+    input.min = String(range.min);
+    input.max = String(range.max);
+    input.step = String(range.step || (range.max - range.min) / 100);
+    input.value = String(value != null ? value : range.min);
+  }
+
+  async function applyCameraConstraints(constraints) {
+    const track = cameraTrack();
+    if (!track) return;
+    try {
+      await track.applyConstraints(constraints);
+      hideError();
+    } catch (err) {
+      showError('Camera setting not applied: ' + err.message);
+    }
+  }
+
+  /**
+   * Resolution and frame rate together: applyConstraints replaces the whole
+   * set, so leaving frameRate out (Auto) lets the camera pick its own again.
+   */
+  function modeConstraints() {
+    const settings = state.cameraSettings;
+    const constraints = { width: { ideal: settings.width }, height: { ideal: settings.height } };
+    if (settings.frameRate) constraints.frameRate = { ideal: settings.frameRate };
+    return constraints;
+  }
+
+  async function setCameraResolution(value) {
+    const [width, height] = value.split('x').map(Number);
+    state.cameraSettings.width = width;
+    state.cameraSettings.height = height;
+    await applyCameraConstraints(modeConstraints());
+    layoutPreview();
+    saveSettings();
+  }
+
+  async function setCameraFrameRate(value) {
+    state.cameraSettings.frameRate = value ? Number(value) : null;
+    await applyCameraConstraints(modeConstraints());
+    saveSettings();
+  }
+
+  function applyImageSetting(name, value) {
+    return applyCameraConstraints({ advanced: [{ [name]: value }] });
+  }
+
+  /** Frame rate recordings are captured at: the chosen one, else the camera's. */
+  function recordingFrameRate() {
+    if (state.encoding.fps) return state.encoding.fps;
+    const track = cameraTrack();
+    const actual = track && track.getSettings ? track.getSettings().frameRate : null;
+    return Math.round(state.cameraSettings.frameRate || actual || RECORD_FPS);
+  }
+
+  // ─── Audio ───────────────────────────────────────────────────────
+
+  /**
+   * Optional microphone capture, requested separately from the camera so a
+   * denied mic never blocks video. The mic runs through a small Web Audio
+   * graph:
+   *
+   *   mic → analyser          (input level meter)
+   *       → delay → recorder  (delayed by one frame to line up with the
+   *                            canvas, which draws each camera frame a
+   *                            frame late)
+   */
+  async function enableAudio() {
+    if (state.audio) return true;
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      showError('Microphone capture is not supported in this browser.');
+      return false;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+        video: false,
+      });
+    } catch (err) {
+      if (err.name === 'NotAllowedError') {
+        notePermission('microphone', 'denied');
+        showError('Microphone permission denied. Recordings will be silent.');
+      } else if (err.name === 'NotFoundError') {
+        showError('No microphone found. Recordings will be silent.');
+      } else {
+        showError('Microphone error: ' + err.message);
+      }
+      return false;
+    }
+    notePermission('microphone', 'granted');
+
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioCtx();
+    const source = context.createMediaStreamSource(stream);
+
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+
+    const delay = context.createDelay(1);
+    delay.delayTime.value = AUDIO_SYNC_DELAY_S;
+    const destination = context.createMediaStreamDestination();
+    source.connect(delay);
+    delay.connect(destination);
+
+    // Created inside the toggle's gesture, but Safari may still start suspended
+    if (context.state === 'suspended') {
+      try { await context.resume(); } catch (e) { /* ignore */ }
+    }
+
+    state.audio = {
+      stream,
+      context,
+      analyser,
+      destination,
+      levels: new Float32Array(analyser.fftSize),
+      meterFrame: null,
+    };
+
+    // A mic unplugged or revoked mid-session ends its track
+    stream.getAudioTracks().forEach((track) => {
+      track.addEventListener('ended', () => {
+        showError('Microphone disconnected. Recordings will be silent.');
+        disableAudio();
+      });
+    });
+
+    dom.audioMeter.classList.remove('hidden');
+    updateAudioMeter();
+    updateEncodingControls();
+    hideError();
+    return true;
+  }
+
+  function disableAudio() {
+    const audio = state.audio;
+    dom.toggleAudio.checked = false;
+    dom.audioMeter.classList.add('hidden');
+    if (!audio) return;
+
+    cancelAnimationFrame(audio.meterFrame);
+    audio.stream.getTracks().forEach((track) => track.stop());
+    audio.context.close().catch(() => { /* ignore */ });
+    state.audio = null;
+    updateEncodingControls();
+  }
+
+  /** Track to mix into recordings, or null when the mic is off. */
+  function recordingAudioTrack() {
+    if (!state.audio) return null;
+    return state.audio.destination.stream.getAudioTracks()[0] || null;
+  }
+
+  /**
+   * Input level meter: RMS of the latest analyser window on a dB scale
+   * (−60 dBFS → empty, 0 dBFS → full). Runs on its own frame loop because
+   * the main render loop only starts once motion is enabled.
+   */
+  function updateAudioMeter() {
+    const audio = state.audio;
+    if (!audio) return;
+    audio.meterFrame = requestAnimationFrame(updateAudioMeter);
+
+    audio.analyser.getFloatTimeDomainData(audio.levels);
+    let sum = 0;
+    for (let i = 0; i < audio.levels.length; i++) {
+      sum += audio.levels[i] * audio.levels[i];
+    }
+    const rms = Math.sqrt(sum / audio.levels.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const level = clamp((db + 60) / 60, 0, 1);
+
+    dom.audioMeterFill.style.width = (level * 100).toFixed(1) + '%';
+    dom.audioMeter.classList.toggle('clipping', db > -1);
+  }
+
+  // ─── Motion Sensors ──────────────────────────────────────────────
+
+  /**
+   * Sensor strategies, best first. 'auto' tries them in this order; the
+   * Motion Sensor panel can pin one. Roll needs gravity and rotation only,
+   * so everything after the first works without a magnetometer (which
+   * also means no compass heading, and no jumps near metal).
+   *
+   *   generic-sensor      AbsoluteOrientationSensor — Android Chrome
+   *   relative-sensor     RelativeOrientationSensor — no magnetometer
+   *   gyro-accel          Gyroscope + Accelerometer, fused in-app
+   *   device-orientation  DeviceOrientationEvent — iOS Safari and others
+   *   device-motion       devicemotion rotationRate + gravity, fused in-app
+   */
+  const SENSOR_STRATEGIES = {
+    'generic-sensor': {
+      label: 'Absolute orientation',
+      start: () => tryOrientationSensor('generic-sensor'),
+      api: 'AbsoluteOrientationSensor',
+      permissions: ['accelerometer', 'gyroscope', 'magnetometer'],
+      heading: true,
+    },
+    'relative-sensor': {
+      label: 'Relative orientation',
+      start: () => tryOrientationSensor('relative-sensor'),
+      api: 'RelativeOrientationSensor',
+      permissions: ['accelerometer', 'gyroscope'],
+    },
+    'gyro-accel': {
+      label: 'Gyroscope + accelerometer',
+      start: tryGyroAccel,
+      fused: true,
+    },
+    'device-orientation': {
+      label: 'Device orientation',
+      start: tryDeviceOrientation,
+      heading: true,
+    },
+    'device-motion': {
+      label: 'Device motion',
+      start: tryDeviceMotion,
+      fused: true,
+    },
+  };
+
+  /**
+   * Main entry point for enabling motion. Starts the chosen strategy, or
+   * the first one that works in auto mode.
+   *
+   * Must be called from a user gesture (button tap) for permissions to work.
+   * Resolves to true once a sensor is running.
+   */
+  function enableMotion() {
+    return withRequest(acquireMotion);
+  }
+
+  async function acquireMotion() {
+    const pinned = state.sensorStrategy !== 'auto';
+    const order = pinned ? [state.sensorStrategy] : Object.keys(SENSOR_STRATEGIES);
+
+    for (const type of order) {
+      if (await SENSOR_STRATEGIES[type].start()) {
+        onMotionReady(type);
+        return true;
+      }
+    }
+
+    if (pinned) {
+      showError(SENSOR_STRATEGIES[state.sensorStrategy].label +
+        ' is not available on this device. Choose Auto in the Motion Sensor settings.');
+    } else {
+      showMotionUnavailable();
+    }
+    return false;
+  }
+
+  /** Pins a strategy (or 'auto'); a running live sensor restarts on it. */
+  function setSensorStrategy(strategy) {
+    strategy = strategy in SENSOR_STRATEGIES ? strategy : 'auto';
+    const changed = strategy !== state.sensorStrategy;
+    state.sensorStrategy = strategy;
+    dom.sensorStrategy.value = strategy;
+
+    if (changed && liveSensorRunning()) {
+      stopMotion();
+      enableMotion();
+    }
+  }
+
+  function initSensorControls() {
+    const options = [['auto', 'Auto']].concat(
+      Object.entries(SENSOR_STRATEGIES).map(([key, spec]) => [key, spec.label])
+    );
+    for (const [value, label] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      dom.sensorStrategy.appendChild(option);
+    }
+    dom.sensorStrategy.value = state.sensorStrategy;
+  }
+
+  function updateSensorQualityDisplay() {
+    const quality = sensorQuality();
+    if (!quality) {
+      dom.sensorQuality.textContent = state.sensorType === 'trace-replay' ? 'Replaying a trace' : 'Not running';
+      delete dom.sensorQuality.dataset.rating;
+      return;
+    }
+    const parts = [quality.label];
+    if (quality.rateHz !== null) {
+      parts.push(quality.rateHz.toFixed(0) + ' Hz \u00B1' + quality.jitterMs.toFixed(1) + ' ms');
+    }
+    if (quality.accelTrusted !== null) {
+      parts.push(Math.round(quality.accelTrusted * 100) + '% steady gravity');
+    }
+    if (!quality.heading) parts.push('no compass');
+    dom.sensorQuality.textContent = parts.join(' \u00B7 ') + ' \u2014 ' + quality.rating;
+    dom.sensorQuality.dataset.rating = quality.rating;
+  }
+
+  function showMotionUnavailable() {
+    showError(
+      'Motion sensors unavailable. Ensure you are on a mobile device, ' +
+      'using HTTPS, and have granted sensor permissions in browser settings.'
+    );
+  }
+
+  /** Stops sensors and any trace replay; the preview returns to unrotated. */
+  function stopMotion() {
+    releaseMotion();
+    settleLifecycle();
+  }
+
+  function releaseMotion() {
+    if (state.isTraceRecording) stopTraceRecording();
+    stopLiveSensors();
+    stopRenderLoop();
+
+    state.replay = null;
+    dom.replayControls.classList.add('hidden');
+    state.motionEnabled = false;
+    state.sensorType = 'none';
+    state.level = null;
+    resetOrientation();
+    resetFilterPipeline();
+    applyPreviewTransform(0, 1);
+
+    dom.btnMotion.textContent = 'Enable Motion';
+    dom.btnMotion.disabled = !state.cameraStream;
+    updateSensorQualityDisplay();
+    dom.btnCalibrate.disabled = true;
+    dom.btnTraceRecord.disabled = true;
+    cancelCalibration();
+    dom.calibrationPanel.classList.add('hidden');
+    setLevelMode(false);
+
+    if (state.vision.worker) {
+      useVisionAlone();
+    }
+  }
+
+  /**
+   * Called when a sensor API is successfully activated.
+   */
+  function onMotionReady(sensorType) {
+    if (state.sensorType === 'vision') {
+      // Vision-only smoothing state means nothing to the sensor
+      resetFilterPipeline();
+    }
+    state.sensorType = sensorType;
+    state.motionEnabled = true;
+
+    dom.btnMotion.textContent = sensorType === 'trace-replay' ? 'Replaying Trace' : 'Motion Active';
+    dom.btnMotion.disabled = true;
+    dom.btnCalibrate.disabled = false;
+    dom.btnTraceRecord.disabled = sensorType === 'trace-replay';
+    updateLevelControls();
+
+    // Fused strategies carry the gyroscope rate in every sample
+    const strategy = SENSOR_STRATEGIES[sensorType];
+    if (strategy && !strategy.fused) {
+      startRateSensor();
+    }
+
+    startRenderLoop();
+    hideError();
+  }
+
+  // ─── Strategy 1: Generic Sensor API ──────────────────────────────
+
+  /**
+   * Starts AbsoluteOrientationSensor or RelativeOrientationSensor
+   * (Chromium 67+). Returns true if successfully started, false otherwise.
+   *
+   * Both provide a quaternion [x, y, z, w] (device → reference frame),
+   * which feeds the orientation model as-is. The relative sensor's yaw is
+   * arbitrary, but its roll and pitch are the same as the absolute one's.
+   */
+  async function tryOrientationSensor(type) {
+    const spec = SENSOR_STRATEGIES[type];
+    if (!(spec.api in window)) {
+      noteSensorAttempt(type, 'unsupported');
+      return false;
+    }
+    if (await sensorPermissionDenied(type, spec.permissions) || state.destroyed) {
+      return false;
+    }
+
+    return startGenericSensors(type, () => [
+      new window[spec.api]({ frequency: SENSOR_FREQUENCY_HZ, referenceFrame: 'device' }),
+    ], (sensor) => {
+      const q = sensor.quaternion;
+      if (!q || q.some(Number.isNaN)) return false;
+      const sample = { t: sensor.timestamp || performance.now(), quaternion: Array.from(q) };
+      if (!spec.heading) sample.relative = true;
+      ingestSample(sample);
+      return true;
+    });
+  }
+
+  /** Checks permissions via the Permissions API (Chromium); true if any is denied. */
+  async function sensorPermissionDenied(type, names) {
+    try {
+      const results = await Promise.all(names.map((name) => navigator.permissions.query({ name })));
+      names.forEach((name, i) => {
+        notePermission(name, results[i].state);
+      });
+
+      const denied = results.some(r => r.state === 'denied');
+      if (denied) {
+        noteSensorAttempt(type, 'permission denied');
+        return true;
+      }
+    } catch (e) {
+      // Permissions API query not supported for these names — continue anyway
+    }
+    return false;
+  }
+
+  /**
+   * Starts the sensors `create` returns and resolves to true once
+   * `onReading` has turned a reading into a sample (it returns true), or
+   * to false on an error or 2 seconds without one. An error after that is
+   * a lost sensor, handed to the lifecycle.
+   */
+  function startGenericSensors(type, create, onReading) {
+    return new Promise((resolve) => {
+      let sensors = [];
+      let resolved = false;
+
+      function finish(ok, result) {
+        if (resolved) return;
+        resolved = true;
+        noteSensorAttempt(type, result);
+        if (ok) {
+          state.sensorInstances = sensors;
+        } else {
+          sensors.forEach(stopSensorQuietly);
+        }
+        resolve(ok);
+      }
+
+      try {
+        sensors = create();
+        for (const sensor of sensors) {
+          sensor.addEventListener('reading', () => {
+            if (state.destroyed) {
+              sensor.stop();
+              return;
+            }
+            if (onReading(sensor)) {
+              state.hasReceivedData = true;
+              finish(true, 'ok');
+            }
+          });
+
+          sensor.addEventListener('error', (event) => {
+            const name = event.error ? event.error.name : 'unknown';
+            if (!resolved) {
+              finish(false, 'error: ' + name);
+            } else if (state.sensorInstances.includes(sensor)) {
+              noteSensorAttempt(type, 'failed: ' + name);
+              onSensorLost();
+            }
+          });
+        }
+
+        // Timeout: if no reading within 2 seconds, give up
+        setTimeout(() => finish(false, 'no reading'), 2000);
+
+        sensors.forEach((sensor) => sensor.start());
+      } catch (err) {
+        // SecurityError = blocked by Permissions-Policy
+        // ReferenceError = API not available
+        finish(false, 'error: ' + err.name);
+      }
+    });
+  }
+
+  function stopSensorQuietly(sensor) {
+    try { sensor.stop(); } catch (e) { /* ignore */ }
+  }
+
+  // ─── Strategy 2: DeviceOrientationEvent ──────────────────────────
+
+  /**
+   * Attempts to use the legacy DeviceOrientationEvent.
+   * On iOS 13+, requestPermission() must be called from a user gesture.
+   * Returns true if the event starts providing data.
+   */
+  async function tryDeviceOrientation() {
+    if (!('DeviceOrientationEvent' in window)) {
+      noteSensorAttempt('device-orientation', 'unsupported');
+      return false;
+    }
+
+    // iOS 13+ requires explicit permission via requestPermission()
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        const permission = await DeviceOrientationEvent.requestPermission();
+        notePermission('device-orientation', permission);
+        if (permission !== 'granted') {
+          noteSensorAttempt('device-orientation', 'permission denied');
+          return false;
+        }
+      } catch (err) {
+        notePermission('device-orientation', 'error: ' + err.name);
+        noteSensorAttempt('device-orientation', 'error: ' + err.name);
+        return false;
+      }
+    }
+    if (state.destroyed) return false;
+
+    return new Promise((resolve) => {
+      let resolved = false;
+      let attempts = 0;
+
+      function handler(event) {
+        attempts++;
+        const gamma = event.gamma;
+        const beta = event.beta;
+
+        ingestSample({ t: event.timeStamp, alpha: event.alpha, beta, gamma });
+
+        // Some browsers fire an initial event with null/zero — wait for real data
+        // Accept on first non-null reading, or after a few attempts
+        // (gamma can legitimately be 0 if device is flat)
+        if (gamma != null && !Number.isNaN(gamma) && (gamma !== 0 || attempts > 5)) {
+          state.hasReceivedData = true;
+        }
+
+        if (!resolved && attempts >= 3) {
+          resolved = true;
+          noteSensorAttempt('device-orientation', 'ok');
+          // Even if we only got zeros, keep listening — the device might be flat
+          resolve(true);
+        }
+      }
+
+      window.addEventListener('deviceorientation', handler);
+
+      // Also listen for the 'absolute' variant (some Android browsers prefer it)
+      function absoluteHandler(event) {
+        ingestSample({ t: event.timeStamp, alpha: event.alpha, beta: event.beta, gamma: event.gamma });
+        if (event.gamma != null && !Number.isNaN(event.gamma)) {
+          state.hasReceivedData = true;
+        }
+      }
+
+      window.addEventListener('deviceorientationabsolute', absoluteHandler);
+
+      // Store references for cleanup
+      state._doeHandler = handler;
+      state._doeAbsHandler = absoluteHandler;
+
+      // Timeout: if no events at all within 2 seconds, assume it won't work
+      setTimeout(() => {
+        if (!resolved) {
+          resolved = true;
+          if (attempts > 0) {
+            // We got events, even if zero — consider it working
+            noteSensorAttempt('device-orientation', 'ok');
+            resolve(true);
+          } else {
+            noteSensorAttempt('device-orientation', 'no events');
+            // No events at all — sensor not available
+            window.removeEventListener('deviceorientation', handler);
+            window.removeEventListener('deviceorientationabsolute', absoluteHandler);
+            state._doeHandler = null;
+            state._doeAbsHandler = null;
+            resolve(false);
+          }
+        }
+      }, 2000);
+    });
+  }
+
+  // ─── In-App Sensor Fusion ────────────────────────────────────────
+
+  /**
+   * For devices that expose raw rates and acceleration but no orientation:
+   * the Gyroscope + Accelerometer pair, or devicemotion. A complementary
+   * (Mahony-style) filter integrates the gyroscope into a quaternion and
+   * steers its up vector towards the accelerometer's with time constant
+   * FUSION_TILT_S, so gyro drift in roll and pitch never builds up. Yaw is
+   * free-running — roll doesn't need it.
+   *
+   * Readings whose magnitude is more than FUSION_ACCEL_TOLERANCE off 1 g
+   * include linear acceleration and are used for rotation only; the share
+   * of trusted readings goes into the sensor quality report.
+   */
+  async function tryGyroAccel() {
+    if (!('Gyroscope' in window) || !('Accelerometer' in window)) {
+      noteSensorAttempt('gyro-accel', 'unsupported');
+      return false;
+    }
+    if (await sensorPermissionDenied('gyro-accel', ['accelerometer', 'gyroscope']) || state.destroyed) {
+      return false;
+    }
+
+    resetFusion();
+    let accelerometer = null;
+    return startGenericSensors('gyro-accel', () => {
+      accelerometer = new Accelerometer({ frequency: SENSOR_FREQUENCY_HZ });
+      return [new Gyroscope({ frequency: SENSOR_FREQUENCY_HZ }), accelerometer];
+    }, (sensor) => {
+      if (sensor === accelerometer) {
+        state.fusion.accel = [sensor.x, sensor.y, sensor.z];
+        return false;
+      }
+      return fuseMotionSample(sensor.timestamp || performance.now(), [sensor.x, sensor.y, sensor.z]);
+    });
+  }
+
+  /**
+   * devicemotion gives both halves in one event: rotationRate in °/s
+   * (alpha about z, beta about x, gamma about y) and
+   * accelerationIncludingGravity in m/s². iOS 13+ asks permission first.
+   */
+  async function tryDeviceMotion() {
+    if (!('DeviceMotionEvent' in window)) {
+      noteSensorAttempt('device-motion', 'unsupported');
+      return false;
+    }
+
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        const permission = await DeviceMotionEvent.requestPermission();
+        notePermission('device-motion', permission);
+        if (permission !== 'granted') {
+          noteSensorAttempt('device-motion', 'permission denied');
+          return false;
+        }
+      } catch (err) {
+        notePermission('device-motion', 'error: ' + err.name);
+        noteSensorAttempt('device-motion', 'error: ' + err.name);
+        return false;
+      }
+    }
+    if (state.destroyed) return false;
+
+    resetFusion();
+    // WebKit reports accelerationIncludingGravity with the opposite sign
+    const sign = isAppleMobile() ? -1 : 1;
+
+    return new Promise((resolve) => {
+      let resolved = false;
+      let samples = 0;
+
+      function handler(event) {
+        const rate = event.rotationRate;
+        const a = event.accelerationIncludingGravity;
+        if (!rate || !a || rate.alpha == null || a.x == null) return;
+
+        state.fusion.accel = [a.x * sign, a.y * sign, a.z * sign];
+        const gyro = [rate.beta / RAD_TO_DEG, rate.gamma / RAD_TO_DEG, rate.alpha / RAD_TO_DEG];
+        if (!fuseMotionSample(event.timeStamp, gyro)) return;
+        state.hasReceivedData = true;
+
+        if (!resolved && ++samples >= 3) {
+          resolved = true;
+          noteSensorAttempt('device-motion', 'ok');
+          resolve(true);
+        }
+      }
+
+      window.addEventListener('devicemotion', handler);
+      state._dmHandler = handler;
+
+      // Timeout: no usable events within 2 seconds (desktops fire empty ones)
+      setTimeout(() => {
+        if (!resolved) {
+          resolved = true;
+          window.removeEventListener('devicemotion', handler);
+          state._dmHandler = null;
+          noteSensorAttempt('device-motion', 'no events');
+          resolve(false);
+        }
+      }, 2000);
+    });
+  }
+
+  function isAppleMobile() {
+    return /iPhone|iPad|iPod/.test(navigator.userAgent) ||
+      (/Macintosh/.test(navigator.userAgent) && navigator.maxTouchPoints > 1);
+  }
+
+  function resetFusion() {
+    state.fusion = { q: null, t: null, accel: null, trusted: 0, total: 0 };
+  }
+
+  /**
+   * Advances the fused orientation by one gyroscope reading (rad/s, device
+   * axes) using the latest acceleration, and ingests it as a quaternion
+   * sample. False until both sensors have reported.
+   */
+  function fuseMotionSample(t, gyro) {
+    const fusion = state.fusion;
+    const accel = fusion.accel;
+    if (!accel || gyro.some((v) => v == null || Number.isNaN(v))) return false;
+    const g = Math.hypot(accel[0], accel[1], accel[2]);
+    if (!(g > 0)) return false;
+    const measured = [accel[0] / g, accel[1] / g, accel[2] / g];
+
+    if (!fusion.q) {
+      fusion.q = quaternionFromUp(measured);
+    } else {
+      const trusted = Math.abs(g - STANDARD_GRAVITY) <= STANDARD_GRAVITY * FUSION_ACCEL_TOLERANCE;
+      fusion.total++;
+      if (trusted) fusion.trusted++;
+
+      // Error axis measured × estimated turns the estimate towards gravity
+      const up = upVectorFromQuaternion(fusion.q);
+      const k = trusted ? 1 / FUSION_TILT_S : 0;
+      const w = [
+        gyro[0] + k * (measured[1] * up[2] - measured[2] * up[1]),
+        gyro[1] + k * (measured[2] * up[0] - measured[0] * up[2]),
+        gyro[2] + k * (measured[0] * up[1] - measured[1] * up[0]),
+      ];
+      const dt = sampleDt({ t: fusion.t }, { t });
+      fusion.q = normalizeQuaternion(multiplyQuaternions(fusion.q, rotationQuaternion(w, dt)));
+    }
+    fusion.t = t;
+
+    ingestSample({ t, quaternion: fusion.q.slice(), rate: -gyro[2] * RAD_TO_DEG, relative: true });
+    return true;
+  }
+
+  /** Shortest rotation taking the device's `up` to world +z (yaw 0). */
+  function quaternionFromUp(up) {
+    if (up[2] < -0.9999) return [1, 0, 0, 0];
+    return normalizeQuaternion([up[1], -up[0], 0, 1 + up[2]]);
+  }
+
+  /** Rotation by angular velocity `w` (rad/s) held for `dt` seconds. */
+  function rotationQuaternion(w, dt) {
+    const speed = Math.hypot(w[0], w[1], w[2]);
+    if (!(speed > 0)) return [0, 0, 0, 1];
+    const s = Math.sin(speed * dt / 2) / speed;
+    return [w[0] * s, w[1] * s, w[2] * s, Math.cos(speed * dt / 2)];
+  }
+
+  function normalizeQuaternion(q) {
+    const n = Math.hypot(q[0], q[1], q[2], q[3]);
+    return [q[0] / n, q[1] / n, q[2] / n, q[3] / n];
+  }
+
+  // ─── Orientation Model ───────────────────────────────────────────
+
+  /**
+   * Quaternion from DeviceOrientationEvent angles (W3C intrinsic Z-X'-Y''):
+   *   q = qz(alpha) · qx(beta) · qy(gamma)
+   * alpha may be null on devices without a compass; roll and pitch do not
+   * depend on it, so 0 is a safe substitute.
+   */
+  function quaternionFromEuler(alpha, beta, gamma) {
+    const a = (alpha || 0) / RAD_TO_DEG / 2;
+    const b = beta / RAD_TO_DEG / 2;
+    const g = gamma / RAD_TO_DEG / 2;
+
+    const ca = Math.cos(a), sa = Math.sin(a);
+    const cb = Math.cos(b), sb = Math.sin(b);
+    const cg = Math.cos(g), sg = Math.sin(g);
+
+    return [
+      cg * sb * ca - sg * cb * sa,
+      sg * cb * ca + cg * sb * sa,
+      cg * cb * sa + sg * sb * ca,
+      cg * cb * ca - sg * sb * sa,
+    ];
+  }
+
+  /** Hamilton product a · b of two [x, y, z, w] quaternions. */
+  function multiplyQuaternions(a, b) {
+    return [
+      a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+      a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+      a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+      a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2],
+    ];
+  }
+
+  function conjugateQuaternion(q) {
+    return [-q[0], -q[1], -q[2], q[3]];
+  }
+
+  /**
+   * World "up" (0, 0, 1) expressed in device coordinates, i.e. the third row
+   * of the device → world rotation matrix. Gravity points the opposite way.
+   */
+  function upVectorFromQuaternion(q) {
+    const x = q[0], y = q[1], z = q[2], w = q[3];
+    return [
+      2 * (x * z - w * y),
+      2 * (y * z + w * x),
+      1 - 2 * (x * x + y * y),
+    ];
+  }
+
+  /**
+   * Updates the orientation model from one sensor sample. Returns false if
+   * the sample carries no usable orientation.
+   *
+   * Roll is the angle between the device's y-axis and the up vector
+   * projected onto the screen plane:  roll = atan2(−up.x, up.y).
+   * That is well defined in any holding pose except screen-up / screen-down,
+   * where the projection vanishes. Near those poses we instead carry the
+   * previous roll forward by the device's own twist around its screen
+   * normal, blending back to the gravity reference as it becomes usable.
+   */
+  function updateOrientation(sample) {
+    let q = sample.quaternion;
+    if (!q) {
+      if (sample.beta == null || sample.gamma == null ||
+          Number.isNaN(sample.beta) || Number.isNaN(sample.gamma)) {
+        return false;
+      }
+      q = quaternionFromEuler(sample.alpha, sample.beta, sample.gamma);
+    }
+
+    const o = state.orientation;
+    const rawUp = upVectorFromQuaternion(q);
+    const up = removeSensorBias(rawUp);
+    const horizontal = Math.hypot(up[0], up[1]);
+    const gravityRoll = Math.atan2(-up[0], up[1]) * RAD_TO_DEG;
+
+    let roll = gravityRoll;
+    if (o.valid) {
+      // Rotation since the last sample, in device coordinates
+      const delta = multiplyQuaternions(conjugateQuaternion(o.quaternion), q);
+      const twist = 2 * Math.atan2(delta[2], delta[3]) * RAD_TO_DEG;
+      const tracked = o.roll - twist;
+
+      const weight = smoothstep(FLAT_POSE_MIN, FLAT_POSE_MAX, horizontal);
+      roll = angleDelta(tracked + weight * angleDelta(gravityRoll, tracked), 0);
+    }
+
+    o.quaternion = q;
+    o.up = up;
+    o.rawUp = rawUp;
+    o.roll = roll;
+    o.pitch = Math.atan2(up[1], up[2]) * RAD_TO_DEG;
+    o.tiltX = Math.asin(clamp(-up[0], -1, 1)) * RAD_TO_DEG;
+    o.tiltY = Math.asin(clamp(up[1], -1, 1)) * RAD_TO_DEG;
+    // Without a magnetometer yaw (and so heading) is arbitrary
+    o.heading = (sample.quaternion && !sample.relative) || sample.alpha != null ? headingFromQuaternion(q) : null;
+    o.valid = true;
+    return true;
+  }
+
+  /**
+   * Compass heading of the rear camera in degrees clockwise from north:
+   * the world-frame direction of the device's −z axis (the third column of
+   * the rotation matrix, negated). Pointed nearly straight up or down the
+   * camera has no heading, so the direction of the device's top edge is
+   * used instead, as map apps do.
+   */
+  function headingFromQuaternion(q) {
+    const x = q[0], y = q[1], z = q[2], w = q[3];
+    const camera = [-2 * (x * z + w * y), -2 * (y * z - w * x)];
+    const top = [2 * (x * y - w * z), 1 - 2 * (x * x + z * z)];
+    const v = Math.hypot(camera[0], camera[1]) > FLAT_POSE_MAX ? camera : top;
+    return (Math.atan2(v[0], v[1]) * RAD_TO_DEG + 360) % 360;
+  }
+
+  /**
+   * Corrects a raw up vector by the calibrated sensor bias. The bias is
+   * stored as tilt angles; as up-vector components it is
+   * (−sin biasRoll, sin biasPitch, 0).
+   */
+  function removeSensorBias(up) {
+    const cal = state.calibration;
+    if (!cal.biasRoll && !cal.biasPitch) return up;
+    const x = up[0] + Math.sin(cal.biasRoll / RAD_TO_DEG);
+    const y = up[1] - Math.sin(cal.biasPitch / RAD_TO_DEG);
+    const n = Math.hypot(x, y, up[2]);
+    return [x / n, y / n, up[2] / n];
+  }
+
+  /** Forgets roll continuity so the next sample is taken at face value. */
+  function resetOrientation() {
+    state.orientation.valid = false;
+    state.stillness.samples = [];
+    state.stillness.since = null;
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function smoothstep(edge0, edge1, x) {
+    const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+  }
+
+  // ─── Sample Ingest ───────────────────────────────────────────────
+
+  /**
+   * Single entry point for sensor readings from every strategy.
+   * Updates the orientation model, runs the filter pipeline and, while a
+   * trace is being recorded, appends the sample to it.
+   *
+   * sample: { t, quaternion?, alpha?, beta?, gamma?, rate? } — t in ms (sensor
+   * clock), rate = gyroscope roll rate in deg/s
+   */
+  function ingestSample(sample) {
+    if (sample.rate == null && state.rawRollRate != null) {
+      sample = Object.assign({ rate: state.rawRollRate }, sample);
+    }
+
+    const previousRoll = state.orientation.valid ? state.orientation.roll : null;
+    if (updateOrientation(sample)) {
+      updateRollRate(sample, previousRoll);
+      runFilterPipeline({ t: sample.t, value: state.orientation.roll, rate: sample.rate });
+      updateStillness(sample.t);
+      recordDiagnosticSample(sample);
+      if (state.calibrationRun) {
+        advanceCalibration(sample.t);
+      } else if (state.calibration.autoZero) {
+        checkAutoZero(sample.t);
+      }
+    }
+
+    if (state.isTraceRecording) {
+      captureTraceSample(sample);
+    }
+
+    if (state.sidecar && recordingLive()) {
+      captureSidecarSample(sample);
+    }
+  }
+
+  /**
+   * Tracks the roll rate the rolling-shutter correction needs: the gyroscope
+   * rate when there is one, otherwise the low-passed change in roll between
+   * sample timestamps.
+   */
+  function updateRollRate(sample, previousRoll) {
+    const previousT = state.lastSampleT;
+    state.lastSampleT = sample.t;
+
+    if (sample.rate != null) {
+      state.rollRate = sample.rate;
+      return;
+    }
+    if (previousRoll == null || previousT == null) {
+      state.rollRate = 0;
+      return;
+    }
+
+    const dt = sampleDt({ t: previousT }, sample);
+    const rate = angleDelta(state.orientation.roll, previousRoll) / dt;
+    state.rollRate += (rate - state.rollRate) * lowPassAlpha(ROLL_RATE_CUTOFF_HZ, dt);
+  }
+
+  /**
+   * Stops whichever live sensor strategy is running. Used before switching
+   * to replay and on teardown.
+   */
+  function stopLiveSensors() {
+    state.sensorInstances.forEach(stopSensorQuietly);
+    state.sensorInstances = [];
+
+    if (state._dmHandler) {
+      window.removeEventListener('devicemotion', state._dmHandler);
+      state._dmHandler = null;
+    }
+
+    if (state._doeHandler) {
+      window.removeEventListener('deviceorientation', state._doeHandler);
+      state._doeHandler = null;
+    }
+
+    if (state._doeAbsHandler) {
+      window.removeEventListener('deviceorientationabsolute', state._doeAbsHandler);
+      state._doeAbsHandler = null;
+    }
+
+    stopRateSensor();
+  }
+
+  /**
+   * Listens to devicemotion for the gyroscope roll rate, which the
+   * complementary filter integrates between orientation readings.
+   * Optional — every other filter works without it.
+   *
+   * Roll is rotation around the screen normal (z); rotationRate.alpha is
+   * counter-clockwise positive, roll is clockwise positive.
+   */
+  function startRateSensor() {
+    if (!('DeviceMotionEvent' in window) || state._motionHandler) return;
+
+    function motionHandler(event) {
+      const rate = event.rotationRate && event.rotationRate.alpha;
+      if (rate != null && !Number.isNaN(rate)) {
+        state.rawRollRate = -rate;
+      }
+    }
+
+    window.addEventListener('devicemotion', motionHandler);
+    state._motionHandler = motionHandler;
+  }
+
+  function stopRateSensor() {
+    if (state._motionHandler) {
+      window.removeEventListener('devicemotion', state._motionHandler);
+      state._motionHandler = null;
+    }
+    state.rawRollRate = null;
+  }
+
+  // ─── Strategy 3: Trace Recording & Replay ────────────────────────
+
+  /**
+   * Trace file format (JSON):
+   *   {
+   *     format: 'gyrocam-trace', version: 1,
+   *     sensorType: a SENSOR_STRATEGIES key, e.g. 'generic-sensor',
+   *     recordedAt: ISO date string,
+   *     duration: ms,
+   *     samples: [{ t, quaternion?, alpha?, beta, gamma, rate?, relative? }, ...]
+   *   }
+   * Sample times are ms relative to the first sample. `relative` marks a
+   * quaternion whose yaw is not referenced to north.
+   */
+  function startTraceRecording() {
+    state.traceSamples = [];
+    state.traceStartTime = 0;
+    state.traceSensorType = state.sensorType;
+    state.isTraceRecording = true;
+
+    dom.btnTraceRecord.textContent = 'Stop Trace';
+    dom.btnTraceRecord.classList.add('recording');
+  }
+
+  function stopTraceRecording() {
+    state.isTraceRecording = false;
+
+    dom.btnTraceRecord.textContent = 'Record Trace';
+    dom.btnTraceRecord.classList.remove('recording');
+
+    if (state.traceSamples.length === 0) {
+      showError('No sensor samples were captured for this trace.');
+      return;
+    }
+
+    const samples = state.traceSamples;
+    const trace = {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      sensorType: state.traceSensorType,
+      recordedAt: new Date().toISOString(),
+      duration: samples[samples.length - 1].t,
+      samples,
+    };
+
+    const blob = new Blob([JSON.stringify(trace)], { type: 'application/json' });
+    downloadBlob(blob, 'gyrocam-trace-' + fileTimestamp() + '.json');
+    state.traceSamples = [];
+  }
+
+  function captureTraceSample(sample) {
+    if (state.traceSamples.length === 0) {
+      state.traceStartTime = sample.t;
+    }
+
+    const entry = { t: +(sample.t - state.traceStartTime).toFixed(3) };
+    if (sample.quaternion) entry.quaternion = sample.quaternion.slice();
+    if (sample.alpha != null) entry.alpha = sample.alpha;
+    if (sample.beta != null) entry.beta = sample.beta;
+    if (sample.gamma != null) entry.gamma = sample.gamma;
+    if (sample.rate != null) entry.rate = sample.rate;
+    if (sample.relative) entry.relative = true;
+
+    state.traceSamples.push(entry);
+  }
+
+  /**
+   * Validates a parsed trace object. Throws with a user-facing message if
+   * the file is not something we can replay.
+   */
+  function parseTrace(data) {
+    if (!data || data.format !== TRACE_FORMAT) {
+      throw new Error('Not a GyroCam trace file.');
+    }
+    if (data.version > TRACE_VERSION) {
+      throw new Error('Trace version ' + data.version + ' is newer than this app supports.');
+    }
+    if (!Array.isArray(data.samples) || data.samples.length === 0) {
+      throw new Error('Trace contains no samples.');
+    }
+
+    const samples = data.samples
+      .filter(s => s && typeof s.t === 'number' && !Number.isNaN(s.t))
+      .sort((a, b) => a.t - b.t);
+    if (samples.length === 0) {
+      throw new Error('Trace contains no valid samples.');
+    }
+
+    return {
+      sensorType: data.sensorType || 'unknown',
+      duration: samples[samples.length - 1].t,
+      samples,
+    };
+  }
+
+  async function loadTraceFromFile(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      startReplay(parseTrace(data));
+    } catch (err) {
+      showError('Could not load trace: ' + err.message);
+    }
+  }
+
+  async function loadTraceFromUrl(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+      startReplay(parseTrace(await response.json()));
+    } catch (err) {
+      showError('Could not load trace: ' + err.message);
+    }
+  }
+
+  /**
+   * Replaces any live sensor with the given trace. Samples are fed through
+   * ingestSample() from the render loop, so everything downstream (smoothing,
+   * calibration, recording) behaves exactly as it does with a real sensor.
+   */
+  function startReplay(trace, clock) {
+    if (state.isTraceRecording) {
+      stopTraceRecording();
+    }
+    stopLiveSensors();
+
+    state.replay = {
+      trace,
+      cursor: 0,
+      position: 0,
+      speed: Number(dom.replaySpeed.value) || 1,
+      playing: true,
+      lastNow: performance.now(),
+      clock: clock || null,   // Optional external position source (ms), e.g. a video's currentTime
+    };
+
+    seekReplay(clock ? clock() : 0);
+
+    // An external clock owns play/pause/seek, so the replay bar is not needed
+    dom.replayControls.classList.toggle('hidden', !!clock);
+    dom.btnReplayToggle.textContent = 'Pause';
+    dom.btnTraceRecord.disabled = true;
+
+    onMotionReady('trace-replay');
+    settleLifecycle();
+  }
+
+  /**
+   * Moves the replay cursor to `position` (ms) and applies the most recent
+   * sample at or before it. The filter is reset so a seek lands exactly on
+   * the recorded value instead of gliding towards it.
+   */
+  function seekReplay(position) {
+    const replay = state.replay;
+    if (!replay) return;
+
+    const samples = replay.trace.samples;
+    replay.position = replay.clock ? position : Math.max(0, Math.min(replay.trace.duration, position));
+
+    // Binary search for the first sample after the new position
+    let lo = 0;
+    let hi = samples.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].t <= replay.position) lo = mid + 1; else hi = mid;
+    }
+    replay.cursor = lo;
+
+    resetOrientation();
+    if (lo > 0) {
+      ingestSample(samples[lo - 1]);
+    }
+    resetFilterPipeline();
+
+    updateReplayControls();
+  }
+
+  /**
+   * Called once per frame. Advances the replay clock by wall time × speed
+   * (or reads the external clock) and emits every sample whose timestamp has
+   * been reached, in order. An external clock moving backwards is a seek.
+   */
+  function advanceReplay(now) {
+    const replay = state.replay;
+    if (!replay) return;
+
+    const dt = now - replay.lastNow;
+    replay.lastNow = now;
+
+    if (replay.clock) {
+      const position = replay.clock();
+      if (position < replay.position) {
+        seekReplay(position);
+        return;
+      }
+      replay.position = position;
+    } else {
+      if (!replay.playing) return;
+      replay.position = Math.min(replay.trace.duration, replay.position + dt * replay.speed);
+    }
+
+    const samples = replay.trace.samples;
+    while (replay.cursor < samples.length && samples[replay.cursor].t <= replay.position) {
+      ingestSample(samples[replay.cursor]);
+      replay.cursor++;
+    }
+
+    if (!replay.clock && replay.cursor >= samples.length) {
+      setReplayPlaying(false);
+    }
+
+    updateReplayControls();
+  }
+
+  function setReplayPlaying(playing) {
+    const replay = state.replay;
+    if (!replay) return;
+
+    // Restart from the beginning when play is pressed at the end
+    if (playing && replay.cursor >= replay.trace.samples.length) {
+      seekReplay(0);
+    }
+
+    replay.playing = playing;
+    replay.lastNow = performance.now();
+    dom.btnReplayToggle.textContent = playing ? 'Pause' : 'Play';
+  }
+
+  function updateReplayControls() {
+    const replay = state.replay;
+    if (!replay) return;
+
+    const duration = replay.trace.duration;
+    dom.replaySeek.max = String(Math.round(duration));
+    dom.replaySeek.value = String(Math.round(replay.position));
+    dom.replayTime.textContent =
+      formatReplayTime(replay.position) + ' / ' + formatReplayTime(duration);
+  }
+
+  function formatReplayTime(ms) {
+    const totalTenths = Math.floor(ms / 100);
+    const mins = String(Math.floor(totalTenths / 600)).padStart(2, '0');
+    const secs = ((totalTenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return mins + ':' + secs;
+  }
+
+  // ─── Vision Horizon ──────────────────────────────────────────────
+
+  /**
+   * Levels from what the camera sees. Every VISION_INTERVAL_MS a frame is
+   * scaled down to HORIZON_ANALYSIS_WIDTH and sent to horizon-worker.js,
+   * which returns the dominant near-horizontal line's angle and a
+   * confidence (see horizon.js). One frame is in flight at a time, so a
+   * slow device just analyses fewer frames.
+   *
+   * The angle is in the video's own frame, i.e. directly comparable with
+   * the calibrated, screen-adjusted tilt that tick() corrects:
+   *
+   *   with motion     Fusion. The difference between vision and the sensor
+   *                   tilt at the moment the frame was taken is low-passed
+   *                   (VISION_FUSION_S, scaled by confidence) into an
+   *                   offset added to the sensor tilt. Gyro speed, with
+   *                   drift pulled towards the visible horizon.
+   *   without motion  Vision alone. Detections go through the smoothing
+   *                   pipeline in place of sensor samples.
+   *
+   * Only live camera frames are analysed: a re-stabilized clip already has
+   * its recorded rotation baked in.
+   */
+  function startVision() {
+    const vision = state.vision;
+    if (vision.worker || !state.cameraStream || state.post) return;
+
+    try {
+      vision.worker = new Worker(new URL('./horizon-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      showError('Horizon detection is not supported in this browser.');
+      return;
+    }
+    vision.worker.addEventListener('message', onVisionResult);
+    vision.worker.addEventListener('error', onVisionError);
+
+    if (!state.motionEnabled) {
+      useVisionAlone();
+    }
+  }
+
+  function stopVision() {
+    const vision = state.vision;
+    if (!vision.worker) return;
+    vision.worker.terminate();
+    vision.worker = null;
+    vision.pending = null;
+    vision.angle = null;
+    vision.confidence = 0;
+    vision.offset = 0;
+
+    if (state.sensorType === 'vision') {
+      state.sensorType = 'none';
+      state.level = null;
+      stopRenderLoop();
+      resetFilterPipeline();
+      applyPreviewTransform(0, 1);
+    }
+  }
+
+  /** Vision becomes the tilt source while no motion sensor is running. */
+  function useVisionAlone() {
+    state.sensorType = 'vision';
+    state.vision.offset = 0;
+    resetFilterPipeline();
+    startRenderLoop();
+  }
+
+  /** Module workers are missing in older browsers; the worker then fails to load. */
+  function onVisionError(e) {
+    e.preventDefault();
+    stopVision();
+    state.vision.enabled = false;
+    dom.toggleVision.checked = false;
+    showError('Horizon detection is not supported in this browser.');
+  }
+
+  /** Sends the current frame to the worker when it is free and one is due. */
+  function requestVisionFrame(now, sensorTilt) {
+    const vision = state.vision;
+    const video = dom.camera;
+    if (vision.pending || now - vision.lastRequest < VISION_INTERVAL_MS) return;
+    if (video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return;
+
+    if (!vision.canvas) {
+      vision.canvas = document.createElement('canvas');
+    }
+    const canvas = vision.canvas;
+    const width = HORIZON_ANALYSIS_WIDTH;
+    const height = Math.round(width * video.videoHeight / video.videoWidth);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, width, height);
+    const image = ctx.getImageData(0, 0, width, height);
+
+    vision.lastRequest = now;
+    vision.pending = { id: ++vision.frameId, sensorTilt };
+    vision.worker.postMessage(
+      { id: vision.frameId, width, height, buffer: image.data.buffer },
+      [image.data.buffer]
+    );
+  }
+
+  function onVisionResult(e) {
+    const vision = state.vision;
+    const pending = vision.pending;
+    if (!pending || e.data.id !== pending.id) return;
+    vision.pending = null;
+    vision.angle = e.data.angle;
+    vision.confidence = e.data.confidence;
+    if (e.data.angle === null || e.data.confidence < VISION_MIN_CONFIDENCE) return;
+
+    const now = performance.now();
+    if (state.sensorType === 'vision') {
+      // tick() re-applies calibration and screen angle; vision needs neither
+      runFilterPipeline({ t: now, value: angleDelta(e.data.angle + state.calibrationOffset - state.screenAngle, 0) });
+      state.hasReceivedData = true;
+      return;
+    }
+
+    const error = angleDelta(e.data.angle, pending.sensorTilt);
+    const dt = vision.lastFused ? (now - vision.lastFused) / 1000 : 0;
+    vision.lastFused = now;
+    if (Math.abs(angleDelta(error, vision.offset)) > VISION_MAX_DISAGREE_DEG) return;
+    const gain = (1 - Math.exp(-dt / VISION_FUSION_S)) * e.data.confidence;
+    vision.offset = angleDelta(vision.offset + angleDelta(error, vision.offset) * gain, 0);
+  }
+
+  function setVisionEnabled(enabled) {
+    state.vision.enabled = enabled;
+    dom.toggleVision.checked = enabled;
+    if (enabled) startVision(); else stopVision();
+  }
+
+  // ─── Smoothing (Filter Pipeline) ─────────────────────────────────
+
+  /**
+   * Raw roll samples pass through an ordered list of stages before reaching
+   * the render loop. Each stage runs a filter from FILTERS, chosen at runtime.
+   *
+   * Filters are pure: step(prev, sample, params) → next, where `prev` is the
+   * previous filter state (null on the first sample) and `next.value` is the
+   * filtered angle. Every step is driven by the sample timestamps (dt), not
+   * by animation frames, so the result is the same at 30 or 120 fps.
+   *
+   * sample: { t (ms), value (deg), rate? (deg/s from a gyroscope) }
+   */
+  const FILTERS = {
+    none: {
+      label: 'None',
+      params: {},
+      step(prev, sample) {
+        return { t: sample.t, value: sample.value };
+      },
+    },
+
+    /**
+     * Exponential low-pass: smoothed += a * (raw - smoothed).
+     * `alpha` is specified per 60 Hz frame and rescaled for the real dt.
+     */
+    ema: {
+      label: 'Low-pass (EMA)',
+      params: {
+        alpha: { label: 'Alpha', min: 0.01, max: 1, step: 0.01, default: SMOOTHING_ALPHA },
+      },
+      step(prev, sample, params) {
+        if (!prev) return { t: sample.t, value: sample.value };
+        const a = 1 - Math.pow(1 - params.alpha, frameRatio(prev, sample));
+        return { t: sample.t, value: prev.value + a * angleDelta(sample.value, prev.value) };
+      },
+    },
+
+    /**
+     * One-Euro filter (Casiez et al. 2012): a low-pass whose cutoff rises
+     * with speed, so it is smooth when held still and responsive on pans.
+     */
+    oneEuro: {
+      label: 'One-Euro',
+      params: {
+        minCutoff: { label: 'Min cutoff (Hz)', min: 0.05, max: 5, step: 0.05, default: 0.8 },
+        beta: { label: 'Speed coeff', min: 0, max: 0.2, step: 0.001, default: 0.02 },
+        dCutoff: { label: 'Deriv. cutoff (Hz)', min: 0.1, max: 5, step: 0.1, default: 1 },
+      },
+      step(prev, sample, params) {
+        if (!prev) return { t: sample.t, value: sample.value, dValue: 0 };
+        const dt = sampleDt(prev, sample);
+        const rawDerivative = angleDelta(sample.value, prev.value) / dt;
+        const dValue = prev.dValue + lowPassAlpha(params.dCutoff, dt) * (rawDerivative - prev.dValue);
+        const cutoff = params.minCutoff + params.beta * Math.abs(dValue);
+        const value = prev.value + lowPassAlpha(cutoff, dt) * angleDelta(sample.value, prev.value);
+        return { t: sample.t, value, dValue };
+      },
+    },
+
+    /**
+     * 1D Kalman filter with a constant-angle model. Process noise grows the
+     * estimate's variance with elapsed time; measurement noise sets how much
+     * each reading is trusted.
+     */
+    kalman: {
+      label: 'Kalman',
+      params: {
+        processNoise: { label: 'Process noise', min: 1, max: 500, step: 1, default: 40 },
+        measurementNoise: { label: 'Meas. noise', min: 0.01, max: 10, step: 0.01, default: 0.5 },
+      },
+      step(prev, sample, params) {
+        if (!prev) return { t: sample.t, value: sample.value, variance: params.measurementNoise };
+        const predicted = prev.variance + params.processNoise * sampleDt(prev, sample);
+        const gain = predicted / (predicted + params.measurementNoise);
+        return {
+          t: sample.t,
+          value: prev.value + gain * angleDelta(sample.value, prev.value),
+          variance: (1 - gain) * predicted,
+        };
+      },
+    },
+
+    /**
+     * Complementary filter: integrates the gyroscope rate for short-term
+     * accuracy and pulls towards the absolute (gravity-referenced) angle with
+     * time constant `tau`. Without a gyro rate it degrades to a plain
+     * low-pass with the same time constant.
+     */
+    complementary: {
+      label: 'Complementary',
+      params: {
+        tau: { label: 'Time const. (s)', min: 0.05, max: 3, step: 0.05, default: 0.5 },
+      },
+      step(prev, sample, params) {
+        if (!prev) return { t: sample.t, value: sample.value };
+        const dt = sampleDt(prev, sample);
+        const a = params.tau / (params.tau + dt);
+        const predicted = prev.value + (sample.rate || 0) * dt;
+        return { t: sample.t, value: predicted + (1 - a) * angleDelta(sample.value, predicted) };
+      },
+    },
+  };
+
+  // Nominal sample spacing used when timestamps are missing or jump
+  const NOMINAL_DT_S = 1 / SENSOR_FREQUENCY_HZ;
+  const MAX_SAMPLE_GAP_S = 0.5;
+
+  /** Elapsed seconds between two samples, clamped against clock jumps. */
+  function sampleDt(prev, sample) {
+    const dt = (sample.t - prev.t) / 1000;
+    if (!(dt > 0) || dt > MAX_SAMPLE_GAP_S) return NOMINAL_DT_S;
+    return dt;
+  }
+
+  /** Elapsed time expressed in 60 Hz frames (1.0 at the reference rate). */
+  function frameRatio(prev, sample) {
+    return sampleDt(prev, sample) / NOMINAL_DT_S;
+  }
+
+  /** Smoothing factor of a first-order low-pass at `cutoff` Hz for step dt. */
+  function lowPassAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /** Shortest signed difference a − b in degrees, in [−180, 180). */
+  function angleDelta(a, b) {
+    return ((a - b + 540) % 360) - 180;
+  }
+
+  function defaultFilterParams(type) {
+    const params = {};
+    for (const [key, spec] of Object.entries(FILTERS[type].params)) {
+      params[key] = spec.default;
+    }
+    return params;
+  }
+
+  /**
+   * Runs one roll sample through every pipeline stage and stores the result
+   * in state.smoothedRoll.
+   */
+  function runFilterPipeline(sample) {
+    let value = sample.value;
+    for (const stage of state.filterPipeline) {
+      const filter = FILTERS[stage.type] || FILTERS.none;
+      const next = filter.step(stage.state, { t: sample.t, value, rate: sample.rate }, stage.params);
+
+      // Guard against NaN propagation
+      if (Number.isNaN(next.value)) {
+        stage.state = null;
+        continue;
+      }
+
+      stage.state = next;
+      value = next.value;
+    }
+    state.smoothedRoll = angleDelta(value, 0);
+  }
+
+  /** Drops all filter history so the next sample is passed straight through. */
+  function resetFilterPipeline() {
+    for (const stage of state.filterPipeline) {
+      stage.state = null;
+    }
+    state.smoothedRoll = state.orientation.roll;
+    state.diagnostics.pitchStates = new WeakMap();
+    state.diagnostics.filteredPitch = state.orientation.pitch;
+  }
+
+  function getSmoothingStage() {
+    return state.filterPipeline.find(stage => stage.id === 'smoothing');
+  }
+
+  function setSmoothingFilter(type) {
+    if (!FILTERS[type]) return;
+    const stage = getSmoothingStage();
+    stage.type = type;
+    stage.params = Object.assign(defaultFilterParams(type), state.filterParams[type]);
+    stage.state = null;
+    renderFilterParams();
+    saveSettings();
+  }
+
+  function setSmoothingParam(key, value) {
+    const stage = getSmoothingStage();
+    stage.params[key] = value;
+    state.filterParams[stage.type] = Object.assign({}, stage.params);
+    saveSettings();
+  }
+
+  /** Builds a labelled slider for each parameter of the active filter. */
+  function renderFilterParams() {
+    const stage = getSmoothingStage();
+    const specs = FILTERS[stage.type].params;
+    dom.filterSelect.value = stage.type;
+    dom.filterParams.textContent = '';
+
+    for (const [key, spec] of Object.entries(specs)) {
+      const label = document.createElement('label');
+      label.className = 'filter-param';
+
+      const name = document.createElement('span');
+      name.textContent = spec.label;
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = String(spec.min);
+      input.max = String(spec.max);
+      input.step = String(spec.step);
+      input.value = String(stage.params[key]);
+
+      const readout = document.createElement('span');
+      readout.className = 'filter-param-value';
+      readout.textContent = String(stage.params[key]);
+
+      input.addEventListener('input', () => {
+        const value = Number(input.value);
+        readout.textContent = String(value);
+        setSmoothingParam(key, value);
+      });
+
+      label.append(name, input, readout);
+      dom.filterParams.appendChild(label);
+    }
+  }
+
+  function initFilterControls() {
+    for (const [type, filter] of Object.entries(FILTERS)) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = filter.label;
+      dom.filterSelect.appendChild(option);
+    }
+  }
+
+  /** Restores a { type, params } filter selection (from a settings profile). */
+  function applyFilterSettings(filter) {
+    state.filterParams = filter && filter.params && typeof filter.params === 'object'
+      ? JSON.parse(JSON.stringify(filter.params))
+      : {};
+
+    const type = filter && FILTERS[filter.type] ? filter.type : 'ema';
+    const stage = getSmoothingStage();
+    stage.type = type;
+    stage.params = Object.assign(defaultFilterParams(type), state.filterParams[type]);
+    stage.state = null;
+    renderFilterParams();
+  }
+
+  // ─── Calibration ─────────────────────────────────────────────────
+
+  /**
+   * Two corrections, measured only while the device is stationary (tilt
+   * noise below STATIONARY_MAX_STD_DEG over STATIONARY_WINDOW_MS) and
+   * averaged over CALIBRATION_AVERAGE_MS of stillness:
+   *
+   *   level  Zero reference. The averaged roll becomes calibrationOffset —
+   *          "this is level" for a mount or tripod head that sits crooked.
+   *   flip   Sensor bias, by the classic two-position method. The device
+   *          lies flat on its back, is read, is turned 180° on the same
+   *          spot and read again. Turning flips the surface's slope but
+   *          not the sensor's bias, so for each axis
+   *            bias = (first + second) / 2,  slope = (first − second) / 2.
+   *          The bias (side-to-side → roll, front-to-back → pitch) is then
+   *          removed from every sample in any pose.
+   *
+   * Auto-zero re-measures the bias whenever the device has rested flat and
+   * still for AUTO_ZERO_HOLD_MS, assuming the surface is level. Apparent
+   * tilt beyond AUTO_ZERO_MAX_DEG is taken as a sloped surface and ignored.
+   */
+  const CALIBRATION_METHODS = {
+    level: 'Hold the camera level and still…',
+    flip: 'Lay the phone flat on its back on a firm surface and let go.',
+  };
+
+  /**
+   * Starts guided calibration. Resolves with the result, or null if it was
+   * cancelled.
+   */
+  function calibrate(method = 'level') {
+    if (!CALIBRATION_METHODS[method]) {
+      return Promise.reject(new TypeError('Unknown calibration method: ' + method));
+    }
+    cancelCalibration();
+    dom.calibrationPanel.classList.remove('hidden');
+
+    return new Promise((resolve) => {
+      state.calibrationRun = {
+        method,
+        step: 'settle',       // 'settle' → 'measure' (→ 'turn' → 'settle' → 'measure')
+        readings: [],
+        values: [],           // Samples of the reading being measured
+        startT: 0,
+        firstQuaternion: null, // Orientation at the first flip reading
+        resolve,
+      };
+      showCalibrationStatus(CALIBRATION_METHODS[method], 0);
+    });
+  }
+
+  function cancelCalibration() {
+    const run = state.calibrationRun;
+    if (!run) return;
+    state.calibrationRun = null;
+    showCalibrationStatus('Calibration cancelled.', 0);
+    run.resolve(null);
+  }
+
+  /**
+   * Keeps the last STATIONARY_WINDOW_MS of raw up vectors and decides
+   * whether the device is still: the largest per-axis standard deviation,
+   * as a small angle, must stay under STATIONARY_MAX_STD_DEG.
+   */
+  function updateStillness(t) {
+    const still = state.stillness;
+    still.samples.push({ t, up: state.orientation.rawUp });
+    while (still.samples.length && still.samples[0].t < t - STATIONARY_WINDOW_MS) {
+      still.samples.shift();
+    }
+
+    const span = t - still.samples[0].t;
+    const stationary = span >= STATIONARY_WINDOW_MS * 0.8 &&
+      maxStdDeg(still.samples.map((s) => s.up)) <= STATIONARY_MAX_STD_DEG;
+
+    if (!stationary) {
+      still.since = null;
+      still.autoZeroed = false;
+    } else if (still.since === null) {
+      still.since = still.samples[0].t;
+    }
+  }
+
+  function maxStdDeg(vectors) {
+    const mean = meanVector(vectors);
+    let maxVariance = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      let sum = 0;
+      for (const v of vectors) sum += (v[axis] - mean[axis]) ** 2;
+      maxVariance = Math.max(maxVariance, sum / vectors.length);
+    }
+    return Math.sqrt(maxVariance) * RAD_TO_DEG;
+  }
+
+  function meanVector(vectors) {
+    const mean = [0, 0, 0];
+    for (const v of vectors) {
+      for (let axis = 0; axis < 3; axis++) mean[axis] += v[axis] / vectors.length;
+    }
+    return mean;
+  }
+
+  function isFlat(up) {
+    return Math.abs(up[2]) >= FLAT_MIN_UP_Z;
+  }
+
+  /** Steps the guided calibration with each orientation sample. */
+  function advanceCalibration(t) {
+    const run = state.calibrationRun;
+    const still = state.stillness.since !== null;
+    const o = state.orientation;
+
+    if (run.step === 'turn') {
+      // Wait for the pick-up before looking for stillness again
+      if (!still) run.step = 'settle';
+      return;
+    }
+
+    if (!still) {
+      if (run.step === 'measure') {
+        run.step = 'settle';
+        showCalibrationStatus('Movement detected — waiting for the phone to settle…', 0);
+      }
+      return;
+    }
+
+    if (run.step === 'settle') {
+      if (run.method === 'flip' && !isFlat(o.rawUp)) {
+        showCalibrationStatus('Not flat — lay the phone on its back.', 0);
+        return;
+      }
+      if (run.method === 'flip' && run.readings.length === 1) {
+        // Rotation about the screen normal since the first reading
+        const delta = multiplyQuaternions(conjugateQuaternion(run.firstQuaternion), o.quaternion);
+        const turned = Math.abs(2 * Math.atan2(delta[2], delta[3]) * RAD_TO_DEG);
+        if (Math.abs(angleDelta(turned, 180)) > 30) {
+          showCalibrationStatus('Turned ' + Math.round(turned) + '° — turn it 180° from the first position.', 0);
+          return;
+        }
+      }
+      run.step = 'measure';
+      run.values = [];
+      run.startT = t;
+    }
+
+    run.values.push(run.method === 'level' ? o.roll : o.rawUp);
+    const progress = (t - run.startT) / CALIBRATION_AVERAGE_MS;
+    showCalibrationStatus('Measuring… keep still.', progress);
+    if (progress < 1) return;
+
+    run.readings.push(run.method === 'level' ? meanAngle(run.values) : meanVector(run.values));
+
+    if (run.method === 'flip' && run.readings.length === 1) {
+      run.step = 'turn';
+      run.firstQuaternion = o.quaternion;
+      showCalibrationStatus('Now turn the phone 180° on the same spot and let go.', 0);
+      return;
+    }
+    finishCalibration(run);
+  }
+
+  /** Mean of angles, taken around the first so values either side of ±180° average correctly. */
+  function meanAngle(values) {
+    const ref = values[0];
+    const offset = values.reduce((sum, v) => sum + angleDelta(v, ref), 0) / values.length;
+    return angleDelta(ref + offset, 0);
+  }
+
+  function finishCalibration(run) {
+    state.calibrationRun = null;
+    let result;
+
+    if (run.method === 'level') {
+      state.calibrationOffset = run.readings[0];
+      result = { method: 'level', offset: state.calibrationOffset };
+      showCalibrationStatus('Level set: offset ' + formatSignedDegrees(state.calibrationOffset) + '.', 1);
+    } else {
+      const [a, b] = run.readings;
+      const tilt = (x, y) => ({
+        roll: Math.asin(clamp(-x, -1, 1)) * RAD_TO_DEG,
+        pitch: Math.asin(clamp(y, -1, 1)) * RAD_TO_DEG,
+      });
+      const bias = tilt((a[0] + b[0]) / 2, (a[1] + b[1]) / 2);
+      const slope = tilt((a[0] - b[0]) / 2, (a[1] - b[1]) / 2);
+      setSensorBias(bias.roll, bias.pitch);
+      result = { method: 'flip', bias, surfaceSlope: slope };
+      showCalibrationStatus(
+        'Sensor bias: roll ' + formatSignedDegrees(bias.roll) + ', pitch ' + formatSignedDegrees(bias.pitch) +
+        '. Surface slope: ' + formatSignedDegrees(slope.roll) + ' / ' + formatSignedDegrees(slope.pitch) + '.',
+        1
+      );
+    }
+
+    resetBubble();
+    updateCalibrationControls();
+    saveSettings();
+    emit('calibration', result);
+    run.resolve(result);
+  }
+
+  /**
+   * Auto-zero: once per rest, when the device has been flat and still long
+   * enough and the bias-corrected tilt is small, the residual is folded
+   * into the bias.
+   */
+  function checkAutoZero(t) {
+    const still = state.stillness;
+    if (still.since === null || still.autoZeroed || state.isRecording) return;
+    if (t - still.since < AUTO_ZERO_HOLD_MS) return;
+
+    still.autoZeroed = true;
+    const mean = meanVector(still.samples.map((s) => s.up));
+    if (!isFlat(mean)) return;
+
+    const corrected = removeSensorBias(mean);
+    const residualRoll = Math.asin(clamp(-corrected[0], -1, 1)) * RAD_TO_DEG;
+    const residualPitch = Math.asin(clamp(corrected[1], -1, 1)) * RAD_TO_DEG;
+    if (Math.abs(residualRoll) > AUTO_ZERO_MAX_DEG || Math.abs(residualPitch) > AUTO_ZERO_MAX_DEG) return;
+
+    const biasRoll = Math.asin(clamp(-mean[0], -1, 1)) * RAD_TO_DEG;
+    const biasPitch = Math.asin(clamp(mean[1], -1, 1)) * RAD_TO_DEG;
+    setSensorBias(biasRoll, biasPitch);
+    saveSettings();
+    showCalibrationStatus('Auto-zeroed: roll ' + formatSignedDegrees(biasRoll) +
+      ', pitch ' + formatSignedDegrees(biasPitch) + '.', 1);
+    emit('calibration', { method: 'auto', bias: { roll: biasRoll, pitch: biasPitch } });
+  }
+
+  function setSensorBias(roll, pitch) {
+    state.calibration.biasRoll = roll;
+    state.calibration.biasPitch = pitch;
+    // Roll continuity would otherwise carry the old bias forward
+    state.orientation.valid = false;
+  }
+
+  function resetCalibration() {
+    cancelCalibration();
+    state.calibrationOffset = 0;
+    setSensorBias(0, 0);
+    resetBubble();
+    updateCalibrationControls();
+    showCalibrationStatus('Calibration cleared.', 0);
+    saveSettings();
+  }
+
+  function showCalibrationStatus(text, progress) {
+    dom.calibrationStatus.textContent = text;
+    dom.calibrationProgressFill.style.width = (clamp(progress, 0, 1) * 100) + '%';
+  }
+
+  function updateCalibrationControls() {
+    const cal = state.calibration;
+    const calibrated = state.calibrationOffset || cal.biasRoll || cal.biasPitch;
+    dom.btnCalibrate.textContent = calibrated ? 'Recalibrate' : 'Calibrate';
+    dom.toggleAutoZero.checked = cal.autoZero;
+  }
+
+  /** Restores { biasRoll, biasPitch, autoZero } (from a settings profile). */
+  function applyCalibrationSettings(calibration) {
+    state.calibration.autoZero = !!calibration.autoZero;
+    setSensorBias(Number(calibration.biasRoll) || 0, Number(calibration.biasPitch) || 0);
+    updateCalibrationControls();
+  }
+
+  // ─── Spirit Level ────────────────────────────────────────────────
+
+  /**
+   * Turns the phone into a level. The pose decides what is measured:
+   *
+   *   flat  Lying on its back (within 45°): two axes in screen terms,
+   *         x = how much higher the right edge is, y = the far edge.
+   *   edge  Standing on an edge, like a torpedo level: x = how much higher
+   *         the right end of that edge is (from the nearest multiple of
+   *         90°, so any edge works), y = plumb, the face leaning back.
+   *
+   * Both use the bias-corrected up vector; the edge reading also takes the
+   * Level Here offset off, as the camera tilt does. With a reference set,
+   * readings are relative to it and `between` is the full angle between
+   * the two surfaces, whatever pose each was measured in.
+   *
+   * The bubble is a damped spring (LEVEL_BUBBLE_HZ, LEVEL_BUBBLE_DAMPING)
+   * pulled towards where a curved vial would hold it: halfway to the rim
+   * at LEVEL_BUBBLE_HALF_DEG, so small tilts stay visible. It moves to the
+   * high side, slides along the rim rather than sticking to it, and sits
+   * in a tube along the edge in the edge pose.
+   */
+  const LEVEL_UNITS = {
+    deg: { label: 'Degrees', format: (deg) => Math.abs(deg).toFixed(2) + '\u00B0' },
+    percent: { label: 'Percent grade', format: (deg) => Math.abs(Math.tan(deg / RAD_TO_DEG) * 100).toFixed(2) + '%' },
+    mm: { label: 'mm per m', format: (deg) => Math.abs(Math.tan(deg / RAD_TO_DEG) * 1000).toFixed(1) + ' mm/m' },
+  };
+
+  const LEVEL_AXIS_LABELS = {
+    flat: ['Left / right', 'Front / back'],
+    edge: ['Level', 'Plumb'],
+  };
+
+  /** Absolute reading of the current pose, or null without orientation. */
+  function measureLevel() {
+    const o = state.orientation;
+    if (!o.valid) return null;
+    const up = o.up.slice();
+
+    if (Math.abs(up[2]) >= LEVEL_FLAT_MIN_UP_Z) {
+      // Heights of the device's right and top edges, turned into screen axes
+      const hx = -o.tiltX;
+      const hy = o.tiltY;
+      const a = state.screenAngle / RAD_TO_DEG;
+      return {
+        pose: 'flat',
+        x: hx * Math.cos(a) - hy * Math.sin(a),
+        y: hx * Math.sin(a) + hy * Math.cos(a),
+        vial: 0,
+        up,
+      };
+    }
+
+    const roll = angleDelta(o.roll - state.calibrationOffset + state.screenAngle, 0);
+    const vial = Math.round(roll / 90) * 90;
+    return {
+      pose: 'edge',
+      x: -angleDelta(roll, vial),
+      y: Math.asin(clamp(up[2], -1, 1)) * RAD_TO_DEG,
+      vial,
+      roll,
+      up,
+    };
+  }
+
+  /** measureLevel() against the reference, if one is set. */
+  function readLevel() {
+    const reading = measureLevel();
+    const ref = state.spiritLevel.reference;
+    if (!reading || !ref) return reading && Object.assign(reading, { between: null });
+
+    const dot = reading.up[0] * ref.up[0] + reading.up[1] * ref.up[1] + reading.up[2] * ref.up[2];
+    reading.between = Math.acos(clamp(dot, -1, 1)) * RAD_TO_DEG;
+    if (reading.pose !== ref.pose) {
+      reading.x = null;
+      reading.y = null;
+    } else {
+      reading.x = reading.pose === 'edge' ? -angleDelta(reading.roll, ref.roll) : reading.x - ref.x;
+      reading.y -= ref.y;
+    }
+    return reading;
+  }
+
+  /** Where the vial holds the bubble for a tilt: unit disc, towards the high side. */
+  function bubbleTarget(xDeg, yDeg) {
+    const tilt = Math.hypot(xDeg, yDeg);
+    if (!tilt) return [0, 0];
+    const r = tilt / (tilt + LEVEL_BUBBLE_HALF_DEG);
+    return [xDeg / tilt * r, yDeg / tilt * r];
+  }
+
+  function updateBubble(t, target) {
+    const b = state.bubble;
+    const dt = b.t === null ? 0 : clamp((t - b.t) / 1000, 0, 0.05);
+    b.t = t;
+
+    const w = 2 * Math.PI * LEVEL_BUBBLE_HZ;
+    b.vx += (w * w * (target[0] - b.x) - 2 * LEVEL_BUBBLE_DAMPING * w * b.vx) * dt;
+    b.vy += (w * w * (target[1] - b.y) - 2 * LEVEL_BUBBLE_DAMPING * w * b.vy) * dt;
+    b.x += b.vx * dt;
+    b.y += b.vy * dt;
+
+    // At the rim only the outward part of the velocity is lost
+    const r = Math.hypot(b.x, b.y);
+    if (r > 1) {
+      const nx = b.x / r;
+      const ny = b.y / r;
+      b.x = nx;
+      b.y = ny;
+      const outward = b.vx * nx + b.vy * ny;
+      if (outward > 0) {
+        b.vx -= outward * nx;
+        b.vy -= outward * ny;
+      }
+    }
+  }
+
+  function resetBubble() {
+    Object.assign(state.bubble, { x: 0, y: 0, vx: 0, vy: 0, t: null });
+  }
+
+  /** Per frame: bubble physics, the level widget and, when open, the level panel. */
+  function updateSpiritLevel(now) {
+    const level = state.spiritLevel;
+    if (!level.held) {
+      level.reading = readLevel();
+      const r = level.reading;
+      if (r) {
+        updateBubble(now, bubbleTarget(r.x || 0, r.pose === 'edge' ? 0 : r.y || 0));
+        for (const el of [dom.bubbleLevel, dom.levelVial]) {
+          el.style.setProperty('--bubble-x', state.bubble.x.toFixed(4));
+          el.style.setProperty('--bubble-y', state.bubble.y.toFixed(4));
+          el.style.transform = r.vial ? 'rotate(' + -r.vial + 'deg)' : '';
+        }
+        dom.bubbleLevel.classList.toggle('edge', r.pose === 'edge');
+        dom.levelVial.classList.toggle('edge', r.pose === 'edge');
+      }
+    }
+    if (level.active) {
+      renderLevelReadouts(level.held || level.reading);
+    }
+  }
+
+  function renderLevelReadouts(reading) {
+    const unit = LEVEL_UNITS[state.spiritLevel.unit];
+    const labels = LEVEL_AXIS_LABELS[reading ? reading.pose : 'flat'];
+    const axes = [
+      [dom.levelXLabel, dom.levelX, dom.levelXAlt, reading && reading.x],
+      [dom.levelYLabel, dom.levelY, dom.levelYAlt, reading && reading.y],
+    ];
+    axes.forEach(([label, value, alt, deg], i) => {
+      label.textContent = labels[i];
+      if (deg == null) {
+        value.textContent = '--';
+        alt.textContent = '';
+        return;
+      }
+      // Arrows point at the high side
+      const arrow = Math.abs(deg) < 0.005 ? '' : (i === 0 ? (deg > 0 ? '\u2192 ' : '\u2190 ') : (deg > 0 ? '\u2191 ' : '\u2193 '));
+      value.textContent = arrow + unit.format(deg);
+      alt.textContent = Object.keys(LEVEL_UNITS)
+        .filter((key) => LEVEL_UNITS[key] !== unit)
+        .map((key) => LEVEL_UNITS[key].format(deg))
+        .join(' \u00B7 ');
+    });
+
+    const between = reading && reading.between;
+    dom.levelBetween.classList.toggle('hidden', between == null);
+    if (between != null) {
+      dom.levelBetween.textContent = 'Between surfaces: ' + between.toFixed(2) + '\u00B0';
+    }
+  }
+
+  function setLevelMode(active) {
+    const level = state.spiritLevel;
+    level.active = active && state.motionEnabled;
+    if (!level.active) level.held = null;
+    dom.levelPanel.classList.toggle('hidden', !level.active);
+    updateLevelControls();
+  }
+
+  function toggleLevelHold() {
+    const level = state.spiritLevel;
+    level.held = level.held ? null : level.reading && Object.assign({}, level.reading);
+    updateLevelControls();
+  }
+
+  /** Takes the current surface as the reference, or clears it. */
+  function toggleLevelReference() {
+    const level = state.spiritLevel;
+    level.reference = level.reference ? null : measureLevel();
+    level.held = null;
+    updateLevelControls();
+  }
+
+  function setLevelUnit(unit) {
+    state.spiritLevel.unit = unit in LEVEL_UNITS ? unit : 'deg';
+    dom.levelUnit.value = state.spiritLevel.unit;
+  }
+
+  function setLevelHideCamera(hide) {
+    state.spiritLevel.hideCamera = !!hide;
+    dom.toggleLevelCamera.checked = state.spiritLevel.hideCamera;
+    dom.levelPanel.classList.toggle('fullscreen', state.spiritLevel.hideCamera);
+  }
+
+  function updateLevelControls() {
+    const level = state.spiritLevel;
+    dom.btnLevel.disabled = !state.motionEnabled;
+    dom.btnLevelHold.textContent = level.held ? 'Release' : 'Hold';
+    dom.btnLevelRef.textContent = level.reference ? 'Clear Reference' : 'Set Reference';
+  }
+
+  function initLevelControls() {
+    for (const [value, spec] of Object.entries(LEVEL_UNITS)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = spec.label;
+      dom.levelUnit.appendChild(option);
+    }
+    dom.levelUnit.value = state.spiritLevel.unit;
+  }
+
+  /** Public form of the level reading, as getState() reports it. */
+  function spiritLevelState() {
+    const level = state.spiritLevel;
+    const r = level.held || level.reading;
+    return {
+      active: level.active,
+      held: !!level.held,
+      relative: !!level.reference,
+      pose: r ? r.pose : null,
+      x: r ? r.x : null,
+      y: r ? r.y : null,
+      between: r ? r.between : null,
+    };
+  }
+
+  // ─── Stabilization Modes ─────────────────────────────────────────
+
+  /**
+   * Decides how much of the calibrated tilt to take out each frame:
+   *
+   *   lock    Full horizon lock: every degree of tilt is corrected.
+   *   follow  Slow rotation is treated as intentional and let through; only
+   *           the faster shake on top of it is removed. `intent` follows
+   *           the tilt through a low-pass with time constant followS.
+   *   hybrid  Tilt within ±deadband is always corrected, so the horizon
+   *           stays locked for normal handheld shooting. Tilt beyond the
+   *           deadband is followed as in follow mode (a deliberate Dutch
+   *           angle survives), and the correction itself is held under
+   *           maxCorrection by a soft limit rather than a hard clamp.
+   *
+   * When a roll is too fast or too large for the limit, the frame tilts
+   * along smoothly instead of spinning against it, and `intent` then eases
+   * back to level with the same time constant once the camera is.
+   */
+  const STABILIZATION_MODES = {
+    lock: 'Horizon lock',
+    follow: 'Follow',
+    hybrid: 'Hybrid',
+  };
+
+  /** Advances the mode's state for this frame and returns the correction (degrees). */
+  function updateStabilization(tilt, now) {
+    const stab = state.stabilization;
+    const dt = stab.lastTime ? clamp((now - stab.lastTime) / 1000, 0, 0.1) : 0;
+    stab.lastTime = now;
+
+    if (stab.mode === 'lock') {
+      stab.intent = 0;
+      return tilt;
+    }
+
+    let target = tilt;
+    if (stab.mode === 'hybrid') {
+      target = Math.sign(tilt) * Math.max(0, Math.abs(tilt) - stab.deadband);
+    }
+    const step = angleDelta(target, stab.intent) * (1 - Math.exp(-dt / stab.followS));
+    stab.intent = angleDelta(stab.intent + step, 0);
+
+    const correction = angleDelta(tilt, stab.intent);
+    return stab.mode === 'hybrid' ? softLimit(correction, stab.maxCorrection) : correction;
+  }
+
+  /**
+   * Identity up to CORRECTION_KNEE × limit, then an exponential approach to
+   * the limit. Continuous in value and slope, so reaching it never jerks.
+   */
+  function softLimit(value, limit) {
+    const knee = limit * CORRECTION_KNEE;
+    const magnitude = Math.abs(value);
+    if (magnitude <= knee) return value;
+    const room = limit - knee;
+    return Math.sign(value) * (knee + room * (1 - Math.exp(-(magnitude - knee) / room)));
+  }
+
+  function setStabilizationMode(mode) {
+    if (!STABILIZATION_MODES[mode]) return;
+    state.stabilization.mode = mode;
+    updateStabilizationControls();
+  }
+
+  function setStabilizationParam(key, value) {
+    state.stabilization[key] = value;
+    updateStabilizationControls();
+  }
+
+  /** { mode, followS, deadband, maxCorrection } as stored in profiles and sidecars. */
+  function stabilizationSettings() {
+    const stab = state.stabilization;
+    return { mode: stab.mode, followS: stab.followS, deadband: stab.deadband, maxCorrection: stab.maxCorrection };
+  }
+
+  /** Restores { mode, followS, deadband, maxCorrection } (from a settings profile). */
+  function applyStabilizationSettings(stabilization) {
+    const stab = state.stabilization;
+    stab.followS = Number(stabilization.followS) || DEFAULT_FOLLOW_S;
+    stab.deadband = Number(stabilization.deadband) || 0;
+    stab.maxCorrection = Number(stabilization.maxCorrection) || DEFAULT_MAX_CORRECTION_DEG;
+    setStabilizationMode(STABILIZATION_MODES[stabilization.mode] ? stabilization.mode : 'lock');
+  }
+
+  function updateStabilizationControls() {
+    const stab = state.stabilization;
+    dom.stabMode.value = stab.mode;
+    dom.stabFollowLabel.classList.toggle('hidden', stab.mode === 'lock');
+    dom.stabHybridOptions.classList.toggle('hidden', stab.mode !== 'hybrid');
+    dom.stabFollow.value = String(stab.followS);
+    dom.stabFollowValue.textContent = stab.followS.toFixed(1) + ' s';
+    dom.stabDeadband.value = String(stab.deadband);
+    dom.stabDeadbandValue.textContent = stab.deadband + '\u00B0';
+    dom.stabMax.value = String(stab.maxCorrection);
+    dom.stabMaxValue.textContent = stab.maxCorrection + '\u00B0';
+  }
+
+  function initStabilizationControls() {
+    for (const [mode, label] of Object.entries(STABILIZATION_MODES)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      dom.stabMode.appendChild(option);
+    }
+  }
+
+  // ─── Settings Store & Profiles ───────────────────────────────────
+
+  /**
+   * Every preference lives in a named profile ("tripod", "handheld", …)
+   * stored in localStorage under SETTINGS_STORAGE_KEY:
+   *
+   *   { version, activeProfile, profiles: { <name>: settings } }
+   *
+   * Changes are written to the active profile as they happen. Profiles can
+   * be exported to / imported from JSON to share a known-good setup; the
+   * camera deviceId is left out of exports since it only means something
+   * on the device that produced it.
+   */
+  function defaultSettings() {
+    return {
+      calibrationOffset: 0,
+      calibration: { biasRoll: 0, biasPitch: 0, autoZero: false },
+      filter: { type: 'ema', params: {} },
+      camera: { deviceId: null, width: 1280, height: 720, frameRate: null },
+      stabilization: {
+        mode: 'lock',
+        followS: DEFAULT_FOLLOW_S,
+        deadband: DEFAULT_DEADBAND_DEG,
+        maxCorrection: DEFAULT_MAX_CORRECTION_DEG,
+      },
+      crop: { mode: 'fill', maxAngle: DEFAULT_CROP_MAX_ANGLE },
+      render: { engine: 'webgl', k1: 0, k2: 0, readoutMs: 0 },
+      overlays: { debug: false, preview: [], burnIn: [] },
+      vision: { enabled: false },
+      sensor: { strategy: 'auto' },
+      level: { unit: 'deg', hideCamera: false },
+      recording: {
+        sidecar: true, audio: false, codec: 'auto', bitrate: 0, fps: 0,
+        countdown: 0, maxMinutes: 0, maxMegabytes: 0,
+        mode: 'video', interval: 5, playbackFps: 30,
+      },
+    };
+  }
+
+  /** Snapshot of the current preferences in profile form. */
+  function collectSettings() {
+    const stage = getSmoothingStage();
+    const filterParams = Object.assign({}, state.filterParams);
+    filterParams[stage.type] = Object.assign({}, stage.params);
+
+    return {
+      calibrationOffset: state.post ? state.post.liveCalibrationOffset : state.calibrationOffset,
+      calibration: Object.assign({}, state.calibration),
+      filter: { type: stage.type, params: filterParams },
+      camera: Object.assign({}, state.cameraSettings),
+      stabilization: stabilizationSettings(),
+      crop: { mode: state.crop.mode, maxAngle: state.crop.maxAngle },
+      render: Object.assign({}, state.render),
+      overlays: {
+        debug: !dom.debugPanel.classList.contains('hidden'),
+        preview: state.hud.preview.slice(),
+        burnIn: state.hud.burnIn.slice(),
+      },
+      vision: { enabled: state.vision.enabled },
+      sensor: { strategy: state.sensorStrategy },
+      level: { unit: state.spiritLevel.unit, hideCamera: state.spiritLevel.hideCamera },
+      recording: Object.assign(
+        { sidecar: state.sidecarEnabled, audio: state.audioPreferred },
+        state.encoding,
+        state.recordLimits,
+        state.capture
+      ),
+    };
+  }
+
+  /**
+   * Pushes a profile into state and the UI. Missing keys fall back to the
+   * defaults so profiles from older versions still load.
+   */
+  function applySettings(settings) {
+    const defaults = defaultSettings();
+    const merged = {};
+    for (const key of Object.keys(defaults)) {
+      merged[key] = settings && settings[key] != null && typeof defaults[key] === 'object'
+        ? Object.assign({}, defaults[key], settings[key])
+        : (settings && settings[key] != null ? settings[key] : defaults[key]);
+    }
+
+    state.calibrationOffset = Number(merged.calibrationOffset) || 0;
+    applyCalibrationSettings(merged.calibration);
+
+    applyFilterSettings(merged.filter);
+    applyStabilizationSettings(merged.stabilization);
+
+    dom.cropMode.value = merged.crop.mode;
+    dom.cropAngle.value = String(merged.crop.maxAngle);
+    setCropMode(merged.crop.mode);
+    setCropMaxAngle(Number(merged.crop.maxAngle));
+
+    applyRenderSettings(merged.render);
+
+    dom.toggleDebug.checked = !!merged.overlays.debug;
+    dom.debugPanel.classList.toggle('hidden', !merged.overlays.debug);
+    applyHudSettings(merged.overlays);
+    setVisionEnabled(!!merged.vision.enabled);
+    setSensorStrategy(merged.sensor.strategy);
+    setLevelUnit(merged.level.unit);
+    setLevelHideCamera(merged.level.hideCamera);
+
+    state.sidecarEnabled = merged.recording.sidecar !== false;
+    dom.toggleSidecar.checked = state.sidecarEnabled;
+    state.audioPreferred = !!merged.recording.audio;
+    applyEncodingSettings(merged.recording);
+    applyRecordLimits(merged.recording);
+    applyCaptureSettings(merged.recording);
+
+    applyCameraPreference(merged.camera);
+  }
+
+  /**
+   * Camera preferences take effect immediately when the camera is running,
+   * otherwise on the next Start Camera.
+   */
+  function applyCameraPreference(camera) {
+    const settings = state.cameraSettings;
+    const resolutionChanged = camera.width !== settings.width || camera.height !== settings.height;
+    const deviceChanged = camera.deviceId && camera.deviceId !== settings.deviceId;
+
+    settings.width = camera.width;
+    settings.height = camera.height;
+    settings.frameRate = camera.frameRate;
+
+    if (!state.cameraStream || state.isRecording) {
+      settings.deviceId = camera.deviceId || settings.deviceId;
+      return;
+    }
+
+    if (deviceChanged) {
+      switchCamera(camera.deviceId);
+    } else if (resolutionChanged) {
+      setCameraResolution(camera.width + 'x' + camera.height);
+    }
+  }
+
+  function loadSettingsStore() {
+    let stored = null;
+    try {
+      stored = config.persist ? JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) : null;
+    } catch (e) {
+      // Storage unavailable (private mode) or corrupt — use defaults
+    }
+
+    if (stored && stored.profiles && typeof stored.profiles === 'object' &&
+        Object.keys(stored.profiles).length > 0) {
+      state.profiles = stored.profiles;
+      state.activeProfile = stored.profiles[stored.activeProfile]
+        ? stored.activeProfile
+        : Object.keys(stored.profiles)[0];
+    } else {
+      const settings = defaultSettings();
+      settings.filter = (config.persist && readLegacyFilterSettings()) || settings.filter;
+      state.profiles = { [DEFAULT_PROFILE]: settings };
+      state.activeProfile = DEFAULT_PROFILE;
+    }
+
+    renderProfileList();
+    applySettings(state.profiles[state.activeProfile]);
+  }
+
+  function readLegacyFilterSettings() {
+    try {
+      const legacy = JSON.parse(localStorage.getItem(LEGACY_FILTER_STORAGE_KEY));
+      localStorage.removeItem(LEGACY_FILTER_STORAGE_KEY);
+      return legacy && legacy.type ? legacy : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Writes the current preferences into the active profile and persists. */
+  function saveSettings() {
+    if (!state.profiles) return; // Still initialising
+    state.profiles[state.activeProfile] = collectSettings();
+    writeSettingsStore();
+  }
+
+  function writeSettingsStore() {
+    if (!config.persist) return;
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+        version: PROFILES_VERSION,
+        activeProfile: state.activeProfile,
+        profiles: state.profiles,
+      }));
+    } catch (e) {
+      // Storage full or unavailable — settings simply won't persist
+    }
+  }
+
+  function renderProfileList() {
+    dom.profileSelect.textContent = '';
+    for (const name of Object.keys(state.profiles)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      dom.profileSelect.appendChild(option);
+    }
+    dom.profileSelect.value = state.activeProfile;
+    dom.btnProfileDelete.disabled = Object.keys(state.profiles).length < 2;
+  }
+
+  function switchProfile(name) {
+    if (!state.profiles[name] || name === state.activeProfile) return;
+    saveSettings();
+    state.activeProfile = name;
+    applySettings(state.profiles[name]);
+    renderProfileList();
+    writeSettingsStore();
+  }
+
+  /** Saves the current preferences as a new profile and makes it active. */
+  function createProfile() {
+    const name = (prompt('Profile name (e.g. tripod, handheld, car mount):') || '').trim();
+    if (!name) return;
+    if (state.profiles[name] && !confirm('Replace the existing "' + name + '" profile?')) return;
+
+    state.profiles[name] = collectSettings();
+    state.activeProfile = name;
+    renderProfileList();
+    writeSettingsStore();
+  }
+
+  function deleteProfile() {
+    const names = Object.keys(state.profiles);
+    if (names.length < 2) return;
+    if (!confirm('Delete the "' + state.activeProfile + '" profile?')) return;
+
+    delete state.profiles[state.activeProfile];
+    state.activeProfile = Object.keys(state.profiles)[0];
+    applySettings(state.profiles[state.activeProfile]);
+    renderProfileList();
+    writeSettingsStore();
+  }
+
+  function exportProfile() {
+    saveSettings();
+    const settings = JSON.parse(JSON.stringify(state.profiles[state.activeProfile]));
+    delete settings.camera.deviceId;
+
+    const file = {
+      format: PROFILES_FORMAT,
+      version: PROFILES_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: { [state.activeProfile]: settings },
+    };
+    const slug = state.activeProfile.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadBlob(
+      new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }),
+      'gyrocam-profile-' + (slug || 'profile') + '.json'
+    );
+  }
+
+  /** Merges profiles from an exported file; same-named profiles are replaced. */
+  async function importProfiles(fileHandle) {
+    let data;
+    try {
+      data = JSON.parse(await fileHandle.text());
+    } catch (err) {
+      showError('Could not read profile file: ' + err.message);
+      return;
+    }
+
+    if (!data || data.format !== PROFILES_FORMAT || !data.profiles || typeof data.profiles !== 'object') {
+      showError('Not a GyroCam profile file.');
+      return;
+    }
+    if (data.version > PROFILES_VERSION) {
+      showError('Profile file version ' + data.version + ' is newer than this app supports.');
+      return;
+    }
+
+    const names = Object.keys(data.profiles);
+    if (names.length === 0) {
+      showError('Profile file contains no profiles.');
+      return;
+    }
+
+    saveSettings();
+    for (const name of names) {
+      state.profiles[name] = data.profiles[name];
+    }
+    state.activeProfile = names[0];
+    applySettings(state.profiles[names[0]]);
+    renderProfileList();
+    writeSettingsStore();
+    hideError();
+  }
+
+  // ─── Crop Engine ─────────────────────────────────────────────────
+
+  /**
+   * Decides how far to zoom into the rotated video so the output frame
+   * (the recording, and the circle that previews its centre) is handled
+   * according to the crop mode:
+   *
+   *   fill       Minimal zoom that keeps the rotated frame free of black
+   *              corners at the current angle.
+   *   fixed      Constant zoom sized for `maxAngle`; beyond that, corners show.
+   *   letterbox  Largest zoom at which the entire rotated frame is visible.
+   *
+   * Zoom is expressed relative to a plain cover fit (1 = no rotation crop).
+   */
+  const CROP_MODES = {
+    fill: 'Always fill',
+    fixed: 'Fixed max-angle crop',
+    letterbox: 'Full frame (letterbox)',
+  };
+
+  /** Scale (output px per source px) that covers the output with no rotation. */
+  function coverScale(out, vw, vh) {
+    return Math.max(out.width / vw, out.height / vh);
+  }
+
+  /**
+   * Rotating a vw×vh source by θ and scaling by k fills a w×h output iff the
+   * output's corners, rotated back by −θ, stay inside the source:
+   *   k ≥ (w|cosθ| + h|sinθ|) / vw   and   k ≥ (w|sinθ| + h|cosθ|) / vh
+   */
+  function fillZoom(rotationDeg, out, vw, vh) {
+    const c = Math.abs(Math.cos(rotationDeg / RAD_TO_DEG));
+    const sn = Math.abs(Math.sin(rotationDeg / RAD_TO_DEG));
+    const k = Math.max(
+      (out.width * c + out.height * sn) / vw,
+      (out.width * sn + out.height * c) / vh
+    );
+    return k / coverScale(out, vw, vh);
+  }
+
+  /** Zoom at which the rotated source's bounding box just fits the output. */
+  function letterboxZoom(rotationDeg, out, vw, vh) {
+    const c = Math.abs(Math.cos(rotationDeg / RAD_TO_DEG));
+    const sn = Math.abs(Math.sin(rotationDeg / RAD_TO_DEG));
+    const k = Math.min(
+      out.width / (vw * c + vh * sn),
+      out.height / (vw * sn + vh * c)
+    );
+    return k / coverScale(out, vw, vh);
+  }
+
+  function targetZoom(rotationDeg, out, vw, vh) {
+    const crop = state.crop;
+    if (crop.mode === 'letterbox') return letterboxZoom(rotationDeg, out, vw, vh);
+    if (crop.mode === 'fixed') return fillZoom(crop.maxAngle, out, vw, vh);
+    return fillZoom(rotationDeg, out, vw, vh);
+  }
+
+  /**
+   * Advances the smoothed zoom towards the target for this frame.
+   * Moves needed to keep the frame correct (zooming in for 'fill', out for
+   * 'letterbox') happen immediately so black never flashes in; the opposite
+   * direction eases with CROP_RELEASE_S so the picture doesn't pump.
+   */
+  function updateCropZoom(rotationDeg, out, now) {
+    const crop = state.crop;
+    const video = dom.camera;
+    const vw = video.videoWidth || out.width;
+    const vh = video.videoHeight || out.height;
+    const target = targetZoom(rotationDeg, out, vw, vh);
+
+    const dt = crop.lastTime ? Math.min(0.1, (now - crop.lastTime) / 1000) : 0;
+    crop.lastTime = now;
+
+    const mustReach = crop.mode === 'letterbox' ? target < crop.zoom : target > crop.zoom;
+    if (mustReach || crop.mode === 'fixed') {
+      crop.zoom = target;
+    } else {
+      crop.zoom += (target - crop.zoom) * (1 - Math.exp(-dt / CROP_RELEASE_S));
+    }
+    return crop.zoom;
+  }
+
+  /** Frame size the crop is computed for: the active recording, or the next one. */
+  function outputSize() {
+    if (state.isRecording) {
+      return { width: dom.recordCanvas.width, height: dom.recordCanvas.height };
+    }
+    return recordingSize();
+  }
+
+  /**
+   * Sizes the preview <video> so the circular viewport shows the centre of
+   * the output frame at the same scale: the circle's diameter maps to the
+   * output's short side. Per-frame zoom and rotation are then pure
+   * transforms. Called on resize, orientation change and new video size.
+   */
+  function layoutPreview() {
+    const out = outputSize();
+    const video = dom.camera;
+    const vw = video.videoWidth || out.width;
+    const vh = video.videoHeight || out.height;
+    const diameter = dom.viewport.clientWidth;
+    const px = diameter / Math.min(out.width, out.height) * coverScale(out, vw, vh);
+
+    video.style.width = (vw * px) + 'px';
+    video.style.height = (vh * px) + 'px';
+
+    const previewPx = Math.round(diameter * (window.devicePixelRatio || 1));
+    dom.previewCanvas.width = previewPx;
+    dom.previewCanvas.height = previewPx;
+    dom.hudCanvas.width = previewPx;
+    dom.hudCanvas.height = previewPx;
+    state.hud.previewDrawn = false;
+  }
+
+  function applyPreviewTransform(rotationDeg, zoom) {
+    dom.camera.style.transform =
+      'translate(-50%, -50%) rotate(' + rotationDeg + 'deg) scale(' + zoom + ')';
+  }
+
+  function setCropMode(mode) {
+    if (!CROP_MODES[mode]) return;
+    state.crop.mode = mode;
+    dom.cropAngleLabel.classList.toggle('hidden', mode !== 'fixed');
+  }
+
+  function setCropMaxAngle(angle) {
+    state.crop.maxAngle = angle;
+    dom.cropAngleValue.textContent = angle + '\u00B0';
+  }
+
+  function initCropControls() {
+    for (const [mode, label] of Object.entries(CROP_MODES)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      dom.cropMode.appendChild(option);
+    }
+  }
+
+  // ─── Renderer (WebGL / 2D) ───────────────────────────────────────
+
+  /**
+   * Two render paths share the crop engine's rotation and zoom:
+   *
+   *   webgl  Each frame the video is uploaded as a texture once and drawn
+   *          into the record canvas at output resolution. The fragment
+   *          shader rotates and zooms, undoes radial lens distortion and
+   *          re-rotates every source row for the rolling shutter. The
+   *          circular preview is a copy of that frame's centre, so what
+   *          you see is exactly what gets recorded (burned-in overlays
+   *          aside, see HUD Overlays).
+   *   2d     A CSS transform on the <video> for the preview and a 2D canvas
+   *          redraw per frame while recording. Rotation and zoom only.
+   *
+   * The WebGL path is plain WebGL 1 with no extensions and without
+   * failIfMajorPerformanceCaveat, so software rasterizers (SwiftShader,
+   * llvmpipe) run it too. If no context can be created, or it is lost,
+   * rendering falls back to 2d.
+   *
+   * Lens distortion is Brown–Conrady radial, on radius normalised to the
+   * source's half-diagonal: r_distorted = r (1 + k1 r² + k2 r⁴).
+   * Rolling shutter: source row y (0 = top, 1 = bottom) was exposed
+   * readoutMs × (y − ½) after mid-frame, when the device had rolled a
+   * further rollRate × that time, so the row is rotated back by as much.
+   */
+  const RENDER_ENGINES = {
+    webgl: 'WebGL',
+    '2d': '2D canvas',
+  };
+
+  const VERTEX_SHADER = `
+    attribute vec2 aPosition;
+    void main() {
+      gl_Position = vec4(aPosition, 0.0, 1.0);
+    }
+  `;
+
+  const FRAGMENT_SHADER = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    uniform sampler2D uVideo;
+    uniform vec2 uOutput;     // Output size (px)
+    uniform vec2 uSource;     // Video size (px)
+    uniform float uScale;     // Output px per source px (cover fit x crop zoom)
+    uniform float uRotation;  // Radians, clockwise
+    uniform vec2 uLens;       // k1, k2
+    uniform float uShear;     // Roll during the readout, top row to bottom (radians)
+    uniform sampler2D uHud;   // Burned-in overlays at output size, straight alpha
+    uniform bool uHudOn;
+
+    // Output pixel (centred, y down) -> source texture coordinate
+    vec2 sourceCoord(vec2 p, float angle) {
+      float c = cos(angle);
+      float s = sin(angle);
+      vec2 q = vec2(c * p.x + s * p.y, -s * p.x + c * p.y) / uScale;
+      float halfDiagonal = 0.5 * length(uSource);
+      float r2 = dot(q, q) / (halfDiagonal * halfDiagonal);
+      q *= 1.0 + uLens.x * r2 + uLens.y * r2 * r2;
+      return q / uSource + 0.5;
+    }
+
+    void main() {
+      vec2 p = vec2(gl_FragCoord.x - 0.5 * uOutput.x, 0.5 * uOutput.y - gl_FragCoord.y);
+      vec2 uv = sourceCoord(p, uRotation);
+      // The row depends on the angle and vice versa; one refinement is plenty
+      uv = sourceCoord(p, uRotation - uShear * (uv.y - 0.5));
+
+      vec4 color = vec4(0.0, 0.0, 0.0, 1.0);
+      if (uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0) {
+        color = texture2D(uVideo, uv);
+      }
+      if (uHudOn) {
+        vec4 hud = texture2D(uHud, vec2(gl_FragCoord.x / uOutput.x, 1.0 - gl_FragCoord.y / uOutput.y));
+        color.rgb = mix(color.rgb, hud.rgb, hud.a);
+      }
+      gl_FragColor = color;
+    }
+  `;
+
+  /**
+   * Sets up the WebGL path on the record canvas. Returns null when WebGL is
+   * unavailable, leaving the canvas free for a 2D context.
+   */
+  function createGlRenderer(canvas) {
+    const attributes = { alpha: false, antialias: false, depth: false, premultipliedAlpha: false };
+    let gl = null;
+    try {
+      gl = canvas.getContext('webgl', attributes) || canvas.getContext('experimental-webgl', attributes);
+    } catch (e) {
+      gl = null;
+    }
+    if (!gl) return null;
+
+    const program = linkProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    if (!program) return null;
+    gl.useProgram(program);
+
+    // One triangle strip covering the whole canvas
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'aPosition');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    // Video frames are rarely power-of-two: no mipmaps, clamp at the edges.
+    // The overlay layer lives on texture unit 1.
+    gl.activeTexture(gl.TEXTURE1);
+    const hudTexture = createClampedTexture(gl);
+    gl.activeTexture(gl.TEXTURE0);
+    const texture = createClampedTexture(gl);
+
+    const uniforms = {};
+    const names = ['uVideo', 'uOutput', 'uSource', 'uScale', 'uRotation', 'uLens', 'uShear', 'uHud', 'uHudOn'];
+    for (const name of names) {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    gl.uniform1i(uniforms.uVideo, 0);
+    gl.uniform1i(uniforms.uHud, 1);
+    gl.uniform1i(uniforms.uHudOn, 0);
+
+    canvas.addEventListener('webglcontextlost', onGlContextLost);
+
+    return { context: gl, program, texture, hudTexture, uniforms, hasFrame: false };
+  }
+
+  function createClampedTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  function linkProgram(gl, vertexSource, fragmentSource) {
+    const program = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        logError('WebGL shader failed to compile: ' + gl.getShaderInfoLog(shader));
+        return null;
+      }
+      gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      logError('WebGL program failed to link: ' + gl.getProgramInfoLog(program));
+      return null;
+    }
+    return program;
+  }
+
+  /**
+   * A lost context can't be swapped for a 2D one on the same canvas, so the
+   * canvas is replaced. A recording in progress is saved up to this point.
+   */
+  function onGlContextLost(e) {
+    e.preventDefault();
+    if (state.isRecording) stopRecording();
+    releaseGlRenderer();
+    updateRenderControls();
+    showError('Graphics context lost. Switched to 2D rendering.');
+  }
+
+  /** Drops the WebGL renderer and gives the record canvas back to the 2D path. */
+  function releaseGlRenderer() {
+    if (!state.gl) return;
+    const canvas = dom.recordCanvas;
+    canvas.removeEventListener('webglcontextlost', onGlContextLost);
+    state.gl = null;
+
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    dom.recordCanvas = fresh;
+    dom.viewport.classList.remove('webgl');
+  }
+
+  /** Starts the preferred renderer, falling back to 2d. */
+  function initRenderer() {
+    if (state.render.engine === 'webgl' && !state.gl) {
+      // A canvas that already has a 2D context can't be switched to WebGL
+      const canvas = dom.recordCanvas.cloneNode(false);
+      dom.recordCanvas.replaceWith(canvas);
+      dom.recordCanvas = canvas;
+      state.gl = createGlRenderer(canvas);
+    } else if (state.render.engine === '2d') {
+      releaseGlRenderer();
+    }
+    dom.viewport.classList.toggle('webgl', !!state.gl && !!state.animFrameId);
+    updateRenderControls();
+  }
+
+  /** Draws one frame: the preview always, the recording canvas while recording. */
+  function renderFrame(rotationDeg, zoom) {
+    if (state.gl) {
+      drawGlFrame(rotationDeg, zoom);
+      return;
+    }
+    applyPreviewTransform(rotationDeg, zoom);
+    if (state.isRecording) {
+      drawStabilizedFrame(rotationDeg, zoom);
+    }
+  }
+
+  function drawGlFrame(rotationDeg, zoom) {
+    const renderer = state.gl;
+    const gl = renderer.context;
+    const canvas = dom.recordCanvas;
+    const video = dom.camera;
+
+    // Between recordings the canvas tracks the size the next clip will have
+    if (!state.isRecording) {
+      const size = recordingSize();
+      if (canvas.width !== size.width || canvas.height !== size.height) {
+        canvas.width = size.width;
+        canvas.height = size.height;
+      }
+    }
+
+    const w = canvas.width;
+    const h = canvas.height;
+    const vw = video.videoWidth || w;
+    const vh = video.videoHeight || h;
+
+    gl.bindTexture(gl.TEXTURE_2D, renderer.texture);
+    if (video.readyState >= video.HAVE_CURRENT_DATA) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+      renderer.hasFrame = true;
+    }
+
+    const render = state.render;
+    const shear = state.rollRate / RAD_TO_DEG * render.readoutMs / 1000;
+    const u = renderer.uniforms;
+    gl.viewport(0, 0, w, h);
+    gl.uniform2f(u.uOutput, w, h);
+    gl.uniform2f(u.uSource, vw, vh);
+    gl.uniform1f(u.uScale, coverScale({ width: w, height: h }, vw, vh) * zoom);
+    gl.uniform1f(u.uRotation, rotationDeg / RAD_TO_DEG);
+    gl.uniform2f(u.uLens, render.k1, render.k2);
+    gl.uniform1f(u.uShear, shear);
+
+    if (renderer.hasFrame) {
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    } else {
+      gl.clearColor(0, 0, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    drawPreviewFromCanvas(canvas);
+
+    // The preview took its copy without them; the recording gets the
+    // burned-in overlays in a second pass over the same video texture
+    if (state.isRecording && state.hud.burnIn.length) {
+      const layer = drawHudLayer(w, h);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, renderer.hudTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, layer);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.uniform1i(u.uHudOn, 1);
+      if (renderer.hasFrame) {
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      }
+      gl.uniform1i(u.uHudOn, 0);
+    }
+  }
+
+  /** Copies the centre of the rendered frame (the circle's short side) into the preview. */
+  function drawPreviewFromCanvas(source) {
+    const preview = dom.previewCanvas;
+    const ctx = preview.getContext('2d');
+    const side = Math.min(source.width, source.height);
+    ctx.drawImage(
+      source,
+      (source.width - side) / 2, (source.height - side) / 2, side, side,
+      0, 0, preview.width, preview.height
+    );
+  }
+
+  function setRenderEngine(engine) {
+    if (!RENDER_ENGINES[engine] || state.isRecording) return;
+    state.render.engine = engine;
+    initRenderer();
+  }
+
+  function setRenderParam(key, value) {
+    state.render[key] = value;
+    updateRenderControls();
+  }
+
+  /** Restores { engine, k1, k2, readoutMs } (from a settings profile). */
+  function applyRenderSettings(render) {
+    state.render.k1 = Number(render.k1) || 0;
+    state.render.k2 = Number(render.k2) || 0;
+    state.render.readoutMs = Number(render.readoutMs) || 0;
+    if (RENDER_ENGINES[render.engine] && render.engine !== state.render.engine) {
+      setRenderEngine(render.engine);
+    }
+    updateRenderControls();
+  }
+
+  function updateRenderControls() {
+    const render = state.render;
+    dom.renderEngine.value = state.gl ? 'webgl' : '2d';
+    dom.renderGlOptions.classList.toggle('hidden', !state.gl);
+    dom.renderK1.value = String(render.k1);
+    dom.renderK1Value.textContent = render.k1.toFixed(2);
+    dom.renderK2.value = String(render.k2);
+    dom.renderK2Value.textContent = render.k2.toFixed(2);
+    dom.renderReadout.value = String(render.readoutMs);
+    dom.renderReadoutValue.textContent = render.readoutMs ? render.readoutMs + ' ms' : 'Off';
+  }
+
+  function initRenderControls() {
+    for (const [engine, label] of Object.entries(RENDER_ENGINES)) {
+      const option = document.createElement('option');
+      option.value = engine;
+      option.textContent = label;
+      dom.renderEngine.appendChild(option);
+    }
+  }
+
+  // ─── HUD Overlays ────────────────────────────────────────────────
+
+  /**
+   * Optional overlays, each switched on separately for the preview and for
+   * burn-in to recordings:
+   *
+   *   thirds   Rule-of-thirds grid
+   *   center   Centre cross and reticle
+   *   horizon  Aircraft-style artificial horizon: the horizon bar and pitch
+   *            ladder tilt with whatever roll is left in the frame and
+   *            slide with the camera's elevation (beta, measured from level)
+   *   compass  Heading tape, from alpha — needs a sensor that reports it
+   *   data     Date and time (clip position when re-stabilizing), tilt,
+   *            elevation and heading
+   *
+   * One set of drawing functions serves both targets, sized relative to
+   * the frame's short side. The preview is drawn on #hud-canvas, with text
+   * kept inside the square inscribed in the circle. Burn-in is drawn over
+   * the full output frame: straight onto the 2D record canvas, or onto an
+   * offscreen layer the WebGL shader blends over the video.
+   */
+  const HUD_OVERLAYS = {
+    thirds: 'Rule of thirds',
+    center: 'Center grid',
+    horizon: 'Artificial horizon',
+    compass: 'Compass',
+    data: 'Data strip',
+  };
+
+  const HUD_COLOR = 'rgba(255, 255, 255, 0.85)';
+  const HUD_ACCENT = '#f39c12';          // Aircraft symbol and heading marker
+  const HUD_SHADOW = 'rgba(0, 0, 0, 0.8)';
+  const HUD_LADDER_SPAN = 25;            // Degrees of pitch ladder above and below centre
+  const HUD_COMPASS_SPAN = 60;           // Degrees of heading across the compass tape
+  const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+  /** Captures this frame's values; the overlays all draw from the same snapshot. */
+  function updateHudInfo(corrected, residual) {
+    const o = state.orientation;
+    state.hud.info = {
+      time: state.post ? formatReplayTime(dom.camera.currentTime * 1000) : formatHudTime(new Date()),
+      roll: corrected,
+      residual,
+      elevation: o.valid ? Math.asin(clamp(-o.up[2], -1, 1)) * RAD_TO_DEG : null,
+      heading: o.valid ? o.heading : null,
+    };
+  }
+
+  /**
+   * Draws `overlays` (ids) over a width × height frame. Grids span the
+   * whole frame; the compass and data strip stay inside `box`.
+   */
+  function drawHud(ctx, width, height, overlays, box) {
+    const info = state.hud.info;
+    if (!info || !overlays.length) return;
+
+    const unit = Math.min(width, height) / 100;
+    ctx.save();
+    ctx.lineWidth = Math.max(1, unit * 0.3);
+    ctx.strokeStyle = HUD_COLOR;
+    ctx.fillStyle = HUD_COLOR;
+    ctx.shadowColor = HUD_SHADOW;
+    ctx.shadowBlur = unit;
+    ctx.font = '600 ' + Math.max(9, Math.round(unit * 3.5)) + 'px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Fixed stacking order, whatever order they were switched on in
+    for (const id of Object.keys(HUD_OVERLAYS)) {
+      if (!overlays.includes(id)) continue;
+      if (id === 'thirds') drawThirdsGrid(ctx, width, height);
+      else if (id === 'center') drawCenterGrid(ctx, width, height, unit);
+      else if (id === 'horizon') drawArtificialHorizon(ctx, width, height, unit, info);
+      else if (id === 'compass') drawCompass(ctx, unit, box, info);
+      else if (id === 'data') drawDataStrip(ctx, unit, box, info);
+    }
+    ctx.restore();
+  }
+
+  function drawThirdsGrid(ctx, width, height) {
+    ctx.beginPath();
+    for (const f of [1 / 3, 2 / 3]) {
+      ctx.moveTo(width * f, 0);
+      ctx.lineTo(width * f, height);
+      ctx.moveTo(0, height * f);
+      ctx.lineTo(width, height * f);
+    }
+    ctx.stroke();
+  }
+
+  function drawCenterGrid(ctx, width, height, unit) {
+    const cx = width / 2;
+    const cy = height / 2;
+    ctx.save();
+    ctx.setLineDash([unit * 2, unit * 2]);
+    ctx.beginPath();
+    ctx.moveTo(cx, 0);
+    ctx.lineTo(cx, height);
+    ctx.moveTo(0, cy);
+    ctx.lineTo(width, cy);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.beginPath();
+    ctx.arc(cx, cy, unit * 4, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  /**
+   * Horizon bar and ladder rungs every 10° inside a round window. A camera
+   * pointed up puts the horizon below centre; rungs below the horizon are
+   * dashed, as on an aircraft attitude indicator.
+   */
+  function drawArtificialHorizon(ctx, width, height, unit, info) {
+    if (info.elevation == null) return;
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = unit * 24;
+    const pxPerDeg = radius / HUD_LADDER_SPAN;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.clip();
+
+    ctx.translate(cx, cy);
+    ctx.rotate(-info.residual / RAD_TO_DEG);
+    ctx.translate(0, info.elevation * pxPerDeg);
+
+    ctx.beginPath();
+    ctx.moveTo(-radius * 2, 0);
+    ctx.lineTo(radius * 2, 0);
+    ctx.stroke();
+
+    const rung = radius * 0.35;
+    const first = Math.ceil((info.elevation - HUD_LADDER_SPAN) / 10) * 10;
+    for (let deg = first; deg <= info.elevation + HUD_LADDER_SPAN; deg += 10) {
+      if (deg === 0 || Math.abs(deg) > 90) continue;
+      const y = -deg * pxPerDeg;
+      ctx.setLineDash(deg < 0 ? [unit, unit] : []);
+      ctx.beginPath();
+      ctx.moveTo(-rung, y);
+      ctx.lineTo(rung, y);
+      ctx.stroke();
+      ctx.fillText(String(Math.abs(deg)), -rung - unit * 3.5, y);
+      ctx.fillText(String(Math.abs(deg)), rung + unit * 3.5, y);
+    }
+    ctx.restore();
+
+    // Fixed aircraft symbol: wings and a centre dot
+    ctx.save();
+    ctx.strokeStyle = HUD_ACCENT;
+    ctx.fillStyle = HUD_ACCENT;
+    ctx.lineWidth *= 2;
+    ctx.beginPath();
+    ctx.moveTo(cx - radius * 0.55, cy);
+    ctx.lineTo(cx - radius * 0.2, cy);
+    ctx.lineTo(cx - radius * 0.1, cy + radius * 0.08);
+    ctx.moveTo(cx + radius * 0.55, cy);
+    ctx.lineTo(cx + radius * 0.2, cy);
+    ctx.lineTo(cx + radius * 0.1, cy + radius * 0.08);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, unit * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /** Heading tape along the top of `box`: ticks every 5°, labels every 15°. */
+  function drawCompass(ctx, unit, box, info) {
+    const cx = box.x + box.w / 2;
+    const top = box.y;
+
+    ctx.save();
+    ctx.fillStyle = HUD_ACCENT;
+    ctx.beginPath();
+    ctx.moveTo(cx, top + unit * 6.5);
+    ctx.lineTo(cx - unit * 1.2, top + unit * 8.3);
+    ctx.lineTo(cx + unit * 1.2, top + unit * 8.3);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+
+    const heading = info.heading;
+    ctx.fillText(heading == null ? '---' : Math.round(heading) % 360 + '\u00B0', cx, top + unit * 10.5);
+    if (heading == null) return;
+
+    const pxPerDeg = box.w / HUD_COMPASS_SPAN;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(box.x, top, box.w, unit * 6);
+    ctx.clip();
+    ctx.beginPath();
+    const first = Math.ceil((heading - HUD_COMPASS_SPAN / 2) / 5) * 5;
+    for (let deg = first; deg <= heading + HUD_COMPASS_SPAN / 2; deg += 5) {
+      const x = cx + (deg - heading) * pxPerDeg;
+      const bearing = ((deg % 360) + 360) % 360;
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, top + unit * (bearing % 15 === 0 ? 2 : 1));
+      if (bearing % 15 === 0) {
+        const label = bearing % 45 === 0 ? COMPASS_POINTS[bearing / 45] : String(bearing);
+        ctx.fillText(label, x, top + unit * 4);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /** Two lines along the bottom of `box`, squeezed to its width if needed. */
+  function drawDataStrip(ctx, unit, box, info) {
+    const cx = box.x + box.w / 2;
+    const bottom = box.y + box.h;
+    const values = [
+      'TILT ' + formatSignedDegrees(info.roll),
+      'ELEV ' + (info.elevation == null ? '---' : formatSignedDegrees(info.elevation)),
+      'HDG ' + (info.heading == null ? '---' : String(Math.round(info.heading) % 360).padStart(3, '0') + '\u00B0'),
+    ];
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(info.time, cx, bottom - unit * 4.5, box.w);
+    ctx.fillText(values.join('   '), cx, bottom, box.w);
+  }
+
+  function formatSignedDegrees(value) {
+    return (value >= 0 ? '+' : '\u2212') + Math.abs(value).toFixed(1) + '\u00B0';
+  }
+
+  /** Local time as YYYY-MM-DD HH:MM:SS. */
+  function formatHudTime(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' +
+      pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
+  }
+
+  /** Text area for burn-in: the output frame less a small margin. */
+  function frameBox(width, height) {
+    const margin = Math.min(width, height) * 0.04;
+    return { x: margin, y: margin, w: width - 2 * margin, h: height - 2 * margin };
+  }
+
+  /** Redraws the preview overlays; the canvas is only cleared when something was on it. */
+  function drawHudPreview() {
+    const canvas = dom.hudCanvas;
+    const overlays = state.hud.preview;
+    if (!overlays.length && !state.hud.previewDrawn) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const side = canvas.width;
+    ctx.clearRect(0, 0, side, side);
+    // Text stays inside the square inscribed in the circular viewport
+    const inset = side * (1 - Math.SQRT1_2) / 2;
+    drawHud(ctx, side, side, overlays, { x: inset, y: inset, w: side - 2 * inset, h: side - 2 * inset });
+    state.hud.previewDrawn = overlays.length > 0;
+  }
+
+  function clearHudPreview() {
+    const ctx = dom.hudCanvas.getContext('2d');
+    if (ctx) ctx.clearRect(0, 0, dom.hudCanvas.width, dom.hudCanvas.height);
+    state.hud.previewDrawn = false;
+  }
+
+  /** Burned-in overlays on a transparent layer, for the WebGL shader to blend. */
+  function drawHudLayer(width, height) {
+    if (!state.hudLayer) {
+      state.hudLayer = document.createElement('canvas');
+    }
+    const layer = state.hudLayer;
+    if (layer.width !== width || layer.height !== height) {
+      layer.width = width;
+      layer.height = height;
+    }
+    const ctx = layer.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    drawHud(ctx, width, height, state.hud.burnIn, frameBox(width, height));
+    return layer;
+  }
+
+  function setHudOverlay(id, target, enabled) {
+    if (!HUD_OVERLAYS[id]) return;
+    const list = state.hud[target].filter((other) => other !== id);
+    if (enabled) list.push(id);
+    state.hud[target] = list;
+  }
+
+  /** Restores { preview, burnIn } overlay lists (from a settings profile). */
+  function applyHudSettings(overlays) {
+    for (const target of ['preview', 'burnIn']) {
+      const ids = Array.isArray(overlays[target]) ? overlays[target] : [];
+      state.hud[target] = ids.filter((id) => HUD_OVERLAYS[id]);
+    }
+    updateHudControls();
+  }
+
+  function updateHudControls() {
+    for (const input of dom.hudOverlays.querySelectorAll('input[type="checkbox"]')) {
+      input.checked = state.hud[input.dataset.target].includes(input.dataset.overlay);
+    }
+  }
+
+  /** One row per overlay: name, preview toggle, burn-in toggle. */
+  function initHudControls() {
+    for (const [id, label] of Object.entries(HUD_OVERLAYS)) {
+      const row = document.createElement('div');
+      row.className = 'setting-row hud-row';
+      const name = document.createElement('span');
+      name.textContent = label;
+      row.appendChild(name);
+
+      for (const [target, text] of [['preview', 'Preview'], ['burnIn', 'Burn in']]) {
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-label';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.overlay = id;
+        input.dataset.target = target;
+        const caption = document.createElement('span');
+        caption.textContent = text;
+        toggle.append(input, caption);
+        row.appendChild(toggle);
+      }
+      dom.hudOverlays.appendChild(row);
+    }
+  }
+
+  // ─── Recording ───────────────────────────────────────────────────
+
+  /**
+   * Draws the current video frame rotated by `rotationDeg` into the record
+   * canvas. The frame is scaled to cover the canvas at its own aspect ratio
+   * (so a landscape canvas never stretches a portrait frame), then by the
+   * crop engine's `zoom`.
+   */
+  function drawStabilizedFrame(rotationDeg, zoom) {
+    const canvas = dom.recordCanvas;
+    const ctx = canvas.getContext('2d');
+    const video = dom.camera;
+    const w = canvas.width;
+    const h = canvas.height;
+    const vw = video.videoWidth || w;
+    const vh = video.videoHeight || h;
+    const scale = coverScale({ width: w, height: h }, vw, vh) * zoom;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+    ctx.save();
+    ctx.translate(w / 2, h / 2);
+    ctx.rotate(rotationDeg * Math.PI / 180);
+    ctx.drawImage(video, -vw * scale / 2, -vh * scale / 2, vw * scale, vh * scale);
+    ctx.restore();
+
+    drawHud(ctx, w, h, state.hud.burnIn, frameBox(w, h));
+  }
+
+  /**
+   * Output size for a new recording: the camera's resolution, laid out to
+   * match the current screen orientation so landscape clips come out 16:9
+   * and portrait clips 9:16. Re-stabilizing a file keeps the file's size.
+   */
+  function recordingSize() {
+    const video = dom.camera;
+    if (state.post && video.videoWidth) {
+      return { width: video.videoWidth, height: video.videoHeight };
+    }
+    const long = Math.max(video.videoWidth, video.videoHeight) || 1280;
+    const short = Math.min(video.videoWidth, video.videoHeight) || 720;
+    return isLandscape() ? { width: long, height: short } : { width: short, height: long };
+  }
+
+  /**
+   * Starts a clip. Video-only clips go through WebCodecs when the browser
+   * has it (see Recording Encoder); clips with mic audio, and browsers
+   * without VideoEncoder, use MediaRecorder on the canvas stream. Time-lapse
+   * and interval stills are set up here too (see Capture Modes).
+   */
+  async function startRecording() {
+    cancelCountdown();
+    if (state.isRecording || state.recordingStarting) return;
+    if (!state.cameraStream && !state.post) {
+      showError('Start the camera before recording.');
+      return;
+    }
+
+    const canvas = dom.recordCanvas;
+    const size = recordingSize();
+    canvas.width = size.width;
+    canvas.height = size.height;
+    layoutPreview();
+
+    state.recordingName = state.post
+      ? state.post.baseName + '-restabilized'
+      : 'gyrocam-' + fileTimestamp();
+    const mode = state.post ? 'video' : state.capture.mode;
+
+    let mimeType;
+    if (mode === 'stills') {
+      state.stillArchive = createZipWriter();
+      mimeType = 'application/zip';
+    } else if (mode === 'timelapse') {
+      // Frames go on the playback timeline, which only WebCodecs can stamp
+      if (!hasWebCodecs()) {
+        showError('Time-lapse needs WebCodecs, which this browser lacks.');
+        return;
+      }
+      state.recordingStarting = true;
+      const session = await createEncoderSession(size.width, size.height, state.capture.playbackFps);
+      state.recordingStarting = false;
+      if (!session) {
+        showError('No video encoder is available for time-lapse at this size.');
+        return;
+      }
+      state.encoderSession = session;
+      mimeType = session.mimeType;
+    } else {
+      const audioTrack = state.post ? null : recordingAudioTrack();
+
+      // The muxers are video-only, so the mic track needs MediaRecorder
+      state.recordingStarting = true;
+      const session = audioTrack ? null : await createEncoderSession(size.width, size.height);
+      state.recordingStarting = false;
+
+      if (session) {
+        state.encoderSession = session;
+        mimeType = session.mimeType;
+      } else {
+        mimeType = startMediaRecorder(canvas, audioTrack);
+        if (mimeType === null) return;
+      }
+    }
+
+    state.isRecording = true;
+    state.take = createTake(state.recordingName, mode);
+    state.sidecar = state.sidecarEnabled && mode === 'video' ? createSidecar(mimeType) : null;
+    state.clipStats = mode === 'stills' ? null : createClipStats();
+
+    dom.btnRecord.textContent = 'Stop Recording';
+    dom.btnRecord.classList.add('recording');
+    dom.btnRecordPause.classList.toggle('hidden', !!state.post); // A re-stabilized file plays through
+    updateRecordStatus();
+    dom.toggleAudio.disabled = true; // Changing tracks mid-clip would break the recording
+    dom.cameraDevice.disabled = true;
+    dom.cameraResolution.disabled = true;
+    dom.renderEngine.disabled = true;
+    setEncodingControlsDisabled(true);
+    dom.recordIndicator.classList.remove('hidden');
+
+    state.recordTimerInterval = setInterval(updateRecordTimer, 1000);
+    checkRecordingStorage();
+    requestWakeLock();
+    emit('recording-start', { name: state.recordingName, mimeType, part: 1 });
+  }
+
+  /**
+   * First MediaRecorder type the browser supports, preferring the container
+   * of `codec` (a RECORDING_CODECS key); '' lets the browser pick.
+   */
+  function recorderMimeType(withAudio, codec = state.encoding.codec) {
+    const mimeTypes = withAudio ? [
+      'video/mp4;codecs=avc1,mp4a.40.2',
+      'video/mp4;codecs=avc1,opus',
+      'video/mp4',
+      'video/webm;codecs=vp9,opus',
+      'video/webm;codecs=vp8,opus',
+      'video/webm',
+    ] : [
+      'video/mp4;codecs=avc1',
+      'video/mp4;codecs=h264',
+      'video/mp4',
+      'video/webm;codecs=vp9',
+      'video/webm;codecs=vp8',
+      'video/webm',
+    ];
+
+    // Stable sort: types matching the chosen codec move to the front
+    const preferred = { avc: 'mp4', vp9: 'vp9', vp8: 'vp8' }[codec];
+    if (preferred) {
+      mimeTypes.sort((a, b) => Number(b.includes(preferred)) - Number(a.includes(preferred)));
+    }
+    return mimeTypes.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Records the canvas stream (plus mic) with MediaRecorder, preferring the
+   * container of the chosen codec. Returns the mime type in use ('' when
+   * the browser picks), or null when recording isn't possible.
+   */
+  function startMediaRecorder(canvas, audioTrack) {
+    let canvasStream;
+    try {
+      canvasStream = canvas.captureStream(recordingFrameRate());
+      if (audioTrack) {
+        canvasStream.addTrack(audioTrack);
+      }
+    } catch (e) {
+      showError('Recording is not supported in this browser.');
+      return null;
+    }
+    return startRecorder(canvasStream, recorderMimeType(!!audioTrack));
+  }
+
+  /**
+   * One MediaRecorder file from `stream`; a split starts the next one on
+   * the same stream. The recorder hands over its data as Blobs every
+   * 100 ms, which are only collected here.
+   */
+  function startRecorder(stream, mimeType) {
+    const options = mimeType ? { mimeType } : {};
+    if (state.encoding.bitrate) {
+      options.videoBitsPerSecond = state.encoding.bitrate * 1e6;
+    }
+
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, options);
+    } catch (e) {
+      showError('Recording is not supported in this browser.');
+      return null;
+    }
+
+    const capture = { recorder, stream, mimeType, chunks: [], bytes: 0 };
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) {
+        capture.chunks.push(e.data);
+        capture.bytes += e.data.size;
+      }
+    };
+
+    recorder.start(100);
+    state.mediaRecorder = capture;
+    return recorder.mimeType || mimeType;
+  }
+
+  /** Stops a MediaRecorder capture; resolves with its file. */
+  function finishMediaRecorder(capture) {
+    return new Promise((resolve) => {
+      capture.recorder.onstop = () => {
+        const type = capture.recorder.mimeType || capture.mimeType;
+        resolve(new Blob(capture.chunks, { type }));
+      };
+      if (capture.recorder.state !== 'inactive') capture.recorder.stop();
+    });
+  }
+
+  function stopRecording() {
+    if (!state.isRecording) return;
+
+    // Freeze the capture now; it is exported once the video file is ready
+    const part = endPart();
+    if (state.encoderSession) {
+      const session = state.encoderSession;
+      state.encoderSession = null;
+      finishEncoderSession(session)
+        .then((blob) => saveRecording(blob, session.mimeType, part))
+        .catch(partFailed(part));
+    } else if (state.mediaRecorder) {
+      const capture = state.mediaRecorder;
+      state.mediaRecorder = null;
+      finishMediaRecorder(capture)
+        .then((blob) => saveRecording(blob, blob.type, part))
+        .catch(partFailed(part));
+    } else if (state.stillArchive) {
+      const archive = state.stillArchive;
+      state.stillArchive = null;
+      archive.finalize()
+        .then((blob) => saveStillArchive(blob, archive.count(), part))
+        .catch(partFailed(part));
+    }
+    state.isRecording = false;
+    state.take = null;
+    releaseWakeLock();
+
+    clearInterval(state.recordTimerInterval);
+    state.recordTimerInterval = null;
+
+    dom.btnRecord.textContent = 'Record';
+    dom.btnRecord.classList.remove('recording');
+    dom.btnRecordPause.classList.add('hidden');
+    dom.toggleAudio.disabled = false;
+    dom.cameraDevice.disabled = false;
+    dom.cameraResolution.disabled = false;
+    dom.renderEngine.disabled = false;
+    setEncodingControlsDisabled(false);
+    dom.recordIndicator.classList.add('hidden');
+    dom.recordIndicator.classList.remove('paused');
+    dom.recordTimer.textContent = '00:00';
+    dom.recordStatus.textContent = '';
+    layoutPreview();
+  }
+
+  /** Total recorded time of the take (pauses excluded), and the split check. */
+  function updateRecordTimer() {
+    const elapsed = Math.floor(takeElapsed(state.take) / 1000);
+    const mins = String(Math.floor(elapsed / 60)).padStart(2, '0');
+    const secs = String(elapsed % 60).padStart(2, '0');
+    dom.recordTimer.textContent = mins + ':' + secs;
+    checkRecordingLimits();
+    if (performance.now() - state.take.storageCheckedAt > STORAGE_CHECK_MS) {
+      checkRecordingStorage();
+    }
+  }
+
+  /** Reports a part whose file could not be finished or saved. */
+  function partFailed(part) {
+    return (err) => showError('Could not save ' + part.name + ': ' + (err && err.message || err));
+  }
+
+  /**
+   * Keeps the clip in the library, or downloads it (and its sidecar) when
+   * it can't. `part` is the endPart() capture the file belongs to.
+   */
+  async function saveRecording(blob, mimeType, part) {
+    const ext = mimeType.includes('mp4') ? 'mp4' : 'webm';
+    const { name, sidecar, stats } = part;
+    const videoName = name + '.' + ext;
+
+    if (blob.size === 0) {
+      showError('No frames were recorded.');
+      return;
+    }
+
+    const clip = config.library ? await storeClip(blob, mimeType, name, stats, sidecar) : null;
+    if (!clip) {
+      downloadBlob(blob, videoName);
+      if (sidecar) {
+        exportSidecar(sidecar, videoName);
+      }
+    }
+
+    emit('recording-stop', { name, fileName: videoName, blob, clipId: clip ? clip.id : null, part: part.index });
+  }
+
+  // ─── Recording Takes ─────────────────────────────────────────────
+
+  /**
+   * A take runs from Record to Stop. It has its own clock, which stops while
+   * paused: frames, sidecar samples and clip stats are stamped with
+   * takeTime(), so a pause leaves no gap in the file. When a file reaches
+   * the duration or size limit the take splits: that file (part) is saved
+   * and recording carries on into the next one without losing frames.
+   */
+  const RECORDING_COUNTDOWNS = [0, 3, 5, 10];                      // s; 0 = start at once
+  const RECORDING_MAX_MINUTES = [0, 1, 5, 10, 15, 30, 60];         // 0 = no limit
+  const RECORDING_MAX_MEGABYTES = [0, 100, 500, 1000, 2000, 4000]; // 0 = no limit
+
+  function createTake(name, mode) {
+    const now = performance.now();
+    return {
+      baseName: name,
+      mode,                   // 'video' | 'timelapse' | 'stills' (see Capture Modes)
+      interval: state.capture.interval,
+      intervalStart: now,     // Take-clock time the current time-lapse frame or still began
+      average: createIntervalAverage(),
+      captured: 0,            // Time-lapse frames or stills so far
+      part: 1,                // Current file, counting from 1
+      split: false,           // Split at least once: files are named <base>-part<n>
+      splitting: false,       // Waiting for the next part's encoder
+      startedAt: now,         // performance.now() at Record
+      pausedAt: null,         // performance.now() while paused
+      pausedMs: 0,            // Paused time so far, left out of the take clock
+      partStart: now,         // Take-clock time the current part began
+      storageCheckedAt: now,
+      storageWarned: false,
+    };
+  }
+
+  /** `now` (performance.now() time) on the take's clock. */
+  function takeTime(take, now) {
+    return now - take.pausedMs;
+  }
+
+  /** Recorded time of the take so far in ms, pauses excluded. */
+  function takeElapsed(take) {
+    const now = take.pausedAt === null ? performance.now() : take.pausedAt;
+    return takeTime(take, now) - take.startedAt;
+  }
+
+  /** Recording and not paused: frames and samples go into the file. */
+  function recordingLive() {
+    return state.isRecording && state.take.pausedAt === null;
+  }
+
+  /** Record button: cancels a countdown, stops, or starts (after the countdown, if set). */
+  function toggleRecording() {
+    if (state.countdown) {
+      cancelCountdown();
+    } else if (state.isRecording) {
+      stopRecording();
+    } else if (state.recordLimits.countdown && !state.post) {
+      startCountdown(state.recordLimits.countdown);
+    } else {
+      startRecording();
+    }
+  }
+
+  function startCountdown(seconds) {
+    if (!state.cameraStream) {
+      showError('Start the camera before recording.');
+      return;
+    }
+    state.countdown = {
+      endsAt: performance.now() + seconds * 1000,
+      timer: setInterval(updateCountdown, 100),
+    };
+    dom.btnRecord.textContent = 'Cancel';
+    dom.recordCountdown.classList.remove('hidden');
+    updateCountdown();
+  }
+
+  function updateCountdown() {
+    const remaining = Math.ceil((state.countdown.endsAt - performance.now()) / 1000);
+    if (remaining > 0) {
+      dom.recordCountdown.textContent = String(remaining);
+      return;
+    }
+    cancelCountdown();
+    startRecording();
+  }
+
+  function cancelCountdown() {
+    if (!state.countdown) return;
+    clearInterval(state.countdown.timer);
+    state.countdown = null;
+    dom.recordCountdown.classList.add('hidden');
+    if (!state.isRecording) {
+      dom.btnRecord.textContent = 'Record';
+    }
+  }
+
+  /** Pauses the take; the encoder gets no frames and the clock stops. */
+  function pauseRecording() {
+    const take = state.take;
+    if (!take || take.pausedAt !== null || state.post) return;
+    take.pausedAt = performance.now();
+    if (state.mediaRecorder) {
+      state.mediaRecorder.recorder.pause();
+    }
+    updateRecordStatus();
+    emit('recording-pause', { name: state.recordingName, elapsed: takeElapsed(take) / 1000 });
+  }
+
+  function resumeRecording() {
+    const take = state.take;
+    if (!take || take.pausedAt === null) return;
+    take.pausedMs += performance.now() - take.pausedAt;
+    take.pausedAt = null;
+    if (state.mediaRecorder) {
+      state.mediaRecorder.recorder.resume();
+    }
+    updateRecordStatus();
+    emit('recording-resume', { name: state.recordingName, elapsed: takeElapsed(take) / 1000 });
+  }
+
+  function updateRecordStatus() {
+    const take = state.take;
+    const paused = !!take && take.pausedAt !== null;
+    const labels = [];
+    if (take && take.mode !== 'video') {
+      const noun = take.mode === 'stills' ? ' still' : ' frame';
+      labels.push(take.captured + noun + (take.captured === 1 ? '' : 's'));
+    }
+    if (take && take.part > 1) labels.push('Part ' + take.part);
+    if (paused) labels.push('Paused');
+    dom.recordStatus.textContent = labels.join(' \u00B7 ');
+    dom.recordIndicator.classList.toggle('paused', paused);
+    dom.btnRecordPause.textContent = paused ? 'Resume' : 'Pause';
+  }
+
+  /** Detaches the current file's name, sidecar and stats; they are saved with it. */
+  function endPart() {
+    const take = state.take;
+    const part = {
+      index: take.part,
+      name: take.split ? take.baseName + '-part' + take.part : take.baseName,
+      sidecar: state.sidecar,
+      stats: state.clipStats,
+    };
+    state.sidecar = null;
+    state.clipStats = null;
+    return part;
+  }
+
+  function beginPart(mimeType) {
+    const take = state.take;
+    take.part++;
+    take.partStart = takeTime(take, performance.now());
+    state.recordingName = take.baseName + '-part' + take.part;
+    state.sidecar = state.sidecarEnabled && take.mode === 'video' ? createSidecar(mimeType) : null;
+    state.clipStats = take.mode === 'stills' ? null : createClipStats();
+    updateRecordStatus();
+    emit('recording-start', { name: state.recordingName, mimeType, part: take.part });
+  }
+
+  /**
+   * Saves the current file and carries on into the next. The next WebCodecs
+   * encoder is configured before the old one is flushed, and the next
+   * MediaRecorder starts on the same stream before the old one stops, so
+   * no frames fall between the parts.
+   */
+  async function splitRecording() {
+    const take = state.take;
+    take.splitting = true;
+
+    let mimeType;
+    if (state.encoderSession) {
+      const canvas = dom.recordCanvas;
+      const next = await createEncoderSession(canvas.width, canvas.height, state.encoderSession.fps);
+      if (state.take !== take) {
+        if (next) next.encoder.close(); // Stopped meanwhile
+        return;
+      }
+      if (!next) {
+        showError('Could not start the next part of the recording.');
+        stopRecording();
+        return;
+      }
+      const session = state.encoderSession;
+      state.encoderSession = next;
+      take.split = true;
+      const part = endPart();
+      finishEncoderSession(session)
+        .then((blob) => saveRecording(blob, session.mimeType, part))
+        .catch(partFailed(part));
+      mimeType = next.mimeType;
+    } else {
+      const capture = state.mediaRecorder;
+      mimeType = startRecorder(capture.stream, capture.mimeType);
+      if (mimeType === null) {
+        stopRecording();
+        return;
+      }
+      take.split = true;
+      const part = endPart();
+      finishMediaRecorder(capture)
+        .then((blob) => saveRecording(blob, blob.type, part))
+        .catch(partFailed(part));
+    }
+
+    beginPart(mimeType);
+    take.splitting = false;
+  }
+
+  /** Splits once the current file reaches the duration or size limit. */
+  function checkRecordingLimits() {
+    const take = state.take;
+    const limits = state.recordLimits;
+    if (state.post || take.mode === 'stills' || take.pausedAt !== null || take.splitting) return;
+
+    const partMs = takeTime(take, performance.now()) - take.partStart;
+    const bytes = partBytes();
+    // Checked once a second, so leave room for what arrives before the next check
+    const margin = partMs > 0 ? bytes / partMs * SPLIT_MARGIN_S * 1000 : 0;
+    const tooLong = limits.maxMinutes > 0 && partMs >= limits.maxMinutes * 60000;
+    const tooBig = limits.maxMegabytes > 0 && bytes + margin >= limits.maxMegabytes * 1e6;
+    if (tooLong || tooBig) {
+      splitRecording();
+    }
+  }
+
+  /** Encoded bytes in the current file so far. */
+  function partBytes() {
+    if (state.encoderSession) return state.encoderSession.bytes;
+    return state.mediaRecorder ? state.mediaRecorder.bytes : 0;
+  }
+
+  /** Expected bytes per second of recording at the current settings. */
+  function recordingByteRate() {
+    const size = state.isRecording ? dom.recordCanvas : recordingSize();
+    const mode = state.take ? state.take.mode : state.capture.mode;
+    if (mode === 'timelapse') {
+      // One playback frame's worth per interval
+      const fps = state.capture.playbackFps;
+      const interval = state.take ? state.take.interval : state.capture.interval;
+      return recordingBitrate(size.width, size.height, fps) / 8 / fps / interval;
+    }
+    return recordingBitrate(size.width, size.height, recordingFrameRate()) / 8;
+  }
+
+  /**
+   * Estimates how much recording still fits in the origin's free storage
+   * (quota minus usage, less the file being recorded) for the Recording
+   * panel, and warns once per take when it is under LOW_STORAGE_MINUTES.
+   */
+  async function checkRecordingStorage() {
+    const take = state.take;
+    if (take) take.storageCheckedAt = performance.now();
+    if (!navigator.storage || !navigator.storage.estimate) return;
+    if ((take ? take.mode : state.capture.mode) === 'stills') {
+      dom.recordStorage.textContent = ''; // Stills are downloaded, not kept in the origin's storage
+      return;
+    }
+
+    let estimate;
+    try {
+      estimate = await navigator.storage.estimate();
+    } catch (e) {
+      return;
+    }
+    const pending = state.isRecording ? partBytes() : 0;
+    const free = Math.max(0, (estimate.quota || 0) - (estimate.usage || 0) - pending);
+    const minutes = free / recordingByteRate() / 60;
+    const low = minutes < LOW_STORAGE_MINUTES;
+    const left = minutes < 1 ? 'under a minute'
+      : minutes >= 120 ? 'about ' + Math.floor(minutes / 60) + ' h'
+      : 'about ' + Math.floor(minutes) + ' min';
+
+    dom.recordStorage.textContent = 'Free storage: ' + left + ' of recording at this quality';
+    dom.recordStorage.classList.toggle('low', low);
+
+    if (low && take && state.take === take && !take.storageWarned) {
+      take.storageWarned = true;
+      showError('Storage is almost full: ' + left + ' of recording left at this quality.');
+    }
+  }
+
+  function initRecordLimitControls() {
+    const megabytes = (mb) => (mb >= 1000 ? mb / 1000 + ' GB' : mb + ' MB');
+    const choices = [
+      [dom.recordCountdownDelay, RECORDING_COUNTDOWNS.map((s) => [String(s), s ? s + ' s' : 'Off'])],
+      [dom.recordMaxMinutes, RECORDING_MAX_MINUTES.map((m) => [String(m), m ? m + ' min' : 'Never'])],
+      [dom.recordMaxSize, RECORDING_MAX_MEGABYTES.map((mb) => [String(mb), mb ? megabytes(mb) : 'Never'])],
+    ];
+    for (const [select, entries] of choices) {
+      for (const [value, label] of entries) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    }
+  }
+
+  /** Restores { countdown, maxMinutes, maxMegabytes } (from a settings profile). */
+  function applyRecordLimits(recording) {
+    state.recordLimits.countdown = Number(recording.countdown) || 0;
+    state.recordLimits.maxMinutes = Number(recording.maxMinutes) || 0;
+    state.recordLimits.maxMegabytes = Number(recording.maxMegabytes) || 0;
+    updateRecordLimitControls();
+  }
+
+  function updateRecordLimitControls() {
+    dom.recordCountdownDelay.value = String(state.recordLimits.countdown);
+    dom.recordMaxMinutes.value = String(state.recordLimits.maxMinutes);
+    dom.recordMaxSize.value = String(state.recordLimits.maxMegabytes);
+  }
+
+  // ─── Capture Modes ───────────────────────────────────────────────
+
+  /**
+   * Besides video, a take can capture one stabilized frame per interval:
+   *
+   *   timelapse   each frame is encoded as the next one on a playback
+   *               timeline (WebCodecs), so 1 frame per 5 s played at 30 fps
+   *               speeds the scene up 150×
+   *   stills      each frame is saved as a JPEG, <name>-0001.jpg onwards,
+   *               collected in one ZIP that downloads when the take stops
+   *
+   * The frame isn't drawn with the rotation of the moment it is taken but
+   * with the mean rotation over its whole interval, so handheld shake and
+   * vehicle sway average out instead of making the horizon jump from frame
+   * to frame. The crop zoom is worked out for that mean rotation.
+   */
+  const CAPTURE_MODES = {
+    video: 'Video',
+    timelapse: 'Time-lapse',
+    stills: 'Interval stills',
+  };
+
+  const CAPTURE_INTERVALS = [1, 2, 3, 5, 10, 15, 30, 60]; // s between frames
+  const TIMELAPSE_FPS = [24, 25, 30, 60];                 // Playback rates
+
+  /** Circular mean of the rotation, and mean tilt, over an interval. */
+  function createIntervalAverage() {
+    return { sin: 0, cos: 0, tilt: 0, count: 0 };
+  }
+
+  /** Per tick of a live time-lapse or stills take, on the take clock. */
+  function captureIntervalFrame(recordTime, rotation, tilt) {
+    const take = state.take;
+    const average = take.average;
+    const rad = rotation * Math.PI / 180;
+    average.sin += Math.sin(rad);
+    average.cos += Math.cos(rad);
+    average.tilt += tilt;
+    average.count++;
+
+    const intervalMs = take.interval * 1000;
+    if (recordTime - take.intervalStart < intervalMs) return;
+    // Keep to the schedule, unless the loop fell a whole interval behind
+    take.intervalStart = Math.max(take.intervalStart + intervalMs, recordTime - intervalMs / 2);
+    take.average = createIntervalAverage();
+
+    const meanRotation = Math.atan2(average.sin, average.cos) * 180 / Math.PI;
+    const meanTilt = average.tilt / average.count;
+    const canvas = dom.recordCanvas;
+    const video = dom.camera;
+    const zoom = targetZoom(meanRotation, canvas, video.videoWidth || canvas.width, video.videoHeight || canvas.height);
+
+    // Redraws the record canvas only; the next tick draws the live frame again
+    if (state.gl) {
+      drawGlFrame(meanRotation, zoom);
+    } else {
+      drawStabilizedFrame(meanRotation, zoom);
+    }
+
+    take.captured++;
+    if (take.mode === 'timelapse') {
+      encodeTimelapseFrame(meanTilt);
+    } else {
+      saveStill(take.captured);
+    }
+    updateRecordStatus();
+  }
+
+  /** Adds the record canvas to the take's archive as its `index`th still. */
+  function saveStill(index) {
+    if (state.stillArchive.full()) splitStills();
+
+    const fileName = state.take.baseName + '-' + String(index).padStart(4, '0') + '.jpg';
+    // toBlob copies the canvas now, before the next tick redraws it
+    const jpeg = new Promise((resolve) => {
+      dom.recordCanvas.toBlob(resolve, 'image/jpeg', STILL_JPEG_QUALITY);
+    });
+    state.stillArchive.add(fileName, jpeg).then((blob) => {
+      if (!blob) throw new Error('no image');
+      emit('still', { fileName, blob, index });
+    }).catch(() => showError('Could not save still ' + index + '.'));
+  }
+
+  /** ZIP has 32-bit sizes: a full archive is saved and the next part begins. */
+  function splitStills() {
+    const archive = state.stillArchive;
+    state.take.split = true;
+    const part = endPart();
+    archive.finalize()
+      .then((blob) => saveStillArchive(blob, archive.count(), part))
+      .catch(partFailed(part));
+    state.stillArchive = createZipWriter();
+    beginPart('application/zip');
+  }
+
+  /** Downloads a finished stills archive; the library only keeps video. */
+  function saveStillArchive(blob, count, part) {
+    if (count === 0) {
+      showError('No stills were captured.');
+      return;
+    }
+    const fileName = part.name + '.zip';
+    downloadBlob(blob, fileName);
+    emit('recording-stop', { name: part.name, fileName, blob, clipId: null, part: part.index });
+  }
+
+  /**
+   * Keeps the screen on while recording: a time-lapse on a tripod can run
+   * for an hour without a touch, and the display sleeping would hide the
+   * page and end the take. Best effort; not every browser has wake locks.
+   */
+  function requestWakeLock() {
+    if (!navigator.wakeLock || state.wakeLock) return;
+    navigator.wakeLock.request('screen').then((lock) => {
+      if (!state.isRecording) {
+        lock.release().catch(() => { /* ignore */ });
+        return;
+      }
+      state.wakeLock = lock;
+      lock.addEventListener('release', () => {
+        if (state.wakeLock === lock) state.wakeLock = null;
+      });
+    }).catch(() => { /* ignore: e.g. battery saver */ });
+  }
+
+  function releaseWakeLock() {
+    const lock = state.wakeLock;
+    state.wakeLock = null;
+    if (lock) lock.release().catch(() => { /* ignore */ });
+  }
+
+  /** Restores { mode, interval, playbackFps } (from a settings profile). */
+  function applyCaptureSettings(recording) {
+    state.capture.mode = CAPTURE_MODES[recording.mode] ? recording.mode : 'video';
+    state.capture.interval = Number(recording.interval) || 5;
+    state.capture.playbackFps = Number(recording.playbackFps) || 30;
+    updateCaptureControls();
+  }
+
+  function initCaptureControls() {
+    const choices = [
+      [dom.captureMode, Object.entries(CAPTURE_MODES)],
+      [dom.captureInterval, CAPTURE_INTERVALS.map((s) => [String(s), s + ' s'])],
+      [dom.capturePlayback, TIMELAPSE_FPS.map((fps) => [String(fps), fps + ' fps'])],
+    ];
+    for (const [select, entries] of choices) {
+      for (const [value, label] of entries) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    }
+  }
+
+  /** Only the settings that apply to the chosen mode are shown. */
+  function updateCaptureControls() {
+    const mode = state.capture.mode;
+    dom.captureMode.value = mode;
+    dom.captureInterval.value = String(state.capture.interval);
+    dom.capturePlayback.value = String(state.capture.playbackFps);
+
+    dom.captureInterval.closest('label').classList.toggle('hidden', mode === 'video');
+    dom.capturePlayback.closest('label').classList.toggle('hidden', mode !== 'timelapse');
+    for (const select of [dom.recordCodec, dom.recordBitrate, dom.recordMaxMinutes, dom.recordMaxSize]) {
+      select.closest('label').classList.toggle('hidden', mode === 'stills');
+    }
+    dom.recordFps.closest('label').classList.toggle('hidden', mode !== 'video');
+    updateEncodingControls();
+  }
+
+  // ─── Recording Encoder (WebCodecs) ───────────────────────────────
+
+  /**
+   * canvas.captureStream() samples the canvas whenever the browser gets to
+   * it, so a throttled rAF drops or repeats frames and the container is
+   * whatever MediaRecorder supports. With WebCodecs the clip has its own
+   * fixed timeline instead: frame n is stamped n / fps, and each render
+   * tick encodes every frame that has come due since the last one —
+   *
+   *   rAF faster than fps   ticks with no due frame encode nothing
+   *   rAF slower than fps   the current image is repeated for the missed
+   *                         slots (up to MAX_CATCH_UP_S; longer stalls,
+   *                         e.g. a backgrounded tab, are cut instead)
+   *   encoder backed up     the slot is skipped; the previous frame simply
+   *                         shows for longer
+   *
+   * Chunks are muxed in the page (muxer.js): H.264 into MP4, VP8/VP9 into
+   * WebM.
+   */
+  const RECORDING_CODECS = {
+    auto: 'Auto',
+    avc: 'H.264 (MP4)',
+    vp9: 'VP9 (WebM)',
+    vp8: 'VP8 (WebM)',
+  };
+
+  const RECORDING_BITRATES = [0, 2, 4, 8, 12, 16, 25]; // Mbit/s; 0 = automatic
+  const RECORDING_FRAME_RATES = [0, 24, 25, 30, 60];    // 0 = match the camera
+
+  // H.264 levels: [level_idc, max macroblocks per frame, max macroblocks per second]
+  const AVC_LEVELS = [
+    [0x1f, 3600, 108000],     // 3.1
+    [0x20, 5120, 216000],     // 3.2
+    [0x28, 8192, 245760],     // 4.0
+    [0x2a, 8704, 522240],     // 4.2
+    [0x32, 22080, 589824],    // 5.0
+    [0x33, 36864, 983040],    // 5.1
+    [0x34, 36864, 2073600],   // 5.2
+  ];
+
+  /** High, Main and Constrained Baseline at the lowest level that fits. */
+  function avcCodecStrings(width, height, fps) {
+    const frameMbs = Math.ceil(width / 16) * Math.ceil(height / 16);
+    const fit = AVC_LEVELS.find(([, maxFrame, maxRate]) => frameMbs <= maxFrame && frameMbs * fps <= maxRate);
+    const level = (fit || AVC_LEVELS[AVC_LEVELS.length - 1])[0].toString(16).padStart(2, '0');
+    return ['avc1.6400' + level, 'avc1.4d00' + level, 'avc1.42e0' + level];
+  }
+
+  function recordingBitrate(width, height, fps) {
+    if (state.encoding.bitrate) return state.encoding.bitrate * 1e6;
+    return Math.round(width * height * fps * AUTO_BITS_PER_PIXEL);
+  }
+
+  /** First encoder config the browser accepts for the chosen codec, or null. */
+  async function findEncoderConfig(width, height, fps, bitrate) {
+    const codecs = state.encoding.codec === 'auto' ? ['avc', 'vp9', 'vp8'] : [state.encoding.codec];
+    for (const codec of codecs) {
+      const strings = codec === 'avc' ? avcCodecStrings(width, height, fps)
+        : codec === 'vp9' ? ['vp09.00.41.08']
+        : ['vp8'];
+      for (const string of strings) {
+        const config = { codec: string, width, height, bitrate, framerate: fps, latencyMode: 'quality' };
+        if (codec === 'avc') config.avc = { format: 'avc' }; // length-prefixed NALUs + avcC, as MP4 wants
+        try {
+          const support = await VideoEncoder.isConfigSupported(config);
+          if (support.supported) return { codec, config };
+        } catch (e) {
+          // Malformed for this browser — try the next candidate
+        }
+      }
+    }
+    return null;
+  }
+
+  function hasWebCodecs() {
+    return 'VideoEncoder' in window && 'VideoFrame' in window;
+  }
+
+  /** Configured encoder + muxer for a new clip, or null to use MediaRecorder. */
+  async function createEncoderSession(width, height, fps = recordingFrameRate()) {
+    if (!hasWebCodecs()) return null;
+
+    const bitrate = recordingBitrate(width, height, fps);
+    const choice = await findEncoderConfig(width, height, fps, bitrate);
+    if (!choice) return null;
+
+    const muxer = choice.codec === 'avc'
+      ? createMp4Muxer({ width, height })
+      : createWebmMuxer({ width, height, codec: choice.codec });
+
+    const session = {
+      encoder: null,
+      muxer,
+      codec: choice.config.codec,
+      mimeType: (choice.codec === 'avc' ? 'video/mp4' : 'video/webm') + ';codecs=' + choice.config.codec,
+      fps,
+      bitrate,
+      startTime: null,        // rAF time of frame 0
+      frameIndex: 0,          // Next slot on the clip's timeline
+      droppedFrames: 0,
+      bytes: 0,               // Encoded so far, for the size limit
+      failed: false,
+    };
+
+    try {
+      session.encoder = new VideoEncoder({
+        output: (chunk, metadata) => {
+          session.bytes += chunk.byteLength;
+          muxer.addChunk(chunk, metadata);
+        },
+        error: (err) => {
+          session.failed = true;
+          showError('Encoder error: ' + err.message);
+          if (state.encoderSession === session) stopRecording();
+        },
+      });
+      session.encoder.configure(choice.config);
+    } catch (e) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Time-lapse: the record canvas becomes the next frame on the playback
+   * timeline, however long after the previous one it was captured.
+   */
+  function encodeTimelapseFrame(tilt) {
+    const session = state.encoderSession;
+    if (session.failed) return;
+
+    const index = session.frameIndex++;
+    const frameUs = 1e6 / session.fps;
+    const keyInterval = Math.round(session.fps * KEYFRAME_INTERVAL_S);
+    const frame = new VideoFrame(dom.recordCanvas, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+    session.encoder.encode(frame, { keyFrame: index % keyInterval === 0 });
+    frame.close();
+
+    if (state.clipStats) {
+      recordClipFrame(index * 1000 / session.fps, tilt);
+    }
+  }
+
+  /** Encodes the record canvas into every timeline slot that is due at `now`. */
+  function encodeDueFrames(now) {
+    const session = state.encoderSession;
+    if (session.failed) return;
+
+    const frameUs = 1e6 / session.fps;
+    if (session.startTime === null) {
+      session.startTime = now;
+    }
+
+    let due = Math.floor((now - session.startTime) * session.fps / 1000) + 1;
+    const maxCatchUp = Math.ceil(session.fps * MAX_CATCH_UP_S);
+    if (due - session.frameIndex > maxCatchUp) {
+      // Long stall: shift the timeline instead of padding it with one image
+      session.startTime += (due - session.frameIndex - 1) * 1000 / session.fps;
+      due = session.frameIndex + 1;
+    }
+
+    const keyInterval = Math.round(session.fps * KEYFRAME_INTERVAL_S);
+    while (session.frameIndex < due) {
+      const index = session.frameIndex++;
+      if (session.encoder.encodeQueueSize > ENCODER_MAX_QUEUE) {
+        session.droppedFrames++;
+        continue;
+      }
+      const frame = new VideoFrame(dom.recordCanvas, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+      session.encoder.encode(frame, { keyFrame: index % keyInterval === 0 });
+      frame.close();
+    }
+  }
+
+  /** Flushes the encoder and returns the finished file. */
+  async function finishEncoderSession(session) {
+    try {
+      if (!session.failed) await session.encoder.flush();
+    } catch (e) {
+      // Keep whatever was encoded before the failure
+    }
+    if (session.encoder.state !== 'closed') {
+      session.encoder.close();
+    }
+    return session.muxer.finalize();
+  }
+
+  function initEncodingControls() {
+    const choices = [
+      [dom.recordCodec, Object.entries(RECORDING_CODECS)],
+      [dom.recordBitrate, RECORDING_BITRATES.map((mbps) => [String(mbps), mbps ? mbps + ' Mbit/s' : 'Auto'])],
+      [dom.recordFps, RECORDING_FRAME_RATES.map((fps) => [String(fps), fps ? fps + ' fps' : 'Match camera'])],
+    ];
+    for (const [select, entries] of choices) {
+      for (const [value, label] of entries) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    }
+  }
+
+  /** Restores { codec, bitrate, fps } (from a settings profile). */
+  function applyEncodingSettings(recording) {
+    state.encoding.codec = RECORDING_CODECS[recording.codec] ? recording.codec : 'auto';
+    state.encoding.bitrate = Number(recording.bitrate) || 0;
+    state.encoding.fps = Number(recording.fps) || 0;
+    updateEncodingControls();
+  }
+
+  function updateEncodingControls() {
+    dom.recordCodec.value = state.encoding.codec;
+    dom.recordBitrate.value = String(state.encoding.bitrate);
+    dom.recordFps.value = String(state.encoding.fps);
+
+    const mode = state.capture.mode;
+    let backend = 'WebCodecs';
+    if (mode === 'stills') {
+      backend = 'none, stills are saved as JPEGs in a ZIP';
+    } else if (!hasWebCodecs()) {
+      backend = mode === 'timelapse'
+        ? 'unavailable, time-lapse needs WebCodecs'
+        : 'MediaRecorder (WebCodecs unavailable)';
+    } else if (state.audio && mode === 'video') {
+      backend = 'MediaRecorder (needed for mic audio)';
+    }
+    dom.recordBackend.textContent = 'Encoder: ' + backend;
+  }
+
+  function setEncodingControlsDisabled(disabled) {
+    dom.recordCodec.disabled = disabled;
+    dom.recordBitrate.disabled = disabled;
+    dom.recordFps.disabled = disabled;
+    dom.captureMode.disabled = disabled;
+    dom.captureInterval.disabled = disabled;
+    dom.capturePlayback.disabled = disabled;
+  }
+
+  // ─── Gyro Sidecar Export ─────────────────────────────────────────
+
+  /**
+   * While recording, every sensor sample and every drawn frame is logged so
+   * the clip can be re-stabilized later in desktop tools. On stop, two files
+   * are written next to the video:
+   *
+   *   <name>.gcsv  Gyroflow IMU log: gyro (rad/s) derived from successive
+   *                orientation quaternions, accel (g) from the gravity vector
+   *   <name>.json  Everything: raw samples, per-frame rotation and zoom,
+   *                calibration, filter and crop settings
+   *
+   * All times are ms relative to the first frame drawn into the recording,
+   * with paused stretches left out.
+   */
+  function createSidecar(mimeType) {
+    const smoothing = getSmoothingStage();
+    return {
+      startedAt: new Date().toISOString(),
+      firstFrameTime: null,   // performance.now() of the first recorded frame
+      sensorType: state.sensorType,
+      calibrationOffset: state.calibrationOffset,
+      screenAngle: state.screenAngle,
+      filter: { type: smoothing.type, params: Object.assign({}, smoothing.params) },
+      stabilization: stabilizationSettings(),
+      crop: { mode: state.crop.mode, maxAngle: state.crop.maxAngle },
+      render: {
+        engine: state.gl ? 'webgl' : '2d',
+        lens: state.gl ? { k1: state.render.k1, k2: state.render.k2 } : { k1: 0, k2: 0 },
+        readoutMs: state.gl ? state.render.readoutMs : 0,
+        overlays: state.hud.burnIn.slice(),
+      },
+      video: {
+        width: dom.recordCanvas.width,
+        height: dom.recordCanvas.height,
+        fps: recordingFrameRate(),
+        mimeType,
+        encoder: state.encoderSession ? 'webcodecs' : 'mediarecorder',
+        bitrate: state.encoderSession ? state.encoderSession.bitrate : state.encoding.bitrate * 1e6 || null,
+        audio: !!recordingAudioTrack() && !state.post,
+      },
+      samples: [],            // { time, raw, quaternion }
+      frames: [],             // { time, roll, rotation, zoom }
+    };
+  }
+
+  /**
+   * Replayed samples carry trace-relative timestamps, so for alignment with
+   * the video they are stamped with their arrival time instead. Like the
+   * frames, samples are timed on the take clock (see Recording Takes).
+   */
+  function captureSidecarSample(sample) {
+    const time = takeTime(state.take, state.sensorType === 'trace-replay' ? performance.now() : sample.t);
+    const raw = {};
+    for (const key of ['quaternion', 'alpha', 'beta', 'gamma', 'rate']) {
+      if (sample[key] != null) raw[key] = sample[key];
+    }
+
+    state.sidecar.samples.push({
+      time,
+      raw,
+      quaternion: state.orientation.quaternion.slice(),
+    });
+  }
+
+  function captureSidecarFrame(now, rotation, zoom) {
+    const sidecar = state.sidecar;
+    if (sidecar.firstFrameTime === null) {
+      sidecar.firstFrameTime = now;
+    }
+    sidecar.frames.push({ time: now, roll: state.smoothedRoll, rotation, zoom });
+  }
+
+  function exportSidecar(sidecar, videoName) {
+    if (sidecar.firstFrameTime === null) return;
+
+    const base = videoName.replace(/\.[^.]+$/, '');
+    const t0 = sidecar.firstFrameTime;
+    const round = (v) => +v.toFixed(3);
+
+    const json = {
+      format: SIDECAR_FORMAT,
+      version: SIDECAR_VERSION,
+      video: Object.assign({ file: videoName }, sidecar.video),
+      startedAt: sidecar.startedAt,
+      sensorType: sidecar.sensorType,
+      calibrationOffset: sidecar.calibrationOffset,
+      screenAngle: sidecar.screenAngle,
+      filter: sidecar.filter,
+      stabilization: sidecar.stabilization,
+      crop: sidecar.crop,
+      render: sidecar.render,
+      samples: sidecar.samples.map(s => Object.assign({ t: round(s.time - t0) }, s.raw, {
+        orientation: s.quaternion.map(round6),
+      })),
+      frames: sidecar.frames.map((f, index) => ({
+        index,
+        t: round(f.time - t0),
+        roll: round(f.roll),
+        rotation: round(f.rotation),
+        zoom: round6(f.zoom),
+      })),
+    };
+
+    downloadBlob(new Blob([JSON.stringify(json)], { type: 'application/json' }), base + '.json');
+    downloadBlob(new Blob([buildGcsv(sidecar, videoName)], { type: 'text/csv' }), base + '.gcsv');
+  }
+
+  function round6(v) {
+    return +v.toFixed(6);
+  }
+
+  /**
+   * Gyroflow's generic CSV log (version 1.3). Axes are the W3C device frame
+   * (x right, y up the screen, z out of the screen), written as orientation
+   * 'XYZ'; Gyroflow's IMU orientation setting can remap them if needed.
+   */
+  function buildGcsv(sidecar, videoName) {
+    const t0 = sidecar.firstFrameTime;
+    const lines = [
+      'GYROFLOW IMU LOG',
+      'version,1.3',
+      'id,gyrocam',
+      'orientation,XYZ',
+      'note,' + sidecar.sensorType,
+      'timestamp,' + Math.round((performance.timeOrigin + t0) / 1000),
+      'vendor,GyroCam',
+      'videofilename,' + videoName,
+      'frame_readout_time,0',
+      'tscale,0.001',
+      'gscale,1',
+      'ascale,1',
+      't,gx,gy,gz,ax,ay,az',
+    ];
+
+    let prev = null;
+    for (const sample of sidecar.samples) {
+      if (prev && sample.time > prev.time) {
+        const gyro = angularVelocity(prev.quaternion, sample.quaternion, (sample.time - prev.time) / 1000);
+        const accel = upVectorFromQuaternion(sample.quaternion);
+        lines.push([
+          (sample.time - t0).toFixed(3),
+          gyro[0].toFixed(6), gyro[1].toFixed(6), gyro[2].toFixed(6),
+          accel[0].toFixed(6), accel[1].toFixed(6), accel[2].toFixed(6),
+        ].join(','));
+      }
+      prev = sample;
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Body-frame angular velocity (rad/s) that turns `from` into `to` over dt
+   * seconds: axis-angle of the relative rotation from⁻¹ · to, divided by dt.
+   */
+  function angularVelocity(from, to, dt) {
+    let d = multiplyQuaternions(conjugateQuaternion(from), to);
+    if (d[3] < 0) d = d.map(v => -v); // Shortest path
+
+    const sinHalf = Math.hypot(d[0], d[1], d[2]);
+    if (sinHalf < 1e-9) return [0, 0, 0];
+
+    const k = 2 * Math.atan2(sinHalf, d[3]) / sinHalf / dt;
+    return [d[0] * k, d[1] * k, d[2] * k];
+  }
+
+  // ─── Clip Library ────────────────────────────────────────────────
+
+  /**
+   * Finished recordings go into an on-device library (library.js) instead
+   * of straight to Downloads, which on iOS often fails or lands somewhere
+   * awkward. Each clip keeps a thumbnail, its duration, mean and largest
+   * tilt, the settings it was recorded with, and its gyro sidecar.
+   *
+   * The gallery plays, renames, trims, shares (Web Share API), downloads
+   * and deletes clips, and shows storage use against the origin's quota.
+   * Without IndexedDB, or when a clip doesn't fit, it is downloaded as
+   * before. Trimming a WebCodecs clip decodes and re-encodes just the kept
+   * range, as fast as the codecs go, into the same codec and container.
+   * Other clips (MediaRecorder, with audio) are re-recorded in real time:
+   * that takes as long as the range plays.
+   */
+
+  /** The library, opened on first use; resolves null when the browser has none. */
+  function openClipLibrary() {
+    const lib = state.library;
+    if (!lib.opening) {
+      lib.opening = openLibrary().then((store) => {
+        lib.store = store;
+        return store;
+      }, (err) => {
+        logError('Clip library unavailable: ' + (err && err.message || err));
+        return null;
+      });
+    }
+    return lib.opening;
+  }
+
+  function createClipStats() {
+    return {
+      settings: collectSettings(),
+      width: dom.recordCanvas.width,
+      height: dom.recordCanvas.height,
+      fps: state.encoderSession ? state.encoderSession.fps : recordingFrameRate(),
+      audio: state.take.mode === 'video' && !!recordingAudioTrack() && !state.post,
+      timelapse: state.take.mode === 'timelapse' ? state.take.interval : null,
+      codec: state.encoderSession ? state.encoderSession.codec : null, // WebCodecs clips trim without playback
+      firstFrame: null,       // Take-clock time (playback time in a time-lapse) of the first and last frames
+      lastFrame: null,
+      frames: 0,
+      tiltSum: 0,             // Of the corrected tilt, for the mean
+      maxTilt: 0,
+      thumbnail: null,        // Promise of a JPEG Blob
+      thumbnailAt: null,
+    };
+  }
+
+  /**
+   * Per recorded frame, after it is drawn. The thumbnail is taken from the
+   * first frame, then again CLIP_THUMBNAIL_AT_MS in, once the camera has
+   * settled.
+   */
+  function recordClipFrame(now, tilt) {
+    const stats = state.clipStats;
+    if (stats.firstFrame === null) stats.firstFrame = now;
+    stats.lastFrame = now;
+    stats.frames++;
+    stats.tiltSum += tilt;
+    stats.maxTilt = Math.max(stats.maxTilt, Math.abs(tilt));
+
+    const retake = stats.thumbnailAt === stats.firstFrame && now - stats.firstFrame >= CLIP_THUMBNAIL_AT_MS;
+    if (stats.thumbnailAt === null || retake) {
+      stats.thumbnailAt = now;
+      stats.thumbnail = captureThumbnail(dom.recordCanvas);
+    }
+  }
+
+  /** Small JPEG of a canvas; resolves null when it can't be drawn. */
+  function captureThumbnail(source) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CLIP_THUMBNAIL_WIDTH;
+    canvas.height = Math.round(CLIP_THUMBNAIL_WIDTH * source.height / source.width) || CLIP_THUMBNAIL_WIDTH;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return Promise.resolve(null);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+  }
+
+  /**
+   * Adds a finished recording to the library. Resolves with the clip, or
+   * null when it has to be downloaded instead.
+   */
+  async function storeClip(blob, mimeType, name, stats, sidecar) {
+    const library = await openClipLibrary();
+    if (!library) return null;
+
+    const frames = stats ? stats.frames : 0;
+    const meta = {
+      name,
+      mimeType,
+      duration: frames ? (stats.lastFrame - stats.firstFrame) / 1000 + 1 / stats.fps : 0,
+      width: stats ? stats.width : dom.recordCanvas.width,
+      height: stats ? stats.height : dom.recordCanvas.height,
+      fps: stats ? stats.fps : recordingFrameRate(),
+      audio: stats ? stats.audio : false,
+      tilt: frames ? { mean: stats.tiltSum / frames, max: stats.maxTilt } : null,
+      settings: stats ? stats.settings : null,
+      timelapse: stats ? stats.timelapse : null,
+      codec: stats ? stats.codec : null,
+      thumbnail: stats && stats.thumbnail ? await stats.thumbnail : null,
+    };
+
+    try {
+      const clip = await library.add(meta, blob, sidecar);
+      library.persist();
+      refreshLibrary();
+      return clip;
+    } catch (err) {
+      showError(err.name === 'QuotaExceededError'
+        ? 'Not enough storage to keep this clip in the library. It was downloaded instead.'
+        : 'Could not save the clip to the library (' + err.message + '). It was downloaded instead.');
+      return null;
+    }
+  }
+
+  function clipFileName(clip) {
+    const base = clip.name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'gyrocam';
+    return base + '.' + (clip.mimeType.includes('mp4') ? 'mp4' : 'webm');
+  }
+
+  function openLibraryPanel() {
+    dom.libraryPanel.classList.remove('hidden');
+    refreshLibrary();
+  }
+
+  function closeLibraryPanel() {
+    closeClip();
+    dom.libraryPanel.classList.add('hidden');
+  }
+
+  /** Reloads the clip list and storage use; redraws the gallery when it is open. */
+  async function refreshLibrary() {
+    const lib = state.library;
+    const library = await openClipLibrary();
+    if (!library) {
+      dom.libraryEmpty.textContent = 'This browser has no storage for a clip library. Recordings are downloaded instead.';
+      dom.libraryEmpty.classList.remove('hidden');
+      return;
+    }
+
+    try {
+      lib.clips = await library.list();
+    } catch (err) {
+      showError('Could not read the clip library: ' + err.message);
+      return;
+    }
+    dom.btnLibrary.textContent = lib.clips.length ? 'Library (' + lib.clips.length + ')' : 'Library';
+    if (dom.libraryPanel.classList.contains('hidden')) return;
+
+    renderLibraryList();
+    updateStorageUsage(await library.usage());
+  }
+
+  function renderLibraryList() {
+    const lib = state.library;
+    for (const url of lib.thumbUrls) URL.revokeObjectURL(url);
+    lib.thumbUrls = [];
+    dom.libraryList.textContent = '';
+
+    dom.libraryEmpty.textContent = 'No clips yet. Recordings are kept here.';
+    dom.libraryEmpty.classList.toggle('hidden', lib.clips.length > 0);
+
+    for (const clip of lib.clips) {
+      const card = document.createElement('button');
+      card.className = 'clip-card';
+      card.classList.toggle('selected', !!lib.selected && lib.selected.id === clip.id);
+
+      const thumb = document.createElement('div');
+      thumb.className = 'clip-thumb';
+      if (clip.thumbnail) {
+        const url = URL.createObjectURL(clip.thumbnail);
+        lib.thumbUrls.push(url);
+        thumb.style.backgroundImage = 'url("' + url + '")';
+      }
+
+      const name = document.createElement('span');
+      name.className = 'clip-name';
+      name.textContent = clip.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'clip-meta';
+      meta.textContent = formatReplayTime(clip.duration * 1000) + ' \u00B7 ' + formatBytes(clip.size);
+
+      card.append(thumb, name, meta);
+      card.addEventListener('click', () => openClip(clip.id));
+      dom.libraryList.appendChild(card);
+    }
+  }
+
+  function updateStorageUsage(estimate) {
+    if (!estimate || !estimate.quota) {
+      dom.libraryUsage.textContent = 'Storage use unknown';
+      dom.libraryUsageFill.style.width = '0';
+      return;
+    }
+    const share = estimate.usage / estimate.quota;
+    dom.libraryUsage.textContent = formatBytes(estimate.usage) + ' of ' + formatBytes(estimate.quota) + ' used';
+    dom.libraryUsageFill.style.width = (clamp(share, 0, 1) * 100) + '%';
+    dom.libraryUsageBar.classList.toggle('full', share >= LIBRARY_FULL_SHARE);
+  }
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (bytes >= 1000 && i < units.length - 1) {
+      bytes /= 1000;
+      i++;
+    }
+    return (i && bytes < 10 ? bytes.toFixed(1) : Math.round(bytes)) + ' ' + units[i];
+  }
+
+  /** Loads a clip into the viewer; its video and sidecar stay in memory for share and download. */
+  async function openClip(id) {
+    const lib = state.library;
+    closeClip();
+    try {
+      const [clip, blob, sidecar] = await Promise.all([
+        lib.store.get(id), lib.store.getVideo(id), lib.store.getSidecar(id),
+      ]);
+      lib.selected = clip;
+      lib.selectedBlob = blob;
+      lib.selectedSidecar = sidecar;
+    } catch (err) {
+      showError('Could not open the clip: ' + err.message);
+      return;
+    }
+
+    const clip = lib.selected;
+    lib.videoUrl = URL.createObjectURL(lib.selectedBlob);
+    dom.clipVideo.src = lib.videoUrl;
+    dom.clipName.value = clip.name;
+    dom.clipInfo.textContent = clipSummary(clip);
+
+    const duration = String(Math.round(clip.duration * 10) / 10);
+    dom.clipTrimStart.max = duration;
+    dom.clipTrimEnd.max = duration;
+    dom.clipTrimStart.value = '0';
+    dom.clipTrimEnd.value = duration;
+    updateTrimLabels();
+
+    dom.btnClipShare.classList.toggle('hidden', !canShareFiles());
+    dom.clipViewer.classList.remove('hidden');
+    updateClipControls();
+    renderLibraryList();
+  }
+
+  function closeClip() {
+    const lib = state.library;
+    if (lib.videoUrl) {
+      dom.clipVideo.pause();
+      dom.clipVideo.removeAttribute('src');
+      dom.clipVideo.load();
+      URL.revokeObjectURL(lib.videoUrl);
+      lib.videoUrl = null;
+    }
+    lib.selected = null;
+    lib.selectedBlob = null;
+    lib.selectedSidecar = null;
+    dom.clipViewer.classList.add('hidden');
+  }
+
+  function clipSummary(clip) {
+    const parts = [
+      new Date(clip.createdAt).toLocaleString(),
+      clip.width + '\u00D7' + clip.height,
+      Math.round(clip.fps) + ' fps',
+      clip.mimeType.includes('mp4') ? 'MP4' : 'WebM',
+      formatBytes(clip.size),
+    ];
+    if (clip.audio) parts.push('with audio');
+    if (clip.timelapse) parts.push('time-lapse, 1 frame per ' + clip.timelapse + ' s');
+
+    const settings = clip.settings;
+    if (settings) {
+      parts.push(STABILIZATION_MODES[settings.stabilization.mode] || settings.stabilization.mode);
+      parts.push(CROP_MODES[settings.crop.mode] || settings.crop.mode);
+    }
+    if (clip.tilt) {
+      parts.push('tilt ' + formatSignedDegrees(clip.tilt.mean) + ' avg, ' + clip.tilt.max.toFixed(1) + '\u00B0 max');
+    }
+    return parts.join(' \u00B7 ');
+  }
+
+  async function renameClip(name) {
+    const lib = state.library;
+    const clip = lib.selected;
+    if (!clip) return;
+    name = name.trim();
+    if (!name || name === clip.name) {
+      dom.clipName.value = clip.name;
+      return;
+    }
+    try {
+      lib.selected = await lib.store.update(clip.id, { name });
+    } catch (err) {
+      showError('Could not rename the clip: ' + err.message);
+      return;
+    }
+    refreshLibrary();
+  }
+
+  async function deleteClip() {
+    const lib = state.library;
+    const clip = lib.selected;
+    if (!clip || !confirm('Delete "' + clip.name + '"?')) return;
+
+    closeClip();
+    try {
+      await lib.store.remove(clip.id);
+    } catch (err) {
+      showError('Could not delete the clip: ' + err.message);
+    }
+    refreshLibrary();
+  }
+
+  /** Downloads the clip with its sidecar files, named after the clip. */
+  function downloadClip() {
+    const lib = state.library;
+    const clip = lib.selected;
+    if (!clip) return;
+    const fileName = clipFileName(clip);
+    downloadBlob(lib.selectedBlob, fileName);
+    if (lib.selectedSidecar) {
+      exportSidecar(lib.selectedSidecar, fileName);
+    }
+  }
+
+  function canShareFiles() {
+    return typeof navigator.share === 'function' && typeof navigator.canShare === 'function';
+  }
+
+  /** Hands the video to the share sheet (Photos, Files, messaging apps…). */
+  function shareClip() {
+    const lib = state.library;
+    const clip = lib.selected;
+    if (!clip) return;
+
+    // Called straight from the click, so the share keeps its user activation
+    const file = new File([lib.selectedBlob], clipFileName(clip), { type: clip.mimeType.split(';')[0] });
+    if (!navigator.canShare({ files: [file] })) {
+      showError('This browser can\'t share this clip. Use Download instead.');
+      return;
+    }
+    navigator.share({ files: [file], title: clip.name }).catch((err) => {
+      if (err.name !== 'AbortError') {
+        showError('Could not share the clip: ' + err.message);
+      }
+    });
+  }
+
+  /** Keeps the trim range at least CLIP_MIN_LENGTH_S long and previews the edge being moved. */
+  function onTrimInput(edge) {
+    let start = Number(dom.clipTrimStart.value);
+    let end = Number(dom.clipTrimEnd.value);
+    if (end - start < CLIP_MIN_LENGTH_S) {
+      if (edge === 'start') {
+        start = Math.max(0, end - CLIP_MIN_LENGTH_S);
+        dom.clipTrimStart.value = String(start);
+      } else {
+        end = Math.min(Number(dom.clipTrimEnd.max), start + CLIP_MIN_LENGTH_S);
+        dom.clipTrimEnd.value = String(end);
+      }
+    }
+    dom.clipVideo.pause();
+    dom.clipVideo.currentTime = edge === 'start' ? start : end;
+    updateTrimLabels();
+  }
+
+  function updateTrimLabels() {
+    dom.clipTrimStartValue.textContent = formatReplayTime(Number(dom.clipTrimStart.value) * 1000);
+    dom.clipTrimEndValue.textContent = formatReplayTime(Number(dom.clipTrimEnd.value) * 1000);
+  }
+
+  function updateClipControls() {
+    const busy = state.library.trimming;
+    for (const button of [dom.btnClipTrim, dom.btnClipShare, dom.btnClipDownload, dom.btnClipDelete]) {
+      button.disabled = busy;
+    }
+    dom.clipName.disabled = busy;
+    dom.clipTrimStart.disabled = busy;
+    dom.clipTrimEnd.disabled = busy;
+    if (!busy) dom.btnClipTrim.textContent = 'Trim';
+  }
+
+  /** Replaces the selected clip with its start–end range. */
+  async function trimClip() {
+    const lib = state.library;
+    const clip = lib.selected;
+    if (!clip || lib.trimming) return;
+
+    const start = Number(dom.clipTrimStart.value);
+    const end = Number(dom.clipTrimEnd.value);
+    if (start <= 0 && end >= Number(dom.clipTrimEnd.max)) {
+      showError('Move the start or end slider to choose the part to keep.');
+      return;
+    }
+
+    lib.trimming = true;
+    updateClipControls();
+    dom.clipVideo.pause();
+
+    try {
+      const progress = (label) => (done) => {
+        dom.btnClipTrim.textContent = label + ' ' + Math.round(done * 100) + '%';
+      };
+      const fast = clip.codec && !clip.audio && 'VideoDecoder' in window && hasWebCodecs();
+      let result = fast ? await reencodeRange(lib.selectedBlob, clip, start, end, progress('Trimming')) : null;
+      if (!result) {
+        // Shown from the start: the range has to play through at normal speed
+        const realTime = progress('Trimming in real time');
+        realTime(0);
+        result = await rerecordRange(lib.selectedBlob, clip, start, end, realTime);
+        result.start = start;
+        result.end = end;
+      }
+      const encoder = result.codec ? 'webcodecs' : 'mediarecorder';
+      const sidecar = lib.selectedSidecar &&
+        trimSidecar(lib.selectedSidecar, result.start, result.end, result.blob.type, encoder);
+      const thumbnail = await result.thumbnail;
+      await lib.store.replaceVideo(clip.id, result.blob, {
+        duration: result.end - result.start,
+        codec: result.codec || null,
+        tilt: sidecar ? sidecarTilt(sidecar) : null,
+        thumbnail: thumbnail || clip.thumbnail,
+      }, sidecar);
+    } catch (err) {
+      showError(err.name === 'QuotaExceededError'
+        ? 'Not enough storage to trim this clip.'
+        : 'Could not trim the clip: ' + err.message);
+    }
+
+    lib.trimming = false;
+    updateClipControls();
+    await refreshLibrary();
+    openClip(clip.id);
+  }
+
+  /**
+   * Trims a WebCodecs clip without playing it: frames from the keyframe
+   * before `start` are decoded, and those inside start–end re-encoded with
+   * the clip's codec and muxed into the same container, so the result
+   * keeps the fixed frame timeline. Resolves with { blob, thumbnail, codec,
+   * start, end } (the times of the frames kept), or null when the browser
+   * can't decode or encode the clip's codec.
+   */
+  async function reencodeRange(blob, clip, start, end, onProgress) {
+    const source = await readMuxedFile(blob);
+    const samples = source.samples;
+    const startUs = start * 1e6;
+    const endUs = end * 1e6;
+    let first = samples.findIndex((s) => s.time >= startUs);
+    let last = samples.length - 1;
+    while (last >= 0 && samples[last].time >= endUs) last--;
+    if (first < 0 || last < first) throw new Error('there are no frames in that range');
+    const firstUs = samples[first].time;
+    const lastUs = samples[last].time;
+    while (first > 0 && !samples[first].key) first--;
+
+    const { width, height, fps } = clip;
+    const decoderConfig = { codec: clip.codec, codedWidth: width, codedHeight: height };
+    if (source.description) decoderConfig.description = source.description;
+    // The source's own average rate, so the kept range looks the same
+    const bitrate = clip.duration > 0 ? Math.round(clip.size * 8 / clip.duration) : recordingBitrate(width, height, fps);
+    const encoderConfig = { codec: clip.codec, width, height, bitrate, framerate: fps, latencyMode: 'quality' };
+    if (source.container === 'mp4') encoderConfig.avc = { format: 'avc' };
+    try {
+      const [decodable, encodable] = await Promise.all([
+        VideoDecoder.isConfigSupported(decoderConfig),
+        VideoEncoder.isConfigSupported(encoderConfig),
+      ]);
+      if (!decodable.supported || !encodable.supported) return null;
+    } catch (err) {
+      return null;
+    }
+
+    const muxer = source.container === 'mp4'
+      ? createMp4Muxer({ width, height })
+      : createWebmMuxer({ width, height, codec: clip.codec.startsWith('vp8') ? 'vp8' : 'vp9' });
+    let failure = null;
+    const fail = (err) => { failure = failure || err; };
+    const encoder = new VideoEncoder({ output: (chunk, metadata) => muxer.addChunk(chunk, metadata), error: fail });
+    encoder.configure(encoderConfig);
+
+    const keyInterval = Math.round(fps * KEYFRAME_INTERVAL_S);
+    let encoded = 0;
+    let thumbnail = null;
+    const decoder = new VideoDecoder({
+      output: (frame) => {
+        // Frames before start only lead up from the keyframe
+        if (frame.timestamp >= firstUs && frame.timestamp <= lastUs && !failure) {
+          if (!thumbnail) {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            if (ctx) {
+              ctx.drawImage(frame, 0, 0, width, height);
+              thumbnail = captureThumbnail(canvas);
+            }
+          }
+          const restamped = new VideoFrame(frame, { timestamp: frame.timestamp - firstUs });
+          encoder.encode(restamped, { keyFrame: encoded % keyInterval === 0 });
+          restamped.close();
+          encoded++;
+        }
+        frame.close();
+      },
+      error: fail,
+    });
+    decoder.configure(decoderConfig);
+
+    try {
+      for (let i = first; i <= last && !failure; i++) {
+        const sample = samples[i];
+        const data = await readSample(blob, sample);
+        decoder.decode(new EncodedVideoChunk({ type: sample.key ? 'key' : 'delta', timestamp: sample.time, data }));
+        // Keep memory flat: only read ahead while both codecs keep up
+        while (decoder.decodeQueueSize + encoder.encodeQueueSize > TRIM_MAX_QUEUE && !failure) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        onProgress((i - first + 1) / (last - first + 1));
+      }
+      if (!failure) {
+        await decoder.flush();
+        await encoder.flush();
+      }
+    } finally {
+      if (decoder.state !== 'closed') decoder.close();
+      if (encoder.state !== 'closed') encoder.close();
+    }
+    if (failure) throw failure;
+
+    return {
+      blob: muxer.finalize(),
+      thumbnail,
+      codec: clip.codec,
+      start: firstUs / 1e6,
+      end: lastUs / 1e6 + 1 / fps,
+    };
+  }
+
+  /**
+   * Plays `blob` from start to end (seconds) into a canvas and records it
+   * with MediaRecorder, audio included. Resolves with { blob, thumbnail }.
+   */
+  function rerecordRange(blob, clip, start, end, onProgress) {
+    return new Promise((resolve, reject) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = clip.width;
+      canvas.height = clip.height;
+      const ctx = canvas.getContext('2d');
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!ctx || !canvas.captureStream || typeof MediaRecorder === 'undefined' || (clip.audio && !AudioCtx)) {
+        reject(new Error('this browser cannot re-record video'));
+        return;
+      }
+
+      const video = document.createElement('video');
+      const url = URL.createObjectURL(blob);
+      const stream = canvas.captureStream(clip.fps);
+      let audioContext = null;
+      if (clip.audio) {
+        // Routed into the recording only, so nothing plays aloud
+        audioContext = new AudioCtx();
+        const destination = audioContext.createMediaStreamDestination();
+        audioContext.createMediaElementSource(video).connect(destination);
+        destination.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+      } else {
+        video.muted = true;
+      }
+
+      const codec = clip.mimeType.includes('mp4') ? 'avc' : clip.mimeType.includes('vp8') ? 'vp8' : 'vp9';
+      const mimeType = recorderMimeType(clip.audio, codec);
+      const options = mimeType ? { mimeType } : {};
+      const bitrate = clip.settings && clip.settings.recording.bitrate;
+      if (bitrate) options.videoBitsPerSecond = bitrate * 1e6;
+
+      const chunks = [];
+      let thumbnail = null;
+      let frameId = null;
+
+      const cleanup = () => {
+        cancelAnimationFrame(frameId);
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+        stream.getTracks().forEach((track) => track.stop());
+        if (audioContext) audioContext.close().catch(() => {});
+      };
+
+      let recorder;
+      try {
+        recorder = new MediaRecorder(stream, options);
+      } catch (err) {
+        cleanup();
+        reject(err);
+        return;
+      }
+
+      const fail = (err) => {
+        recorder.onstop = null;
+        if (recorder.state !== 'inactive') recorder.stop();
+        cleanup();
+        reject(err);
+      };
+
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        cleanup();
+        resolve({ blob: new Blob(chunks, { type: recorder.mimeType || mimeType || clip.mimeType }), thumbnail });
+      };
+      video.onerror = () => fail(new Error('the clip could not be played'));
+
+      const draw = () => {
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        if (!thumbnail) thumbnail = captureThumbnail(canvas);
+        onProgress(clamp((video.currentTime - start) / (end - start), 0, 1));
+        if (video.currentTime >= end || video.ended) {
+          video.pause();
+          recorder.stop();
+          return;
+        }
+        frameId = requestAnimationFrame(draw);
+      };
+
+      video.playsInline = true;
+      video.addEventListener('loadedmetadata', () => {
+        video.currentTime = start;
+      }, { once: true });
+      video.addEventListener('seeked', () => {
+        recorder.start(100);
+        video.play().then(() => {
+          frameId = requestAnimationFrame(draw);
+        }, fail);
+      }, { once: true });
+      video.src = url;
+    });
+  }
+
+  /** The part of a sidecar inside start–end (seconds into the clip), re-based to start. */
+  function trimSidecar(sidecar, start, end, mimeType, encoder) {
+    if (sidecar.firstFrameTime === null) return sidecar;
+    const from = sidecar.firstFrameTime + start * 1000;
+    const to = sidecar.firstFrameTime + end * 1000;
+    const within = (entry) => entry.time >= from && entry.time <= to;
+    return Object.assign({}, sidecar, {
+      firstFrameTime: from,
+      samples: sidecar.samples.filter(within),
+      frames: sidecar.frames.filter(within),
+      video: Object.assign({}, sidecar.video, { mimeType, encoder }),
+    });
+  }
+
+  /** Mean and largest corrected tilt of a sidecar's frames (any vision correction aside). */
+  function sidecarTilt(sidecar) {
+    if (!sidecar.frames.length) return null;
+    let sum = 0;
+    let max = 0;
+    for (const frame of sidecar.frames) {
+      const tilt = angleDelta(frame.roll - sidecar.calibrationOffset + sidecar.screenAngle, 0);
+      sum += tilt;
+      max = Math.max(max, Math.abs(tilt));
+    }
+    return { mean: sum / sidecar.frames.length, max };
+  }
+
+  // ─── Offline Re-stabilization ────────────────────────────────────
+
+  /**
+   * Post-processing mode: a video file takes the camera's place in the
+   * <video> element and its gyro log is replayed against the video's own
+   * clock, so the normal render loop, crop engine and recorder produce a new
+   * stabilized clip — no camera or live sensors needed.
+   *
+   * Accepted logs: a sidecar JSON written with a recording, or a sensor
+   * trace. A sidecar also restores the calibration offset and screen angle,
+   * and its per-frame rotation is subtracted, since that clip was already
+   * stabilized once.
+   */
+  function openPostMode() {
+    dom.postPanel.classList.remove('hidden');
+    dom.btnPostOpen.disabled = true;
+  }
+
+  function closePostMode() {
+    const post = state.post;
+    if (post && post.rendering) return;
+
+    dom.postPanel.classList.add('hidden');
+    dom.btnPostOpen.disabled = false;
+    if (!post) return;
+
+    dom.camera.pause();
+    dom.camera.removeAttribute('src');
+    dom.camera.load();
+    if (post.videoUrl) URL.revokeObjectURL(post.videoUrl);
+
+    state.calibrationOffset = post.liveCalibrationOffset;
+    state.post = null;
+    state.replay = null;
+    state.motionEnabled = false;
+    state.sensorType = 'none';
+    stopRenderLoop();
+
+    dom.btnCamera.textContent = 'Start Camera';
+    dom.btnCamera.disabled = false;
+    dom.btnMotion.textContent = 'Enable Motion';
+    dom.btnMotion.disabled = true;
+    dom.btnRecord.disabled = true;
+    dom.btnTraceRecord.disabled = true;
+    applyPreviewTransform(0, 1);
+  }
+
+  function ensurePostState() {
+    if (!state.post) {
+      state.post = {
+        videoUrl: null,
+        baseName: 'gyrocam',
+        log: null,            // { samples, duration, frames, ... }
+        screenAngle: 0,
+        syncOffset: 0,        // ms added to video time when looking up log samples
+        rendering: false,
+        liveCalibrationOffset: state.calibrationOffset, // Restored on close; log offsets aren't saved
+      };
+    }
+    return state.post;
+  }
+
+  async function loadPostVideo(file) {
+    const post = ensurePostState();
+    const video = dom.camera;
+
+    // The file replaces the live camera
+    cancelCountdown();
+    if (state.isRecording) stopRecording();
+    stopVision();
+    if (state.cameraStream) {
+      state.cameraStream.getTracks().forEach((track) => track.stop());
+      state.cameraStream = null;
+    }
+    settleLifecycle();
+    dom.cameraSettings.classList.add('hidden');
+
+    if (post.videoUrl) URL.revokeObjectURL(post.videoUrl);
+    post.videoUrl = URL.createObjectURL(file);
+    post.baseName = file.name.replace(/\.[^.]+$/, '');
+
+    video.srcObject = null;
+    video.loop = false;
+    video.src = post.videoUrl;
+
+    try {
+      await new Promise((resolve, reject) => {
+        video.addEventListener('loadedmetadata', resolve, { once: true });
+        video.addEventListener('error', () => reject(new Error('unsupported format')), { once: true });
+      });
+    } catch (err) {
+      showError('Could not open video: ' + err.message);
+      return;
+    }
+    video.pause();
+    video.currentTime = 0;
+
+    dom.btnCamera.textContent = 'Start Camera';
+    dom.btnCamera.disabled = true;
+    dom.btnMotion.disabled = true;
+    dom.btnRecord.disabled = false;
+    dom.postSeek.max = String(Math.round(video.duration * 1000));
+    updatePostControls();
+    layoutPreview();
+    hideError();
+    maybeStartPostReplay();
+  }
+
+  async function loadPostLog(file) {
+    const post = ensurePostState();
+    try {
+      post.log = parseGyroLog(JSON.parse(await file.text()));
+    } catch (err) {
+      showError('Could not load gyro log: ' + err.message);
+      return;
+    }
+
+    post.screenAngle = post.log.screenAngle;
+    if (post.log.calibrationOffset != null) {
+      setPostOffset(post.log.calibrationOffset);
+    }
+    hideError();
+    maybeStartPostReplay();
+  }
+
+  /**
+   * Normalises a sidecar or a trace into a replayable trace. Sidecar samples
+   * already sit on the video's timeline; trace samples are assumed to start
+   * with the video and can be shifted with the sync slider.
+   */
+  function parseGyroLog(data) {
+    if (!data || data.format !== SIDECAR_FORMAT) {
+      const trace = parseTrace(data);
+      return Object.assign(trace, { frames: [], screenAngle: 0, calibrationOffset: null });
+    }
+
+    if (data.version > SIDECAR_VERSION) {
+      throw new Error('Sidecar version ' + data.version + ' is newer than this app supports.');
+    }
+    const samples = (data.samples || [])
+      .filter(s => s && typeof s.t === 'number')
+      .map(s => ({
+        t: s.t,
+        quaternion: s.quaternion || s.orientation,
+        alpha: s.alpha,
+        beta: s.beta,
+        gamma: s.gamma,
+        rate: s.rate,
+      }))
+      .sort((a, b) => a.t - b.t);
+    if (samples.length === 0) {
+      throw new Error('Sidecar contains no samples.');
+    }
+
+    return {
+      sensorType: data.sensorType || 'unknown',
+      duration: samples[samples.length - 1].t,
+      samples,
+      frames: Array.isArray(data.frames) ? data.frames : [],
+      screenAngle: data.screenAngle || 0,
+      calibrationOffset: typeof data.calibrationOffset === 'number' ? data.calibrationOffset : null,
+    };
+  }
+
+  function maybeStartPostReplay() {
+    const post = state.post;
+    if (!post || !post.log || !post.videoUrl) return;
+    startReplay(post.log, () => postVideoTime() + post.syncOffset);
+    dom.btnMotion.textContent = 'Gyro Log';
+  }
+
+  function postVideoTime() {
+    return dom.camera.currentTime * 1000;
+  }
+
+  /** Rotation the source clip was recorded with at video time `ms`, if known. */
+  function appliedRotationAt(ms) {
+    const frames = state.post && state.post.log ? state.post.log.frames : null;
+    if (!frames || frames.length === 0) return 0;
+
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= ms) lo = mid; else hi = mid - 1;
+    }
+    return frames[lo].rotation;
+  }
+
+  function setPostOffset(offset) {
+    state.calibrationOffset = offset;
+    dom.postOffset.value = String(offset);
+    dom.postOffsetValue.textContent = offset.toFixed(1) + '\u00B0';
+  }
+
+  function setPostSync(ms) {
+    ensurePostState().syncOffset = ms;
+    dom.postSync.value = String(ms);
+    dom.postSyncValue.textContent = (ms >= 0 ? '+' : '') + ms + ' ms';
+  }
+
+  function updatePostControls() {
+    const video = dom.camera;
+    if (!state.post || !video.duration) return;
+    dom.postSeek.value = String(Math.round(video.currentTime * 1000));
+    dom.postTime.textContent =
+      formatReplayTime(video.currentTime * 1000) + ' / ' + formatReplayTime(video.duration * 1000);
+    dom.btnPostPlay.textContent = video.paused ? 'Play' : 'Pause';
+  }
+
+  /**
+   * Plays the file from the start in real time while the normal recorder
+   * captures the stabilized canvas, stopping when the video ends.
+   */
+  async function renderPost() {
+    const post = state.post;
+    const video = dom.camera;
+    if (!post || !post.videoUrl || post.rendering) return;
+    if (!post.log) {
+      showError('Load a gyro log before rendering.');
+      return;
+    }
+
+    video.pause();
+    video.currentTime = 0;
+    await new Promise((resolve) => video.addEventListener('seeked', resolve, { once: true }));
+
+    post.rendering = true;
+    dom.btnPostRender.disabled = true;
+    dom.btnPostRender.textContent = 'Rendering…';
+
+    const finish = () => {
+      video.removeEventListener('ended', finish);
+      stopRecording();
+      post.rendering = false;
+      dom.btnPostRender.disabled = false;
+      dom.btnPostRender.textContent = 'Render';
+    };
+    video.addEventListener('ended', finish);
+
+    try {
+      await startRecording();
+      // startRecording reports its own failures; there is nothing to render into
+      if (!state.isRecording) {
+        finish();
+        return;
+      }
+      await video.play();
+    } catch (err) {
+      finish();
+      showError('Could not render the video: ' + err.message);
+    }
+  }
+
+  // ─── Downloads ───────────────────────────────────────────────────
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function fileTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  }
+
+  // ─── Render Loop ─────────────────────────────────────────────────
+
+  function startRenderLoop() {
+    if (state.animFrameId) return;
+    state.lastFrameTime = performance.now();
+    state.frameCount = 0;
+    tick(performance.now());
+    // Until the loop runs, the plain <video> is the preview
+    dom.viewport.classList.toggle('webgl', !!state.gl);
+  }
+
+  function stopRenderLoop() {
+    if (state.animFrameId) {
+      cancelAnimationFrame(state.animFrameId);
+      state.animFrameId = null;
+    }
+    dom.viewport.classList.remove('webgl');
+    clearHudPreview();
+  }
+
+  function tick(now) {
+    state.animFrameId = requestAnimationFrame(tick);
+
+    // ── FPS tracking ──
+    state.frameCount++;
+    const elapsed = now - state.lastFrameTime;
+    if (elapsed >= FPS_SAMPLE_INTERVAL_MS) {
+      state.currentFps = Math.round((state.frameCount / elapsed) * 1000);
+      state.frameCount = 0;
+      state.lastFrameTime = now;
+      updateSensorQualityDisplay();
+    }
+
+    // ── Feed due trace samples (replay mode only) ──
+    advanceReplay(now);
+
+    // ── Calibrated tilt (filtering already happened per sample) ──
+    const smoothed = state.smoothedRoll;
+    const screenAngle = state.post ? state.post.screenAngle : state.screenAngle;
+    const sensorTilt = angleDelta(smoothed - state.calibrationOffset + screenAngle, 0);
+
+    // ── Vision: analyse this frame, and pull the tilt towards the seen horizon ──
+    if (state.vision.worker) {
+      requestVisionFrame(now, sensorTilt);
+    }
+    const corrected = angleDelta(sensorTilt + state.vision.offset, 0);
+
+    // ── Rotation inversion: correction +N° → rotate −N° to stabilize ──
+    // (how much of the tilt is corrected depends on the stabilization mode;
+    // a re-stabilized clip already carries the rotation it was recorded with)
+    const correction = updateStabilization(corrected, now);
+    const applied = state.post ? appliedRotationAt(postVideoTime()) : 0;
+    const rotation = -correction - applied;
+
+    // ── HUD values; burn-in is drawn with the frame, the preview after it ──
+    updateHudInfo(corrected, angleDelta(corrected + applied + rotation, 0));
+
+    // ── Crop: zoom needed for this rotation, shared by preview and recording ──
+    const zoom = updateCropZoom(rotation, outputSize(), now);
+
+    // ── Draw the preview, and the recording canvas while recording ──
+    renderFrame(rotation, zoom);
+    if (recordingLive()) {
+      // Paused takes record nothing; their clock skips the pause
+      const recordTime = takeTime(state.take, now);
+      if (state.take.mode !== 'video') {
+        captureIntervalFrame(recordTime, rotation, corrected);
+      } else {
+        if (state.encoderSession) {
+          encodeDueFrames(recordTime);
+        }
+        if (state.sidecar) {
+          captureSidecarFrame(recordTime, rotation, zoom);
+        }
+        if (state.clipStats) {
+          recordClipFrame(recordTime, corrected);
+        }
+      }
+    }
+    drawHudPreview();
+
+    // ── Update tilt readout ──
+    const absTilt = Math.abs(corrected);
+    dom.tiltValue.textContent = corrected.toFixed(1) + '\u00B0';
+
+    // ── Update horizon line color and status badge ──
+    let level;
+    if (absTilt <= LEVEL_THRESHOLD_DEG) {
+      level = 'level';
+      dom.horizonLine.className = 'level';
+      dom.statusBadge.className = 'level';
+      dom.statusBadge.textContent = 'LEVEL';
+    } else if (absTilt <= TILTED_THRESHOLD_DEG) {
+      level = 'tilted';
+      dom.horizonLine.className = '';
+      dom.statusBadge.className = 'tilted';
+      dom.statusBadge.textContent = 'TILTED';
+    } else {
+      level = 'very-tilted';
+      dom.horizonLine.className = 'tilted';
+      dom.statusBadge.className = 'very-tilted';
+      dom.statusBadge.textContent = 'TILTED';
+    }
+
+    // ── Notify embedders ──
+    if (level !== state.level) {
+      const previous = state.level;
+      state.level = level;
+      emit('level-change', { level, previous });
+    }
+    emit('tilt', {
+      roll: corrected,
+      rawRoll: state.orientation.roll,
+      smoothedRoll: smoothed,
+      pitch: state.orientation.pitch,
+      rotation,
+      zoom,
+      level,
+    });
+
+    // ── Spirit level ──
+    updateSpiritLevel(now);
+
+    // ── Diagnostics ──
+    recordDiagnosticFrame(now);
+    if (!dom.debugPanel.classList.contains('hidden')) {
+      updateDiagnosticsPanel(now);
+    }
+  }
+
+  // ─── Diagnostics ─────────────────────────────────────────────────
+
+  /**
+   * Replaces guesswork in bug reports. Samples and frames feed short rolling
+   * buffers; the panel graphs raw against filtered roll and pitch over the
+   * last DIAG_GRAPH_MS and lists:
+   *
+   *   Sensor    sample rate and jitter (std deviation of the interval)
+   *   Frame     render-loop frame time, mean and worst
+   *   Latency   sensor timestamp (arrival time for traces) to the frame
+   *             that first drew it
+   *   Noise     roll/pitch std deviation over the last window the stillness
+   *             test called stationary, and the quietest window seen
+   *   Source    the sensor strategy in use and the permission outcomes
+   *
+   * Pitch drives nothing, so it has no filter of its own. For the graph it
+   * runs through a copy of the roll pipeline with separate stage state.
+   *
+   * Export Report downloads all of it plus getState(), browser APIs, the
+   * camera track settings and recent errors as JSON to attach to a bug.
+   */
+  function recordDiagnosticSample(sample) {
+    const diag = state.diagnostics;
+    const now = performance.now();
+    // Live sensor timestamps share the performance.now() timebase; traces don't
+    diag.lastSampleAt = !state.replay && Math.abs(now - sample.t) < 1000 ? sample.t : now;
+
+    diag.sampleTimes.push(sample.t);
+    while (diag.sampleTimes[0] < sample.t - DIAG_STATS_MS) diag.sampleTimes.shift();
+
+    diag.filteredPitch = filterPitch(sample.t, state.orientation.pitch);
+
+    const motion = diag.motion;
+    motion.push({ t: sample.t, roll: state.orientation.roll, pitch: state.orientation.pitch });
+    while (motion[0].t < sample.t - STATIONARY_WINDOW_MS) motion.shift();
+    if (sample.t - motion[0].t < STATIONARY_WINDOW_MS * 0.8) return;
+
+    const noise = {
+      roll: stdDeg(motion.map((m) => m.roll)),
+      pitch: stdDeg(motion.map((m) => m.pitch)),
+    };
+    if (state.stillness.since !== null) {
+      diag.noise = noise;
+    }
+    if (!diag.noiseFloor || Math.max(noise.roll, noise.pitch) < Math.max(diag.noiseFloor.roll, diag.noiseFloor.pitch)) {
+      diag.noiseFloor = noise;
+    }
+  }
+
+  /** Pitch through the current filter pipeline, keeping its own stage state. */
+  function filterPitch(t, pitch) {
+    const states = state.diagnostics.pitchStates;
+    let value = pitch;
+    for (const stage of state.filterPipeline) {
+      const filter = FILTERS[stage.type] || FILTERS.none;
+      const next = filter.step(states.get(stage) || null, { t, value }, stage.params);
+      if (Number.isNaN(next.value)) {
+        states.delete(stage);
+        continue;
+      }
+      states.set(stage, next);
+      value = next.value;
+    }
+    return angleDelta(value, 0);
+  }
+
+  function recordDiagnosticFrame(now) {
+    const diag = state.diagnostics;
+    if (diag.lastFrameAt !== null) {
+      diag.frames.push({ t: now, dt: now - diag.lastFrameAt });
+      while (diag.frames[0].t < now - DIAG_STATS_MS) diag.frames.shift();
+    }
+    diag.lastFrameAt = now;
+
+    if (diag.lastSampleAt !== null && diag.lastSampleAt !== diag.lastRenderedSampleAt) {
+      diag.latencies.push({ t: now, ms: performance.now() - diag.lastSampleAt });
+      diag.lastRenderedSampleAt = diag.lastSampleAt;
+    }
+    while (diag.latencies.length && diag.latencies[0].t < now - DIAG_STATS_MS) diag.latencies.shift();
+
+    if (state.orientation.valid) {
+      diag.history.push({
+        t: now,
+        rawRoll: state.orientation.roll,
+        roll: state.smoothedRoll,
+        rawPitch: state.orientation.pitch,
+        pitch: diag.filteredPitch,
+      });
+    }
+    while (diag.history.length && diag.history[0].t < now - DIAG_GRAPH_MS) diag.history.shift();
+  }
+
+  function noteSensorAttempt(strategy, result) {
+    state.diagnostics.attempts.push({ strategy, result, time: new Date().toISOString() });
+  }
+
+  function notePermission(name, result) {
+    state.diagnostics.permissions[name] = result;
+  }
+
+  /** Std deviation of angles around their circular mean, in degrees. */
+  function stdDeg(angles) {
+    const mean = meanAngle(angles);
+    let sum = 0;
+    for (const a of angles) sum += angleDelta(a, mean) ** 2;
+    return Math.sqrt(sum / angles.length);
+  }
+
+  function meanOf(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  /** Current figures from the rolling buffers; null where there is no data yet. */
+  function diagnosticsStats() {
+    const diag = state.diagnostics;
+    const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+    let sensor = null;
+    if (diag.sampleTimes.length > 2) {
+      const intervals = [];
+      for (let i = 1; i < diag.sampleTimes.length; i++) {
+        intervals.push(diag.sampleTimes[i] - diag.sampleTimes[i - 1]);
+      }
+      const mean = meanOf(intervals);
+      const variance = meanOf(intervals.map((dt) => (dt - mean) ** 2));
+      sensor = { rateHz: round(1000 / mean, 1), jitterMs: round(Math.sqrt(variance), 2) };
+    }
+
+    const frameTimes = diag.frames.map((f) => f.dt);
+    const latencies = diag.latencies.map((l) => l.ms);
+    const roundNoise = (n) => n && { roll: round(n.roll, 3), pitch: round(n.pitch, 3) };
+    return {
+      sensor,
+      frameMs: frameTimes.length
+        ? { mean: round(meanOf(frameTimes), 2), max: round(Math.max(...frameTimes), 2) }
+        : null,
+      latencyMs: latencies.length
+        ? { mean: round(meanOf(latencies), 1), max: round(Math.max(...latencies), 1) }
+        : null,
+      noiseDeg: roundNoise(diag.noise),
+      noiseFloorDeg: roundNoise(diag.noiseFloor),
+      fps: state.currentFps,
+    };
+  }
+
+  /**
+   * How well the running sensor strategy is doing: 'good' at 50 Hz or more
+   * with jitter under a fifth of the interval, 'poor' under 20 Hz; fused
+   * strategies also need most accelerometer readings steady enough to
+   * trust for tilt (80% for good, 50% for fair).
+   */
+  function sensorQuality() {
+    const spec = SENSOR_STRATEGIES[state.sensorType];
+    if (!spec) return null;
+
+    const stats = diagnosticsStats();
+    const fusion = spec.fused ? state.fusion : null;
+    const accelTrusted = fusion && fusion.total ? fusion.trusted / fusion.total : null;
+    const rateHz = stats.sensor ? stats.sensor.rateHz : null;
+    const jitterMs = stats.sensor ? stats.sensor.jitterMs : null;
+
+    let rating = 'fair';
+    if (rateHz === null || rateHz < 20 || (accelTrusted !== null && accelTrusted < 0.5)) {
+      rating = 'poor';
+    } else if (rateHz >= 50 && jitterMs <= 200 / rateHz && (accelTrusted === null || accelTrusted >= 0.8)) {
+      rating = 'good';
+    }
+
+    return {
+      strategy: state.sensorType,
+      label: spec.label,
+      rating,
+      rateHz,
+      jitterMs,
+      noiseDeg: stats.noiseFloorDeg,
+      heading: !!spec.heading,
+      accelTrusted: accelTrusted === null ? null : Math.round(accelTrusted * 1000) / 1000,
+    };
+  }
+
+  function updateDiagnosticsPanel(now) {
+    const stats = diagnosticsStats();
+    const diag = state.diagnostics;
+
+    dom.fpsDisplay.textContent = 'FPS: ' + state.currentFps;
+    dom.diagFrame.textContent = stats.frameMs
+      ? 'Frame: ' + stats.frameMs.mean.toFixed(1) + ' ms (max ' + stats.frameMs.max.toFixed(0) + ')'
+      : 'Frame: --';
+    dom.diagRate.textContent = stats.sensor
+      ? 'Sensor: ' + stats.sensor.rateHz.toFixed(0) + ' Hz \u00B1' + stats.sensor.jitterMs.toFixed(1) + ' ms'
+      : 'Sensor: --';
+    dom.diagLatency.textContent = stats.latencyMs
+      ? 'Latency: ' + stats.latencyMs.mean.toFixed(0) + ' ms (max ' + stats.latencyMs.max.toFixed(0) + ')'
+      : 'Latency: --';
+    const noise = stats.noiseDeg || stats.noiseFloorDeg;
+    dom.diagNoise.textContent = noise
+      ? 'Noise: ' + noise.roll.toFixed(3) + '\u00B0 / ' + noise.pitch.toFixed(3) + '\u00B0' +
+        (stats.noiseDeg ? '' : ' (floor)')
+      : 'Noise: --';
+
+    const vision = state.vision;
+    dom.visionInfo.textContent = vision.worker && vision.angle !== null
+      ? 'Vision: ' + vision.angle.toFixed(1) + ' (' + Math.round(vision.confidence * 100) + '%)'
+      : 'Vision: --';
+
+    const permissions = Object.entries(diag.permissions)
+      .map(([name, result]) => name + ' ' + result)
+      .join(', ');
+    dom.diagSource.textContent = 'Source: ' + state.sensorType + (permissions ? ' \u00B7 ' + permissions : '');
+
+    drawDiagnosticsGraph(now);
+  }
+
+  /** Two stacked plots, roll above pitch, scrolling right to left. */
+  function drawDiagnosticsGraph(now) {
+    const canvas = dom.diagGraph;
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (!width || !height) return;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    ctx.clearRect(0, 0, width, height);
+    const history = state.diagnostics.history;
+    const half = height / 2;
+    drawDiagnosticsPlot(ctx, history, now, { top: 0, width, height: half, dpr }, 'Roll', 'rawRoll', 'roll');
+    drawDiagnosticsPlot(ctx, history, now, { top: half, width, height: half, dpr }, 'Pitch', 'rawPitch', 'pitch');
+  }
+
+  /**
+   * Plots raw (dim) and filtered (accent) values around the latest filtered
+   * one, scaled to the largest deviation in view so sensor noise stays
+   * visible when the phone is still.
+   */
+  function drawDiagnosticsPlot(ctx, history, now, box, label, rawKey, filteredKey) {
+    const { top, width, height, dpr } = box;
+    const mid = top + height / 2;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    ctx.moveTo(0, mid);
+    ctx.lineTo(width, mid);
+    ctx.stroke();
+
+    const latest = history[history.length - 1];
+    const center = latest ? latest[filteredKey] : 0;
+    let range = 0.5;
+    for (const h of history) {
+      range = Math.max(range, Math.abs(angleDelta(h[rawKey], center)), Math.abs(angleDelta(h[filteredKey], center)));
+    }
+    range *= 1.1;
+
+    const x = (t) => width - (now - t) / DIAG_GRAPH_MS * width;
+    const y = (v) => mid - angleDelta(v, center) / range * (height / 2 - 2 * dpr);
+
+    for (const [key, color] of [[rawKey, 'rgba(136, 136, 160, 0.8)'], [filteredKey, '#4a90d9']]) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.beginPath();
+      history.forEach((h, i) => {
+        if (i === 0) ctx.moveTo(x(h.t), y(h[key]));
+        else ctx.lineTo(x(h.t), y(h[key]));
+      });
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = 'rgba(224, 224, 232, 0.9)';
+    ctx.font = (10 * dpr) + 'px "SF Mono", "Fira Code", monospace';
+    ctx.textBaseline = 'top';
+    const reading = latest
+      ? ' raw ' + latest[rawKey].toFixed(2) + '\u00B0  filtered ' + latest[filteredKey].toFixed(2) + '\u00B0'
+      : '';
+    ctx.fillText(label + reading, 4 * dpr, top + 2 * dpr);
+    ctx.textAlign = 'right';
+    ctx.fillText('\u00B1' + range.toFixed(range < 10 ? 2 : 0) + '\u00B0', width - 4 * dpr, top + 2 * dpr);
+    ctx.textAlign = 'left';
+  }
+
+  /** Live permission states where the Permissions API knows the name. */
+  async function queryPermissions() {
+    const states = {};
+    if (!navigator.permissions || !navigator.permissions.query) return states;
+    for (const name of ['camera', 'microphone', 'accelerometer', 'gyroscope', 'magnetometer']) {
+      try {
+        states[name] = (await navigator.permissions.query({ name })).state;
+      } catch (err) {
+        // Unknown permission name in this browser
+      }
+    }
+    return states;
+  }
+
+  /** Everything a bug report needs, as a plain JSON-ready object. */
+  async function diagnosticsReport() {
+    const diag = state.diagnostics;
+    const track = cameraTrack();
+    const round = (v) => Math.round(v * 1000) / 1000;
+    const start = diag.history.length ? diag.history[0].t : 0;
+
+    return {
+      format: DIAGNOSTICS_FORMAT,
+      version: DIAGNOSTICS_VERSION,
+      created: new Date().toISOString(),
+      environment: {
+        userAgent: navigator.userAgent,
+        secureContext: window.isSecureContext,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        screen: { width: screen.width, height: screen.height, angle: state.screenAngle },
+        apis: {
+          AbsoluteOrientationSensor: 'AbsoluteOrientationSensor' in window,
+          RelativeOrientationSensor: 'RelativeOrientationSensor' in window,
+          Gyroscope: 'Gyroscope' in window,
+          Accelerometer: 'Accelerometer' in window,
+          DeviceOrientationEvent: 'DeviceOrientationEvent' in window,
+          DeviceMotionEvent: 'DeviceMotionEvent' in window,
+          orientationPermissionPrompt: 'DeviceOrientationEvent' in window &&
+            typeof DeviceOrientationEvent.requestPermission === 'function',
+          VideoEncoder: 'VideoEncoder' in window,
+          MediaRecorder: 'MediaRecorder' in window,
+        },
+      },
+      sensor: {
+        type: state.sensorType,
+        strategy: state.sensorStrategy,
+        quality: sensorQuality(),
+        receivedData: state.hasReceivedData,
+        attempts: diag.attempts.slice(),
+      },
+      permissions: Object.assign({}, diag.permissions, await queryPermissions()),
+      stats: diagnosticsStats(),
+      camera: track && track.getSettings
+        ? Object.assign({ label: track.label }, track.getSettings())
+        : null,
+      calibration: {
+        offset: state.calibrationOffset,
+        biasRoll: state.calibration.biasRoll,
+        biasPitch: state.calibration.biasPitch,
+      },
+      state: getState(),
+      errors: diag.errors.slice(),
+      // Seconds from the start of the window, degrees
+      history: diag.history.map((h) => ({
+        t: round((h.t - start) / 1000),
+        rawRoll: round(h.rawRoll),
+        roll: round(h.roll),
+        rawPitch: round(h.rawPitch),
+        pitch: round(h.pitch),
+      })),
+    };
+  }
+
+  async function exportDiagnostics() {
+    const report = await diagnosticsReport();
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'gyrocam-diagnostics-' + fileTimestamp() + '.json');
+  }
+
+  // ─── Screen Orientation ──────────────────────────────────────────
+
+  /**
+   * Current rotation of the UI relative to the device's natural orientation,
+   * normalised to 0–359. window.orientation covers iOS before 16.4.
+   */
+  function readScreenAngle() {
+    let angle = 0;
+    if (screen.orientation && typeof screen.orientation.angle === 'number') {
+      angle = screen.orientation.angle;
+    } else if (typeof window.orientation === 'number') {
+      angle = window.orientation;
+    }
+    return ((angle % 360) + 360) % 360;
+  }
+
+  function isLandscape() {
+    return window.innerWidth > window.innerHeight;
+  }
+
+  function checkOrientation() {
+    const landscape = isLandscape();
+    const previousAngle = state.screenAngle;
+    state.screenAngle = readScreenAngle();
+
+    // Only nag when landscape capture was requested but couldn't be locked
+    dom.landscapeHint.classList.toggle('hidden', !state.landscapeLock || landscape);
+
+    // The level's axes turn with the screen; start the bubble from rest
+    if (previousAngle !== state.screenAngle) {
+      state.bubble.vx = 0;
+      state.bubble.vy = 0;
+    }
+
+    layoutPreview();
+  }
+
+  /**
+   * Lock-to-landscape capture mode. Locking requires fullscreen on Android
+   * and is not available on iOS Safari; when it fails we keep the mode on
+   * and fall back to the "rotate your device" hint.
+   */
+  async function setLandscapeLock(enabled) {
+    state.landscapeLock = enabled;
+
+    if (enabled) {
+      try {
+        // An installed app may lock without fullscreen; a browser tab may not
+        if (!isStandalone() && document.documentElement.requestFullscreen && !document.fullscreenElement) {
+          await document.documentElement.requestFullscreen();
+        }
+        await screen.orientation.lock('landscape');
+      } catch (err) {
+        showError('Landscape lock is not supported here. Rotate your device to landscape to record.');
+      }
+    } else {
+      // Unlocking returns an installed app to the manifest's portrait orientation
+      try { screen.orientation.unlock(); } catch (e) { /* ignore */ }
+      if (!isStandalone() && document.fullscreenElement && document.exitFullscreen) {
+        document.exitFullscreen().catch(() => { /* ignore */ });
+      }
+      hideError();
+    }
+
+    checkOrientation();
+  }
+
+  // ─── Error Display ───────────────────────────────────────────────
+
+  function showError(msg) {
+    logError(msg);
+    dom.errorMessage.textContent = msg;
+    dom.errorMessage.classList.remove('hidden');
+    emit('error', { message: msg });
+  }
+
+  /** Keeps a message for the diagnostics report without showing it. */
+  function logError(msg) {
+    const errors = state.diagnostics.errors;
+    errors.push({ time: new Date().toISOString(), message: msg });
+    if (errors.length > DIAG_MAX_ERRORS) errors.shift();
+  }
+
+  function hideError() {
+    dom.errorMessage.classList.add('hidden');
+  }
+
+  // ─── HTTPS Check ─────────────────────────────────────────────────
+
+  function checkSecureContext() {
+    if (location.protocol !== 'https:' && location.hostname !== 'localhost' && location.hostname !== '127.0.0.1') {
+      showError('HTTPS is required for camera and motion sensor access. Please serve this page over HTTPS.');
+      dom.btnCamera.disabled = true;
+      return false;
+    }
+    return true;
+  }
+
+  // ─── Desktop Detection ───────────────────────────────────────────
+
+  function checkMobileCapabilities() {
+    const isMobile = /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+    if (!isMobile) {
+      showError(
+        'This app is designed for mobile devices with gyroscope sensors. ' +
+        'Without one, turn on Vision to level from the camera image instead.'
+      );
+    }
+  }
+
+  // ─── Event Binding ───────────────────────────────────────────────
+
+  function bindEvents() {
+    dom.btnCamera.addEventListener('click', startCamera);
+
+    dom.cameraDevice.addEventListener('change', (e) => switchCamera(e.target.value));
+    dom.cameraResolution.addEventListener('change', (e) => setCameraResolution(e.target.value));
+    dom.cameraFps.addEventListener('change', (e) => setCameraFrameRate(e.target.value));
+    dom.cameraZoom.addEventListener('input', (e) => applyImageSetting('zoom', Number(e.target.value)));
+    dom.cameraTorch.addEventListener('change', (e) => applyImageSetting('torch', e.target.checked));
+    dom.cameraExposure.addEventListener('input', (e) => {
+      applyImageSetting('exposureCompensation', Number(e.target.value));
+    });
+    dom.cameraFocusAuto.addEventListener('change', (e) => {
+      dom.cameraFocus.disabled = e.target.checked;
+      applyImageSetting('focusMode', e.target.checked ? 'continuous' : 'manual');
+    });
+    dom.cameraFocus.addEventListener('input', (e) => {
+      applyImageSetting('focusDistance', Number(e.target.value));
+    });
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+    }
+    dom.btnMotion.addEventListener('click', enableMotion);
+    dom.btnCalibrate.addEventListener('click', () => {
+      dom.calibrationPanel.classList.toggle('hidden');
+    });
+    dom.btnCalLevel.addEventListener('click', () => calibrate('level'));
+    dom.btnCalFlip.addEventListener('click', () => calibrate('flip'));
+    dom.btnCalReset.addEventListener('click', resetCalibration);
+    dom.btnCalClose.addEventListener('click', () => {
+      cancelCalibration();
+      dom.calibrationPanel.classList.add('hidden');
+    });
+    dom.toggleAutoZero.addEventListener('change', (e) => {
+      state.calibration.autoZero = e.target.checked;
+      state.stillness.autoZeroed = false;
+      saveSettings();
+    });
+    dom.btnRecord.addEventListener('click', toggleRecording);
+    dom.btnRecordPause.addEventListener('click', () => {
+      if (state.take && state.take.pausedAt !== null) resumeRecording(); else pauseRecording();
+    });
+    dom.btnLevel.addEventListener('click', () => {
+      setLevelMode(!state.spiritLevel.active);
+    });
+    dom.btnLevelHold.addEventListener('click', toggleLevelHold);
+    dom.btnLevelRef.addEventListener('click', toggleLevelReference);
+    dom.btnLevelClose.addEventListener('click', () => setLevelMode(false));
+    dom.levelUnit.addEventListener('change', (e) => {
+      setLevelUnit(e.target.value);
+      saveSettings();
+    });
+    dom.toggleLevelCamera.addEventListener('change', (e) => {
+      setLevelHideCamera(e.target.checked);
+      saveSettings();
+    });
+
+    dom.filterSelect.addEventListener('change', (e) => {
+      setSmoothingFilter(e.target.value);
+    });
+
+    dom.toggleAudio.addEventListener('change', async (e) => {
+      if (e.target.checked) {
+        const ok = await enableAudio();
+        if (!ok) e.target.checked = false;
+      } else {
+        disableAudio();
+      }
+      state.audioPreferred = e.target.checked;
+      saveSettings();
+    });
+
+    dom.toggleVision.addEventListener('change', (e) => {
+      setVisionEnabled(e.target.checked);
+      saveSettings();
+    });
+
+    dom.toggleSidecar.addEventListener('change', (e) => {
+      state.sidecarEnabled = e.target.checked;
+      saveSettings();
+    });
+
+    dom.toggleDebug.addEventListener('change', (e) => {
+      dom.debugPanel.classList.toggle('hidden', !e.target.checked);
+      saveSettings();
+    });
+
+    dom.btnDiagExport.addEventListener('click', exportDiagnostics);
+    dom.btnLifecycleRetry.addEventListener('click', retryRecovery);
+
+    dom.hudOverlays.addEventListener('change', (e) => {
+      const { overlay, target } = e.target.dataset;
+      if (!overlay) return;
+      setHudOverlay(overlay, target, e.target.checked);
+      saveSettings();
+    });
+
+    dom.btnTraceRecord.addEventListener('click', () => {
+      if (state.isTraceRecording) stopTraceRecording(); else startTraceRecording();
+    });
+
+    dom.btnTraceLoad.addEventListener('click', () => dom.traceFile.click());
+
+    dom.traceFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) loadTraceFromFile(file);
+      e.target.value = '';
+    });
+
+    dom.btnReplayToggle.addEventListener('click', () => {
+      if (state.replay) setReplayPlaying(!state.replay.playing);
+    });
+
+    dom.replaySeek.addEventListener('input', (e) => {
+      seekReplay(Number(e.target.value));
+    });
+
+    dom.replaySpeed.addEventListener('change', (e) => {
+      if (state.replay) state.replay.speed = Number(e.target.value) || 1;
+    });
+
+    dom.btnPostOpen.addEventListener('click', openPostMode);
+    dom.btnLibrary.addEventListener('click', () => {
+      if (dom.libraryPanel.classList.contains('hidden')) openLibraryPanel(); else closeLibraryPanel();
+    });
+    dom.btnLibraryClose.addEventListener('click', closeLibraryPanel);
+    dom.clipName.addEventListener('change', (e) => renameClip(e.target.value));
+    dom.clipTrimStart.addEventListener('input', () => onTrimInput('start'));
+    dom.clipTrimEnd.addEventListener('input', () => onTrimInput('end'));
+    dom.btnClipTrim.addEventListener('click', trimClip);
+    dom.btnClipShare.addEventListener('click', shareClip);
+    dom.btnClipDownload.addEventListener('click', downloadClip);
+    dom.btnClipDelete.addEventListener('click', deleteClip);
+    dom.btnPostClose.addEventListener('click', closePostMode);
+    dom.btnPostVideo.addEventListener('click', () => dom.postVideoFile.click());
+    dom.btnPostLog.addEventListener('click', () => dom.postLogFile.click());
+
+    dom.postVideoFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) loadPostVideo(file);
+      e.target.value = '';
+    });
+
+    dom.postLogFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) loadPostLog(file);
+      e.target.value = '';
+    });
+
+    dom.btnPostPlay.addEventListener('click', () => {
+      if (!state.post || !state.post.videoUrl || state.post.rendering) return;
+      if (!dom.camera.paused) {
+        dom.camera.pause();
+        return;
+      }
+      dom.camera.play().catch((err) => {
+        // A pause before playback started aborts it; that's not a failure
+        if (err.name !== 'AbortError') showError('Could not play the video: ' + err.message);
+      });
+    });
+
+    dom.postSeek.addEventListener('input', (e) => {
+      if (!state.post || state.post.rendering) return;
+      dom.camera.currentTime = Number(e.target.value) / 1000;
+    });
+
+    dom.postOffset.addEventListener('input', (e) => setPostOffset(Number(e.target.value)));
+    dom.postSync.addEventListener('input', (e) => setPostSync(Number(e.target.value)));
+    dom.btnPostRender.addEventListener('click', renderPost);
+
+    for (const type of ['timeupdate', 'play', 'pause', 'seeked']) {
+      dom.camera.addEventListener(type, updatePostControls);
+    }
+
+    dom.sensorStrategy.addEventListener('change', (e) => {
+      setSensorStrategy(e.target.value);
+      saveSettings();
+    });
+
+    dom.stabMode.addEventListener('change', (e) => {
+      setStabilizationMode(e.target.value);
+      saveSettings();
+    });
+
+    for (const [input, key] of [[dom.stabFollow, 'followS'], [dom.stabDeadband, 'deadband'], [dom.stabMax, 'maxCorrection']]) {
+      input.addEventListener('input', (e) => setStabilizationParam(key, Number(e.target.value)));
+      input.addEventListener('change', saveSettings);
+    }
+
+    dom.cropMode.addEventListener('change', (e) => {
+      setCropMode(e.target.value);
+      saveSettings();
+    });
+
+    dom.cropAngle.addEventListener('input', (e) => {
+      setCropMaxAngle(Number(e.target.value));
+    });
+
+    dom.cropAngle.addEventListener('change', saveSettings);
+
+    dom.renderEngine.addEventListener('change', (e) => {
+      setRenderEngine(e.target.value);
+      saveSettings();
+    });
+
+    dom.recordCodec.addEventListener('change', (e) => {
+      state.encoding.codec = e.target.value;
+      saveSettings();
+    });
+    dom.recordBitrate.addEventListener('change', (e) => {
+      state.encoding.bitrate = Number(e.target.value);
+      saveSettings();
+    });
+    dom.recordFps.addEventListener('change', (e) => {
+      state.encoding.fps = Number(e.target.value);
+      saveSettings();
+    });
+    dom.captureMode.addEventListener('change', (e) => {
+      state.capture.mode = e.target.value;
+      updateCaptureControls();
+      saveSettings();
+    });
+    dom.captureInterval.addEventListener('change', (e) => {
+      state.capture.interval = Number(e.target.value);
+      saveSettings();
+    });
+    dom.capturePlayback.addEventListener('change', (e) => {
+      state.capture.playbackFps = Number(e.target.value);
+      saveSettings();
+    });
+    dom.recordCountdownDelay.addEventListener('change', (e) => {
+      state.recordLimits.countdown = Number(e.target.value);
+      saveSettings();
+    });
+    dom.recordMaxMinutes.addEventListener('change', (e) => {
+      state.recordLimits.maxMinutes = Number(e.target.value);
+      saveSettings();
+    });
+    dom.recordMaxSize.addEventListener('change', (e) => {
+      state.recordLimits.maxMegabytes = Number(e.target.value);
+      saveSettings();
+    });
+    dom.recordSettings.addEventListener('toggle', () => {
+      if (dom.recordSettings.open) checkRecordingStorage();
+    });
+
+    for (const [input, key] of [[dom.renderK1, 'k1'], [dom.renderK2, 'k2'], [dom.renderReadout, 'readoutMs']]) {
+      input.addEventListener('input', (e) => setRenderParam(key, Number(e.target.value)));
+      input.addEventListener('change', saveSettings);
+    }
+
+    dom.profileSelect.addEventListener('change', (e) => switchProfile(e.target.value));
+    dom.btnProfileNew.addEventListener('click', createProfile);
+    dom.btnProfileDelete.addEventListener('click', deleteProfile);
+    dom.btnProfileExport.addEventListener('click', exportProfile);
+    dom.btnProfileImport.addEventListener('click', () => dom.profileFile.click());
+    dom.profileFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) importProfiles(file);
+      e.target.value = '';
+    });
+
+    // Camera resolution (and orientation on rotation) arrives asynchronously
+    dom.camera.addEventListener('loadedmetadata', layoutPreview);
+    dom.camera.addEventListener('resize', layoutPreview);
+
+    dom.toggleLandscape.addEventListener('change', (e) => {
+      setLandscapeLock(e.target.checked);
+    });
+
+    // Hide the toggle where the lock API doesn't exist at all (iOS Safari)
+    if (!screen.orientation || typeof screen.orientation.lock !== 'function') {
+      dom.toggleLandscape.closest('label').classList.add('hidden');
+    }
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('resize', checkOrientation);
+    window.addEventListener('orientationchange', checkOrientation);
+    if (screen.orientation) {
+      screen.orientation.addEventListener('change', checkOrientation);
+    }
+    checkOrientation();
+  }
+
+  function onDeviceChange() {
+    if (state.cameraStream) refreshCameraDevices();
+
+    // A camera plugged back in is worth trying straight away
+    const lifecycle = state.lifecycle;
+    const waiting = lifecycle.phase === 'failed' || (lifecycle.phase === 'recovering' && lifecycle.timer);
+    if (waiting && lifecycle.resume && lifecycle.resume.camera && !state.cameraStream) {
+      startRecovery('device-change');
+    }
+  }
+
+  /** Listeners outside the container; everything inside goes with the markup. */
+  function unbindGlobalEvents() {
+    if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+      navigator.mediaDevices.removeEventListener('devicechange', onDeviceChange);
+    }
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('resize', checkOrientation);
+    window.removeEventListener('orientationchange', checkOrientation);
+    if (screen.orientation) {
+      screen.orientation.removeEventListener('change', checkOrientation);
+    }
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Camera plus motion in one call. Motion is requested first: iOS only
+   * grants sensor permission inside the user gesture, which waiting on the
+   * camera prompt would use up.
+   */
+  async function start() {
+    const motionOk = state.motionEnabled || await enableMotion();
+    if (!state.cameraStream && !state.post) {
+      await startCamera();
+    }
+    // A successful camera start clears the error panel
+    if (!motionOk) showMotionUnavailable();
+    return getState();
+  }
+
+  function stop() {
+    if (state.post) {
+      closePostMode();
+      return;
+    }
+    stopCamera();
+    stopMotion();
+  }
+
+  /**
+   * Applies partial settings in profile form and saves them to the active
+   * profile, e.g. setOptions({ crop: { mode: 'letterbox' } }). Nested
+   * objects merge with the current values.
+   */
+  function setOptions(options) {
+    mergeSettings(options);
+    saveSettings();
+  }
+
+  /** Applies partial settings over the current ones, without persisting. */
+  function mergeSettings(options) {
+    const settings = collectSettings();
+    for (const [key, value] of Object.entries(options || {})) {
+      if (!(key in settings)) continue;
+      settings[key] = value && typeof value === 'object' && typeof settings[key] === 'object'
+        ? Object.assign({}, settings[key], value)
+        : value;
+    }
+    applySettings(settings);
+  }
+
+  /** Snapshot of the live status plus the current settings. */
+  function getState() {
+    const screenAngle = state.post ? state.post.screenAngle : state.screenAngle;
+    return {
+      camera: !!state.cameraStream,
+      motion: state.motionEnabled,
+      sensorType: state.sensorType,
+      sensorQuality: sensorQuality(),
+      lifecycle: state.lifecycle.phase,
+      recording: state.isRecording,
+      take: state.take
+        ? { part: state.take.part, paused: state.take.pausedAt !== null, elapsed: takeElapsed(state.take) / 1000 }
+        : null,
+      roll: state.motionEnabled || state.sensorType === 'vision'
+        ? angleDelta(state.smoothedRoll - state.calibrationOffset + screenAngle, 0)
+        : null,
+      rawRoll: state.orientation.valid ? state.orientation.roll : null,
+      pitch: state.orientation.valid ? state.orientation.pitch : null,
+      level: state.level,
+      spiritLevel: spiritLevelState(),
+      vision: state.vision.worker
+        ? { angle: state.vision.angle, confidence: state.vision.confidence, offset: state.vision.offset }
+        : null,
+      renderer: state.gl ? 'webgl' : '2d',
+      profile: state.activeProfile,
+      settings: collectSettings(),
+    };
+  }
+
+  /** Resolves to the diagnostics report that Export Report downloads. */
+  function getDiagnostics() {
+    return diagnosticsReport();
+  }
+
+  /** Loads a trace from a URL or File and starts replaying it. */
+  function loadTrace(source) {
+    return typeof source === 'string' ? loadTraceFromUrl(source) : loadTraceFromFile(source);
+  }
+
+  // ─── Cleanup ─────────────────────────────────────────────────────
+
+  function destroy() {
+    cancelCountdown();
+    if (state.isRecording) {
+      stopRecording();
+    }
+    state.destroyed = true;
+    clearLifecycleTimer();
+    setPhase('idle', 'destroyed');
+
+    stopRenderLoop();
+    stopLiveSensors();
+    stopVision();
+    disableAudio();
+    state.replay = null;
+
+    if (state.cameraStream) {
+      state.cameraStream.getTracks().forEach((track) => track.stop());
+      state.cameraStream = null;
+    }
+
+    closeClip();
+    state.library.thumbUrls.forEach((url) => URL.revokeObjectURL(url));
+
+    unbindGlobalEvents();
+    listeners.clear();
+    renderedNodes.forEach((node) => node.remove());
+    if (activeInstance === instanceToken) activeInstance = null;
+  }
+
+  // ─── Init ────────────────────────────────────────────────────────
+
+  function init() {
+    const secure = checkSecureContext();
+    if (secure) {
+      checkMobileCapabilities();
+    }
+    initFilterControls();
+    initSensorControls();
+    initLevelControls();
+    initStabilizationControls();
+    initCropControls();
+    initRenderControls();
+    initEncodingControls();
+    initRecordLimitControls();
+    initCaptureControls();
+    initHudControls();
+    loadSettingsStore();
+    if (options.settings) {
+      // Not saved: the embedder's settings mustn't overwrite the stored profile
+      mergeSettings(options.settings);
+    }
+    initRenderer();
+    bindEvents();
+    if (config.library) {
+      refreshLibrary();
+    } else {
+      dom.btnLibrary.classList.add('hidden');
+    }
+  }
+
+  init();
+
+  return {
+    start,
+    stop,
+    startCamera,
+    stopCamera,
+    enableMotion,
+    stopMotion,
+    calibrate,
+    startRecording,
+    stopRecording,
+    pauseRecording,
+    resumeRecording,
+    loadTrace,
+    setOptions,
+    getState,
+    getDiagnostics,
+    on,
+    off,
+    destroy,
+  };
+}
+
+export default createGyroCam;
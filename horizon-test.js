@@ -0,0 +1,131 @@
+/**
+ * GyroCam — horizon detector test page
+ *
+ * Feeds every image in a chosen folder through detectHorizon() at the same
+ * analysis width the app uses, and reports the error against the image's
+ * known horizon angle. Not part of the app shell.
+ */
+
+import { ANALYSIS_WIDTH, detectHorizon } from './horizon.js';
+
+const PASS_ERROR_DEG = 1;         // Errors above this are highlighted
+const NAME_ANGLE = /_(-?\d+(?:\.\d+)?)deg\.[^.]+$/i;
+
+const dom = {
+  folder: document.getElementById('folder'),
+  summary: document.getElementById('summary'),
+  results: document.getElementById('results'),
+  rows: document.querySelector('#results tbody'),
+};
+
+const canvas = document.createElement('canvas');
+const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+/** Known angles from horizons.json, if the folder has one. */
+async function readExpected(files) {
+  const manifest = files.find(file => file.name === 'horizons.json');
+  if (!manifest) return {};
+  try {
+    return JSON.parse(await manifest.text());
+  } catch (err) {
+    dom.summary.textContent = 'horizons.json is not valid JSON; using file names only.';
+    return {};
+  }
+}
+
+function expectedAngle(file, expected) {
+  if (typeof expected[file.name] === 'number') return expected[file.name];
+  const match = file.name.match(NAME_ANGLE);
+  return match ? parseFloat(match[1]) : null;
+}
+
+async function analyse(file) {
+  const bitmap = await createImageBitmap(file);
+  canvas.width = ANALYSIS_WIDTH;
+  canvas.height = Math.round(ANALYSIS_WIDTH * bitmap.height / bitmap.width);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const start = performance.now();
+  const result = detectHorizon(image.data, canvas.width, canvas.height);
+  return { ...result, ms: performance.now() - start };
+}
+
+function addRow(cells, failed) {
+  const row = document.createElement('tr');
+  cells.forEach((text, i) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (failed && i === 3) cell.className = 'fail';
+    row.appendChild(cell);
+  });
+  dom.rows.appendChild(row);
+}
+
+async function runFolder(fileList) {
+  const files = Array.from(fileList);
+  const expected = await readExpected(files);
+  const images = files
+    .filter(file => file.type.startsWith('image/'))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  dom.rows.textContent = '';
+  dom.results.hidden = images.length === 0;
+  if (!images.length) {
+    dom.summary.textContent = 'No images in that folder.';
+    return;
+  }
+
+  const errors = [];
+  let confidenceSum = 0;
+  let missed = 0;
+
+  for (const file of images) {
+    const truth = expectedAngle(file, expected);
+    let result;
+    try {
+      result = await analyse(file);
+    } catch (err) {
+      addRow([file.name, '--', 'unreadable', '--', '--', '--'], true);
+      continue;
+    }
+
+    const detected = result.angle === null ? 'none' : result.angle.toFixed(2);
+    let error = '--';
+    let failed = false;
+    if (truth !== null && result.angle !== null) {
+      const diff = result.angle - truth;
+      errors.push(Math.abs(diff));
+      error = diff.toFixed(2);
+      failed = Math.abs(diff) > PASS_ERROR_DEG;
+    } else if (truth !== null) {
+      missed++;
+      failed = true;
+    }
+    confidenceSum += result.confidence;
+
+    addRow([
+      file.name,
+      truth === null ? '--' : truth.toFixed(2),
+      detected,
+      error,
+      Math.round(result.confidence * 100) + '%',
+      result.ms.toFixed(1),
+    ], failed);
+  }
+
+  const mean = errors.length ? errors.reduce((a, b) => a + b, 0) / errors.length : null;
+  const within = errors.filter(e => e <= PASS_ERROR_DEG).length;
+  dom.summary.textContent = [
+    images.length + ' images',
+    mean === null ? 'no known angles' : 'mean abs error ' + mean.toFixed(2) + '\u00B0',
+    within + '/' + errors.length + ' within ' + PASS_ERROR_DEG + '\u00B0',
+    missed ? missed + ' with no horizon found' : '',
+    'mean confidence ' + Math.round(confidenceSum / images.length * 100) + '%',
+  ].filter(Boolean).join(' \u00B7 ');
+}
+
+dom.folder.addEventListener('change', (e) => {
+  if (e.target.files.length) runFolder(e.target.files);
+});
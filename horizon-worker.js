@@ -0,0 +1,17 @@
+/**
+ * GyroCam — horizon detection worker
+ *
+ * Runs detectHorizon off the main thread. Loaded as a module worker by
+ * gyrocam.js, one frame at a time:
+ *
+ *   in:   { id, width, height, buffer }   RGBA pixels, buffer transferred
+ *   out:  { id, angle, confidence, offset }
+ */
+
+import { detectHorizon } from './horizon.js';
+
+self.addEventListener('message', (event) => {
+  const { id, width, height, buffer } = event.data;
+  const result = detectHorizon(new Uint8ClampedArray(buffer), width, height);
+  self.postMessage(Object.assign({ id }, result));
+});
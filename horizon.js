@@ -0,0 +1,204 @@
+/**
+ * GyroCam — vision horizon detector
+ *
+ * Finds the dominant near-horizontal line in a small RGBA frame and reports
+ * its angle. No DOM access, so it runs unchanged in the detection worker
+ * (horizon-worker.js) and in the still-image test page (horizon-test.html).
+ *
+ * Pipeline:
+ *   1. Luma, then Sobel gradients. Pixels whose gradient magnitude clears
+ *      EDGE_MIN_MAGNITUDE are edges.
+ *   2. Orientation-restricted Hough transform. An edge's gradient gives
+ *      its own line direction, so it only votes for lines within
+ *      VOTE_SPREAD_DEG of that direction, weighted by magnitude. Lines
+ *      steeper than MAX_ANGLE_DEG are not horizon candidates.
+ *   3. The strongest (angle, offset) cell picks the line; a weighted total
+ *      least-squares fit through its inliers refines the angle below the
+ *      Hough bin size.
+ *
+ * Angles are degrees, clockwise positive in image coordinates (y down): a
+ * line falling to the right is positive. Rotating the frame by −angle
+ * levels it, the same convention as GyroCam's corrected tilt.
+ *
+ * Confidence (0–1) grows with the line's share of all edge energy and with
+ * how much of the frame width it spans; a short or crowded line scores low.
+ */
+
+export const ANALYSIS_WIDTH = 160;   // Frames are scaled to this width before detection
+
+const MAX_ANGLE_DEG = 45;            // Steepest line considered a horizon
+const ANGLE_STEP_DEG = 0.5;          // Hough angle bin
+const VOTE_SPREAD_DEG = 3;           // Angles either side of an edge's own direction it votes for
+const EDGE_MIN_MAGNITUDE = 0.25;     // Sobel magnitude (luma 0–1) of a ~6% contrast step
+const INLIER_DISTANCE_PX = 1.5;      // Distance from the peak line that still counts as on it
+const MIN_INLIERS = 12;
+const FULL_SUPPORT = 0.15;           // Share of edge energy that earns full confidence
+
+const DEG = Math.PI / 180;
+
+/**
+ * Detects the horizon in `rgba` (width × height × 4 bytes, e.g.
+ * ImageData.data). Returns { angle, confidence, offset }; offset is the
+ * line's distance below the frame centre as a fraction of the height.
+ * With no usable line the angle is null and confidence 0.
+ */
+export function detectHorizon(rgba, width, height) {
+  const none = { angle: null, confidence: 0, offset: null };
+  if (width < 3 || height < 3) return none;
+
+  const edges = findEdges(rgba, width, height);
+  if (edges.count < MIN_INLIERS) return none;
+
+  const peak = houghPeak(edges, width, height);
+  if (!peak) return none;
+
+  return fitLine(edges, peak, width, height) || none;
+}
+
+/** Sobel edges as parallel arrays: position, own line angle (degrees), magnitude. */
+function findEdges(rgba, width, height) {
+  const luma = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = (0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2]) / 255;
+  }
+
+  const capacity = (width - 2) * (height - 2);
+  const xs = new Float32Array(capacity);
+  const ys = new Float32Array(capacity);
+  const angles = new Float32Array(capacity);
+  const weights = new Float32Array(capacity);
+  let count = 0;
+  let totalWeight = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = luma[i - width - 1], t = luma[i - width], tr = luma[i - width + 1];
+      const l = luma[i - 1], r = luma[i + 1];
+      const bl = luma[i + width - 1], b = luma[i + width], br = luma[i + width + 1];
+      const gx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      const gy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+      const magnitude = Math.hypot(gx, gy);
+      if (magnitude < EDGE_MIN_MAGNITUDE) continue;
+
+      // The line runs perpendicular to the gradient; fold into (−90°, 90°]
+      let angle = Math.atan2(-gx, gy) / DEG;
+      if (angle > 90) angle -= 180;
+      else if (angle <= -90) angle += 180;
+
+      totalWeight += magnitude;
+      if (Math.abs(angle) > MAX_ANGLE_DEG + VOTE_SPREAD_DEG) continue;
+
+      xs[count] = x;
+      ys[count] = y;
+      angles[count] = angle;
+      weights[count] = magnitude;
+      count++;
+    }
+  }
+
+  return { xs, ys, angles, weights, count, totalWeight };
+}
+
+/**
+ * Accumulates votes over (angle, ρ), ρ being the signed distance of the
+ * line from the frame centre along its normal (−sin θ, cos θ).
+ */
+function houghPeak(edges, width, height) {
+  const angleBins = Math.round(2 * MAX_ANGLE_DEG / ANGLE_STEP_DEG) + 1;
+  const rhoMax = Math.ceil(Math.hypot(width, height) / 2);
+  const rhoBins = 2 * rhoMax + 1;
+  const votes = new Float32Array(angleBins * rhoBins);
+  const sin = new Float32Array(angleBins);
+  const cos = new Float32Array(angleBins);
+  for (let k = 0; k < angleBins; k++) {
+    const theta = (-MAX_ANGLE_DEG + k * ANGLE_STEP_DEG) * DEG;
+    sin[k] = Math.sin(theta);
+    cos[k] = Math.cos(theta);
+  }
+
+  const cx = width / 2;
+  const cy = height / 2;
+  const spread = Math.round(VOTE_SPREAD_DEG / ANGLE_STEP_DEG);
+
+  for (let e = 0; e < edges.count; e++) {
+    const dx = edges.xs[e] - cx;
+    const dy = edges.ys[e] - cy;
+    const center = Math.round((edges.angles[e] + MAX_ANGLE_DEG) / ANGLE_STEP_DEG);
+    const from = Math.max(0, center - spread);
+    const to = Math.min(angleBins - 1, center + spread);
+    for (let k = from; k <= to; k++) {
+      const rho = Math.round(-dx * sin[k] + dy * cos[k]) + rhoMax;
+      votes[k * rhoBins + rho] += edges.weights[e];
+    }
+  }
+
+  let best = -1;
+  let bestVotes = 0;
+  for (let i = 0; i < votes.length; i++) {
+    if (votes[i] > bestVotes) {
+      bestVotes = votes[i];
+      best = i;
+    }
+  }
+  if (best < 0) return null;
+
+  const k = Math.floor(best / rhoBins);
+  return {
+    angle: -MAX_ANGLE_DEG + k * ANGLE_STEP_DEG,
+    rho: (best % rhoBins) - rhoMax,
+  };
+}
+
+/** Refines the peak with a weighted total least-squares fit and scores it. */
+function fitLine(edges, peak, width, height) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const sinP = Math.sin(peak.angle * DEG);
+  const cosP = Math.cos(peak.angle * DEG);
+
+  const inliers = [];
+  let sum = 0, mx = 0, my = 0;
+  for (let e = 0; e < edges.count; e++) {
+    const dx = edges.xs[e] - cx;
+    const dy = edges.ys[e] - cy;
+    if (Math.abs(-dx * sinP + dy * cosP - peak.rho) > INLIER_DISTANCE_PX) continue;
+    if (Math.abs(edges.angles[e] - peak.angle) > VOTE_SPREAD_DEG) continue;
+    const w = edges.weights[e];
+    inliers.push(e);
+    sum += w;
+    mx += w * dx;
+    my += w * dy;
+  }
+  if (inliers.length < MIN_INLIERS) return null;
+  mx /= sum;
+  my /= sum;
+
+  let sxx = 0, syy = 0, sxy = 0;
+  for (const e of inliers) {
+    const w = edges.weights[e];
+    const dx = edges.xs[e] - cx - mx;
+    const dy = edges.ys[e] - cy - my;
+    sxx += w * dx * dx;
+    syy += w * dy * dy;
+    sxy += w * dx * dy;
+  }
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy) / DEG;
+  const sinA = Math.sin(angle * DEG);
+  const cosA = Math.cos(angle * DEG);
+
+  // How much of the frame width the line actually covers
+  let min = Infinity, max = -Infinity;
+  for (const e of inliers) {
+    const along = (edges.xs[e] - cx) * cosA + (edges.ys[e] - cy) * sinA;
+    min = Math.min(min, along);
+    max = Math.max(max, along);
+  }
+  const extent = Math.min(1, (max - min) * cosA / width);
+  const support = Math.min(1, sum / edges.totalWeight / FULL_SUPPORT);
+
+  // Offset of the fitted line at the frame's vertical centre line
+  const offset = (my - mx * sinA / cosA) / height;
+
+  return { angle, confidence: extent * support, offset };
+}
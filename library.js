@@ -0,0 +1,247 @@
+/**
+ * GyroCam — clip library storage
+ *
+ * Keeps finished recordings on the device instead of downloading each one.
+ * Metadata lives in IndexedDB; the video itself goes to the Origin Private
+ * File System when the page can write there, otherwise into IndexedDB as a
+ * Blob:
+ *
+ *   IndexedDB 'gyrocam-library'
+ *     clips      { id, name, createdAt, mimeType, size, duration, width,
+ *                  height, fps, audio, tilt, settings, timelapse,
+ *                  codec, thumbnail, store }
+ *     videos     { id, blob }       only for clips with store 'idb'
+ *     sidecars   { id, sidecar }    gyro log captured with the clip
+ *   OPFS
+ *     clips/<file or id>            the video, for store 'opfs' (an
+ *                                   edited clip gets a new file name)
+ *
+ * No DOM access. Usage:
+ *   const library = await openLibrary();
+ *   const clip = await library.add({ name, mimeType, … }, videoBlob, sidecar);
+ *   const blob = await library.getVideo(clip.id);
+ *
+ * Writes that run out of quota reject with the browser's
+ * QuotaExceededError and leave nothing half-stored behind.
+ */
+
+const DB_NAME = 'gyrocam-library';
+const DB_VERSION = 1;
+const STORES = ['clips', 'videos', 'sidecars'];
+const OPFS_DIRECTORY = 'clips';
+
+// ─── IndexedDB Helpers ───────────────────────────────────────────
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const name of STORES) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('The clip library is being upgraded in another tab.'));
+  });
+}
+
+/**
+ * Runs `work(tx)` in one transaction and resolves with the result of the
+ * request it returns (if any) once the transaction has committed. `work`
+ * must issue its requests synchronously.
+ */
+function transaction(db, names, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Clip library transaction aborted.'));
+  });
+}
+
+// ─── Origin Private File System ──────────────────────────────────
+
+/** The clips directory, or null when the page can't write OPFS files. */
+async function openClipDirectory() {
+  const writable = typeof FileSystemFileHandle !== 'undefined' &&
+    'createWritable' in FileSystemFileHandle.prototype;
+  if (!writable || !navigator.storage || !navigator.storage.getDirectory) return null;
+
+  try {
+    const root = await navigator.storage.getDirectory();
+    return await root.getDirectoryHandle(OPFS_DIRECTORY, { create: true });
+  } catch (err) {
+    return null;
+  }
+}
+
+async function writeFile(directory, name, blob) {
+  const handle = await directory.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(blob);
+    await writable.close();
+  } catch (err) {
+    await writable.abort().catch(() => {});
+    await directory.removeEntry(name).catch(() => {});
+    throw err;
+  }
+}
+
+// ─── Library ─────────────────────────────────────────────────────
+
+function newId() {
+  if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Opens (creating on first use) the library. Rejects when IndexedDB is
+ * unavailable, e.g. in some private browsing modes.
+ */
+export async function openLibrary() {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not available.');
+  }
+  const db = await openDatabase();
+  const directory = await openClipDirectory();
+
+  /** All clips, newest first. */
+  async function list() {
+    const clips = await transaction(db, ['clips'], 'readonly', (tx) => tx.objectStore('clips').getAll());
+    return clips.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function get(id) {
+    const clip = await transaction(db, ['clips'], 'readonly', (tx) => tx.objectStore('clips').get(id));
+    if (!clip) throw new Error('Clip not found.');
+    return clip;
+  }
+
+  /** The clip's video as a Blob of its own mime type. */
+  async function getVideo(id) {
+    const clip = await get(id);
+    if (clip.store === 'opfs') {
+      const handle = await directory.getFileHandle(clip.file || id);
+      const file = await handle.getFile();
+      return new Blob([file], { type: clip.mimeType });
+    }
+    const entry = await transaction(db, ['videos'], 'readonly', (tx) => tx.objectStore('videos').get(id));
+    if (!entry) throw new Error('Clip video not found.');
+    return entry.blob;
+  }
+
+  /** The sidecar captured with the clip, or null. */
+  async function getSidecar(id) {
+    const entry = await transaction(db, ['sidecars'], 'readonly', (tx) => tx.objectStore('sidecars').get(id));
+    return entry ? entry.sidecar : null;
+  }
+
+  /** Stores a new clip; resolves with its metadata record. */
+  async function add(meta, blob, sidecar) {
+    const clip = Object.assign({ id: newId(), createdAt: new Date().toISOString() }, meta, {
+      mimeType: blob.type || meta.mimeType,
+      size: blob.size,
+      store: directory ? 'opfs' : 'idb',
+    });
+    await putClip(clip, blob, sidecar);
+    return clip;
+  }
+
+  /** Renames or otherwise updates metadata; resolves with the new record. */
+  async function update(id, changes) {
+    const clip = Object.assign(await get(id), changes, { id });
+    await transaction(db, ['clips'], 'readwrite', (tx) => tx.objectStore('clips').put(clip));
+    return clip;
+  }
+
+  /**
+   * Swaps the clip's video (and sidecar) for an edited one, e.g. after a
+   * trim. The old video is only dropped once the new one is stored.
+   */
+  async function replaceVideo(id, blob, changes, sidecar) {
+    const previous = await get(id);
+    const clip = Object.assign({}, previous, changes, {
+      id,
+      mimeType: blob.type || previous.mimeType,
+      size: blob.size,
+      store: directory ? 'opfs' : 'idb',
+    });
+
+    // Written under a new name first so a failed write keeps the original
+    const oldFile = previous.store === 'opfs' ? (previous.file || id) : null;
+    if (directory) clip.file = newId();
+    await putClip(clip, blob, sidecar);
+    if (oldFile) {
+      await directory.removeEntry(oldFile).catch(() => {});
+    }
+    return clip;
+  }
+
+  async function remove(id) {
+    const clip = await get(id);
+    await transaction(db, STORES, 'readwrite', (tx) => {
+      for (const name of STORES) tx.objectStore(name).delete(id);
+    });
+    if (clip.store === 'opfs') {
+      await directory.removeEntry(clip.file || id).catch(() => {});
+    }
+  }
+
+  /** { usage, quota } in bytes for the whole origin, or null if unknown. */
+  async function usage() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    try {
+      const { usage: used, quota } = await navigator.storage.estimate();
+      return { usage: used || 0, quota: quota || 0 };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Asks the browser not to evict the library under storage pressure.
+   * Resolves true when storage is (now) persistent.
+   */
+  async function persist() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    try {
+      return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async function putClip(clip, blob, sidecar) {
+    if (directory) {
+      await writeFile(directory, clip.file || clip.id, blob);
+    }
+    try {
+      await transaction(db, STORES, 'readwrite', (tx) => {
+        if (directory) {
+          tx.objectStore('videos').delete(clip.id);
+        } else {
+          tx.objectStore('videos').put({ id: clip.id, blob });
+        }
+        if (sidecar) {
+          tx.objectStore('sidecars').put({ id: clip.id, sidecar });
+        } else {
+          tx.objectStore('sidecars').delete(clip.id);
+        }
+        return tx.objectStore('clips').put(clip);
+      });
+    } catch (err) {
+      if (directory) {
+        await directory.removeEntry(clip.file || clip.id).catch(() => {});
+      }
+      throw err;
+    }
+  }
+
+  return { list, get, getVideo, getSidecar, add, update, replaceVideo, remove, usage, persist };
+}
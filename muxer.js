@@ -0,0 +1,643 @@
+/**
+ * GyroCam — MP4 / WebM muxers for WebCodecs output
+ *
+ * Minimal, video-only containers for the EncodedVideoChunks a VideoEncoder
+ * produces. Both muxers keep every chunk until finalize() lays the file
+ * out, when all sizes are known:
+ *
+ *   MP4   ftyp · moov · mdat, H.264 in 'avc1' with the encoder's avcC.
+ *         moov comes first so the file plays and seeks before it has fully
+ *         downloaded (no "faststart" pass needed). Clips of 4 GiB or
+ *         more get a 64-bit mdat size, so an unsplit recording stays valid.
+ *   WebM  EBML header · Segment { Info · Tracks · Cues · Clusters }, VP8 or
+ *         VP9 in SimpleBlocks. A new cluster starts at every keyframe; the
+ *         cues point at them so players can seek.
+ *
+ * Chunk bytes don't stay in the JS heap: they are moved into Blobs as the
+ * clip grows (see Chunk Spool), the way MediaRecorder hands over its data,
+ * so long recordings don't exhaust memory.
+ *
+ * Usage:
+ *   const muxer = createMp4Muxer({ width, height });
+ *   encoder = new VideoEncoder({ output: (chunk, meta) => muxer.addChunk(chunk, meta), … });
+ *   …
+ *   await encoder.flush();
+ *   const blob = muxer.finalize();
+ *
+ * Chunk timestamps are in microseconds (WebCodecs); the first chunk is
+ * treated as time zero. readMuxedFile() indexes a finished file again, so
+ * a clip can be trimmed by re-encoding only the frames it keeps.
+ */
+
+// ─── Byte Helpers ────────────────────────────────────────────────
+
+function concatBytes(parts) {
+  let length = 0;
+  for (const part of parts) length += part.length;
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function u8(value) {
+  return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+  return Uint8Array.of((value >>> 8) & 0xff, value & 0xff);
+}
+
+function u32(value) {
+  return Uint8Array.of((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function u64(value) {
+  const high = Math.floor(value / 2 ** 32);
+  return concatBytes([u32(high), u32(value - high * 2 ** 32)]);
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0) & 0x7f);
+}
+
+function zeros(length) {
+  return new Uint8Array(length);
+}
+
+function chunkBytes(chunk) {
+  const data = new Uint8Array(chunk.byteLength);
+  chunk.copyTo(data);
+  return data;
+}
+
+// ─── Chunk Spool ─────────────────────────────────────────────────
+
+const FLUSH_BYTES = 4 * 1024 * 1024; // Buffered chunk data moved into a Blob at this size
+
+/**
+ * Chunk data in arrival order. Recent chunks are held as byte arrays;
+ * every FLUSH_BYTES they are copied into one Blob and dropped, leaving the
+ * data to the browser's Blob storage (which can keep it on disk).
+ */
+function createSpool() {
+  const blobs = [];
+  let pending = [];
+  let pendingBytes = 0;
+
+  function push(bytes) {
+    pending.push(bytes);
+    pendingBytes += bytes.length;
+    if (pendingBytes >= FLUSH_BYTES) flush();
+  }
+
+  function flush() {
+    if (!pending.length) return;
+    blobs.push(new Blob(pending));
+    pending = [];
+    pendingBytes = 0;
+  }
+
+  /** Everything pushed so far, as Blob parts. */
+  function parts() {
+    flush();
+    return blobs.slice();
+  }
+
+  return { push, flush, parts };
+}
+
+// ─── MP4 Muxer ───────────────────────────────────────────────────
+
+const MP4_TIMESCALE = 90000;   // Media timescale (ticks per second), the usual for video
+const MOVIE_TIMESCALE = 1000;  // Movie header timescale (ms)
+const MAX_U32 = 0xffffffff;    // Past this, mdat needs a 64-bit size and offsets co64
+
+// Unity transformation matrix used by mvhd and tkhd
+const MP4_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function box(type, ...payload) {
+  const body = concatBytes(payload);
+  return concatBytes([u32(body.length + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+  return box(type, u8(version), u8(flags >>> 16), u16(flags & 0xffff), ...payload);
+}
+
+function matrixBytes() {
+  return concatBytes(MP4_MATRIX.map(u32));
+}
+
+/**
+ * H.264 in MP4. The encoder must be configured with avc: { format: 'avc' }
+ * so its first output carries the avcC record in decoderConfig.description.
+ */
+export function createMp4Muxer({ width, height }) {
+  const samples = [];         // { size, time, key } — time in µs
+  const mdat = createSpool(); // Sample data, in the order mdat stores it
+  let description = null;
+
+  function addChunk(chunk, metadata) {
+    const config = metadata && metadata.decoderConfig;
+    if (config && config.description) {
+      const d = config.description;
+      description = ArrayBuffer.isView(d)
+        ? new Uint8Array(d.buffer, d.byteOffset, d.byteLength).slice()
+        : new Uint8Array(d).slice();
+    }
+    const data = chunkBytes(chunk);
+    mdat.push(data);
+    samples.push({ size: data.length, time: chunk.timestamp, key: chunk.type === 'key' });
+  }
+
+  /** Per-sample durations in media ticks; the last repeats the one before it. */
+  function sampleDeltas() {
+    const t0 = samples[0].time;
+    const ticks = samples.map((s) => Math.round((s.time - t0) * MP4_TIMESCALE / 1e6));
+    const deltas = [];
+    for (let i = 0; i < ticks.length - 1; i++) {
+      deltas.push(Math.max(1, ticks[i + 1] - ticks[i]));
+    }
+    deltas.push(deltas.length ? deltas[deltas.length - 1] : Math.round(MP4_TIMESCALE / 30));
+    return deltas;
+  }
+
+  function sampleTable(deltas, chunkOffset, large) {
+    // stts: run-length encoded durations
+    const runs = [];
+    for (const delta of deltas) {
+      const last = runs[runs.length - 1];
+      if (last && last.delta === delta) last.count++;
+      else runs.push({ count: 1, delta });
+    }
+    const stts = fullBox('stts', 0, 0, u32(runs.length),
+      ...runs.map((run) => concatBytes([u32(run.count), u32(run.delta)])));
+
+    const keyNumbers = [];
+    samples.forEach((s, i) => { if (s.key) keyNumbers.push(i + 1); });
+    const stss = fullBox('stss', 0, 0, u32(keyNumbers.length), ...keyNumbers.map(u32));
+
+    // Every sample lives in one chunk: the whole mdat payload
+    const stsc = fullBox('stsc', 0, 0, u32(1), u32(1), u32(samples.length), u32(1));
+    const stsz = fullBox('stsz', 0, 0, u32(0), u32(samples.length), ...samples.map((s) => u32(s.size)));
+    const stco = large
+      ? fullBox('co64', 0, 0, u32(1), u64(chunkOffset))
+      : fullBox('stco', 0, 0, u32(1), u32(chunkOffset));
+
+    const avc1 = box('avc1',
+      zeros(6), u16(1),                 // reserved, data_reference_index
+      zeros(16),                        // pre_defined / reserved
+      u16(width), u16(height),
+      u32(0x00480000), u32(0x00480000), // 72 dpi
+      zeros(4), u16(1),                 // reserved, frame_count
+      zeros(32),                        // compressorname
+      u16(0x0018), u16(0xffff),         // depth, pre_defined
+      box('avcC', description)
+    );
+    const stsd = fullBox('stsd', 0, 0, u32(1), avc1);
+
+    return box('stbl', stsd, stts, stss, stsc, stsz, stco);
+  }
+
+  function moovBox(deltas, chunkOffset, large) {
+    const mediaDuration = deltas.reduce((sum, d) => sum + d, 0);
+    const movieDuration = Math.round(mediaDuration * MOVIE_TIMESCALE / MP4_TIMESCALE);
+
+    const mvhd = fullBox('mvhd', 0, 0,
+      u32(0), u32(0), u32(MOVIE_TIMESCALE), u32(movieDuration),
+      u32(0x00010000), u16(0x0100), zeros(10), // rate 1.0, volume 1.0, reserved
+      matrixBytes(), zeros(24), u32(2)         // pre_defined, next_track_ID
+    );
+
+    const tkhd = fullBox('tkhd', 0, 0x000003,  // enabled, in movie
+      u32(0), u32(0), u32(1), zeros(4), u32(movieDuration),
+      zeros(8), u16(0), u16(0), u16(0), zeros(2), // reserved, layer, group, volume, reserved
+      matrixBytes(), u32(width << 16), u32(height << 16)
+    );
+
+    const mdhd = fullBox('mdhd', 0, 0,
+      u32(0), u32(0), u32(MP4_TIMESCALE), u32(mediaDuration), u16(0x55c4), u16(0) // language 'und'
+    );
+    const hdlr = fullBox('hdlr', 0, 0, u32(0), ascii('vide'), zeros(12), ascii('VideoHandler'), u8(0));
+    const vmhd = fullBox('vmhd', 0, 1, zeros(8));
+    const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+    const minf = box('minf', vmhd, dinf, sampleTable(deltas, chunkOffset, large));
+
+    return box('moov', mvhd, box('trak', tkhd, box('mdia', mdhd, hdlr, minf)));
+  }
+
+  function finalize() {
+    if (samples.length === 0 || !description) {
+      return new Blob([], { type: 'video/mp4' });
+    }
+
+    const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii('avc1'), ascii('mp41'));
+    const deltas = sampleDeltas();
+
+    let payload = 0;
+    for (const s of samples) payload += s.size;
+
+    // Files of 4 GiB or more get a 64-bit mdat size ('largesize') and co64
+    const large = payload + 8 > MAX_U32;
+    const mdatHeader = large ? 16 : 8;
+    const mdatLength = payload + mdatHeader;
+
+    // moov's size doesn't depend on the offset it stores, so measure first
+    const sizing = moovBox(deltas, 0, large);
+    const moov = moovBox(deltas, ftyp.length + sizing.length + mdatHeader, large);
+
+    const header = large
+      ? [u32(1), ascii('mdat'), u64(mdatLength)]
+      : [u32(mdatLength), ascii('mdat')];
+    return new Blob([ftyp, moov, ...header, ...mdat.parts()], { type: 'video/mp4' });
+  }
+
+  return { addChunk, finalize };
+}
+
+// ─── WebM Muxer ──────────────────────────────────────────────────
+
+const WEBM_TIMECODE_SCALE = 1000000; // ns per timecode tick (1 ms)
+const MAX_BLOCK_OFFSET_MS = 32767;   // SimpleBlock timecodes are int16 relative to the cluster
+
+const EBML = {
+  Header: 0x1a45dfa3,
+  Version: 0x4286,
+  ReadVersion: 0x42f7,
+  MaxIDLength: 0x42f2,
+  MaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+function ebmlId(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Uint8Array.from(bytes);
+}
+
+/** Element size as an EBML variable-length integer, in as few bytes as fit. */
+function ebmlSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let v = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = v & 0xff;
+    v = Math.floor(v / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+/** Unsigned integer, big-endian; `width` pads it to a fixed number of bytes. */
+function ebmlUint(value, width) {
+  const bytes = [];
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  while (bytes.length < (width || 1)) bytes.unshift(0);
+  return Uint8Array.from(bytes);
+}
+
+function ebmlFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function element(id, ...payload) {
+  const body = concatBytes(payload);
+  return concatBytes([ebmlId(id), ebmlSize(body.length), body]);
+}
+
+const WEBM_CODECS = {
+  vp8: 'V_VP8',
+  vp9: 'V_VP9',
+};
+
+/** VP8 or VP9 in WebM. `codec` is 'vp8' | 'vp9'. */
+export function createWebmMuxer({ width, height, codec }) {
+  const codecId = WEBM_CODECS[codec];
+  if (!codecId) {
+    throw new TypeError('createWebmMuxer: unsupported codec ' + codec);
+  }
+  const times = [];           // Frame timestamps in µs
+  const clusters = [];        // { time, size, blocks } — time in ms, blocks a spool of SimpleBlocks
+  let current = null;
+
+  /** Frames go into clusters as they arrive: one per keyframe, split if int16 would overflow. */
+  function addChunk(chunk) {
+    const t0 = times.length ? times[0] : chunk.timestamp;
+    const ms = Math.round((chunk.timestamp - t0) / 1000);
+    const key = chunk.type === 'key';
+    if (!current || key || ms - current.time > MAX_BLOCK_OFFSET_MS) {
+      if (current) current.blocks.flush(); // Finished: out of the heap
+      current = { time: ms, size: 0, blocks: createSpool() };
+      clusters.push(current);
+    }
+    const header = concatBytes([
+      u8(0x81),                              // track number 1 as a vint
+      u16((ms - current.time) & 0xffff),     // timecode relative to the cluster
+      u8(key ? 0x80 : 0x00),                 // keyframe flag
+    ]);
+    const block = element(EBML.SimpleBlock, header, chunkBytes(chunk));
+    current.blocks.push(block);
+    current.size += block.length;
+    times.push(chunk.timestamp);
+  }
+
+  /** Each cluster as Blob parts, with its total length. */
+  function buildClusters() {
+    return clusters.map((cluster) => {
+      const timecode = element(EBML.Timecode, ebmlUint(cluster.time));
+      const size = timecode.length + cluster.size;
+      const head = concatBytes([ebmlId(EBML.Cluster), ebmlSize(size), timecode]);
+      return {
+        time: cluster.time,
+        parts: [head, ...cluster.blocks.parts()],
+        length: head.length + cluster.size,
+      };
+    });
+  }
+
+  /** Cues with fixed-width positions, so their size is known before the positions are. */
+  function cuesElement(clusters, firstClusterPosition) {
+    let position = firstClusterPosition;
+    const points = clusters.map((cluster) => {
+      const point = element(EBML.CuePoint,
+        element(EBML.CueTime, ebmlUint(cluster.time)),
+        element(EBML.CueTrackPositions,
+          element(EBML.CueTrack, ebmlUint(1)),
+          element(EBML.CueClusterPosition, ebmlUint(position, 8))
+        )
+      );
+      position += cluster.length;
+      return point;
+    });
+    return element(EBML.Cues, ...points);
+  }
+
+  function finalize() {
+    if (times.length === 0) {
+      return new Blob([], { type: 'video/webm' });
+    }
+
+    const header = element(EBML.Header,
+      element(EBML.Version, ebmlUint(1)),
+      element(EBML.ReadVersion, ebmlUint(1)),
+      element(EBML.MaxIDLength, ebmlUint(4)),
+      element(EBML.MaxSizeLength, ebmlUint(8)),
+      element(EBML.DocType, ascii('webm')),
+      element(EBML.DocTypeVersion, ebmlUint(2)),
+      element(EBML.DocTypeReadVersion, ebmlUint(2))
+    );
+
+    const built = buildClusters();
+    const last = times[times.length - 1];
+    const frameMs = times.length > 1
+      ? (last - times[times.length - 2]) / 1000
+      : 0;
+    const durationMs = (last - times[0]) / 1000 + frameMs;
+
+    const info = element(EBML.Info,
+      element(EBML.TimecodeScale, ebmlUint(WEBM_TIMECODE_SCALE)),
+      element(EBML.MuxingApp, ascii('GyroCam')),
+      element(EBML.WritingApp, ascii('GyroCam')),
+      element(EBML.Duration, ebmlFloat(durationMs))
+    );
+
+    const tracks = element(EBML.Tracks,
+      element(EBML.TrackEntry,
+        element(EBML.TrackNumber, ebmlUint(1)),
+        element(EBML.TrackUID, ebmlUint(1)),
+        element(EBML.TrackType, ebmlUint(1)),  // video
+        element(EBML.CodecID, ascii(codecId)),
+        element(EBML.Video,
+          element(EBML.PixelWidth, ebmlUint(width)),
+          element(EBML.PixelHeight, ebmlUint(height))
+        )
+      )
+    );
+
+    // Cluster positions are relative to the start of the Segment's payload
+    const sizing = cuesElement(built, 0);
+    const cues = cuesElement(built, info.length + tracks.length + sizing.length);
+
+    let segmentLength = info.length + tracks.length + cues.length;
+    for (const cluster of built) segmentLength += cluster.length;
+
+    return new Blob(
+      [header, ebmlId(EBML.Segment), ebmlSize(segmentLength), info, tracks, cues, ...built.flatMap((c) => c.parts)],
+      { type: 'video/webm' }
+    );
+  }
+
+  return { addChunk, finalize };
+}
+
+// ─── Reading Back ────────────────────────────────────────────────
+
+/**
+ * Indexes a file written by createMp4Muxer or createWebmMuxer, so part of
+ * it can be decoded and re-encoded (trimming). This is not a general
+ * demuxer: it relies on the layouts above, moov before a single-chunk mdat
+ * and WebM elements of known size, and rejects anything else.
+ *
+ * Resolves with { container: 'mp4' | 'webm', description, samples }:
+ * `description` is the avcC record (MP4 only), and samples are
+ * { time, key, offset, size } in decode order, time in µs from 0. The
+ * sample data stays in the Blob; readSample() fetches one.
+ */
+export async function readMuxedFile(blob) {
+  const head = await readBytes(blob, 0, 8);
+  if (String.fromCharCode(...head.subarray(4, 8)) === 'ftyp') {
+    return readMp4(blob);
+  }
+  if (head.length >= 4 && readId(head, 0).id === EBML.Header) {
+    return readWebm(blob);
+  }
+  throw new Error('Not a GyroCam recording.');
+}
+
+export function readSample(blob, sample) {
+  return readBytes(blob, sample.offset, sample.offset + sample.size);
+}
+
+async function readBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+function readU32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readU64(bytes, offset) {
+  return readU32(bytes, offset) * 2 ** 32 + readU32(bytes, offset + 4);
+}
+
+/** { start, end } of the payload of the first `type` box in bytes[from, to). */
+function findBox(bytes, from, to, type) {
+  let offset = from;
+  while (offset + 8 <= to) {
+    let size = readU32(bytes, offset);
+    let header = 8;
+    if (size === 1) {
+      size = readU64(bytes, offset + 8);
+      header = 16;
+    }
+    if (size < header || offset + size > to) break;
+    if (String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === type) {
+      return { start: offset + header, end: offset + size };
+    }
+    offset += size;
+  }
+  throw new Error('MP4 has no ' + type + ' box.');
+}
+
+async function readMp4(blob) {
+  const ftypSize = readU32(await readBytes(blob, 0, 4), 0);
+  const moovHead = await readBytes(blob, ftypSize, ftypSize + 8);
+  const moov = await readBytes(blob, ftypSize, ftypSize + readU32(moovHead, 0));
+  const path = (box, ...types) => types.reduce((b, type) => findBox(moov, b.start, b.end, type), box);
+
+  const root = { start: 0, end: moov.length };
+  const mdia = path(root, 'moov', 'trak', 'mdia');
+  const timescale = readU32(moov, path(mdia, 'mdhd').start + 12);
+  const stbl = path(mdia, 'minf', 'stbl');
+
+  // stsd → avc1 (78 bytes of fixed fields) → avcC
+  const avc1 = findBox(moov, path(stbl, 'stsd').start + 8, stbl.end, 'avc1');
+  const avcC = findBox(moov, avc1.start + 78, avc1.end, 'avcC');
+  const description = moov.slice(avcC.start, avcC.end);
+
+  const stts = path(stbl, 'stts');
+  const deltas = [];
+  for (let i = 0, n = readU32(moov, stts.start + 4); i < n; i++) {
+    const entry = stts.start + 8 + i * 8;
+    for (let count = readU32(moov, entry); count > 0; count--) deltas.push(readU32(moov, entry + 4));
+  }
+
+  const stss = path(stbl, 'stss');
+  const keys = new Set();
+  for (let i = 0, n = readU32(moov, stss.start + 4); i < n; i++) keys.add(readU32(moov, stss.start + 8 + i * 4) - 1);
+
+  let chunkOffset;
+  try {
+    chunkOffset = readU32(moov, path(stbl, 'stco').start + 8);
+  } catch (err) {
+    chunkOffset = readU64(moov, path(stbl, 'co64').start + 8);
+  }
+
+  const stsz = path(stbl, 'stsz');
+  const samples = [];
+  let offset = chunkOffset;
+  let ticks = 0;
+  for (let i = 0, n = readU32(moov, stsz.start + 8); i < n; i++) {
+    const size = readU32(moov, stsz.start + 12 + i * 4);
+    samples.push({ time: Math.round(ticks * 1e6 / timescale), key: keys.has(i), offset, size });
+    offset += size;
+    ticks += deltas[i] || 0;
+  }
+  return { container: 'mp4', description, samples };
+}
+
+/** An EBML element ID (marker bits kept) and its length in bytes. */
+function readId(bytes, offset) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 4 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 4) throw new Error('Corrupt WebM element ID.');
+  let id = 0;
+  for (let i = 0; i < length; i++) id = id * 256 + bytes[offset + i];
+  return { id, length };
+}
+
+/** An EBML element size (marker bits removed) and its length in bytes. */
+function readSize(bytes, offset) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) throw new Error('Corrupt WebM element size.');
+  let size = first & (0xff >> length);
+  let unknown = size === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    size = size * 256 + bytes[offset + i];
+    unknown = unknown && bytes[offset + i] === 0xff;
+  }
+  if (unknown) throw new Error('WebM with unknown element sizes is not supported.');
+  return { size, length };
+}
+
+/** { id, start, end } of the element at `offset`, start being its payload. */
+async function readElementHeader(blob, offset) {
+  const bytes = await readBytes(blob, offset, offset + 12);
+  const id = readId(bytes, 0);
+  const size = readSize(bytes, id.length);
+  const start = offset + id.length + size.length;
+  return { id: id.id, start, end: start + size.size };
+}
+
+async function readWebm(blob) {
+  const header = await readElementHeader(blob, 0);
+  const segment = await readElementHeader(blob, header.end);
+  if (segment.id !== EBML.Segment) throw new Error('WebM has no Segment.');
+
+  const samples = [];
+  for (let offset = segment.start; offset < segment.end;) {
+    const child = await readElementHeader(blob, offset);
+    if (child.id === EBML.Cluster) {
+      const cluster = await readBytes(blob, child.start, child.end);
+      let clusterTime = 0;
+      for (let at = 0; at < cluster.length;) {
+        const id = readId(cluster, at);
+        const size = readSize(cluster, at + id.length);
+        const start = at + id.length + size.length;
+        if (id.id === EBML.Timecode) {
+          clusterTime = 0;
+          for (let i = start; i < start + size.size; i++) clusterTime = clusterTime * 256 + cluster[i];
+        } else if (id.id === EBML.SimpleBlock) {
+          // Track vint (always 1 byte here), int16 relative timecode, flags
+          const relative = (cluster[start + 1] << 8 | cluster[start + 2]) << 16 >> 16;
+          samples.push({
+            time: (clusterTime + relative) * 1000,
+            key: (cluster[start + 3] & 0x80) !== 0,
+            offset: child.start + start + 4,
+            size: size.size - 4,
+          });
+        }
+        at = start + size.size;
+      }
+    }
+    offset = child.end;
+  }
+  if (!samples.length) throw new Error('WebM has no frames.');
+  return { container: 'webm', description: null, samples };
+}
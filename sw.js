@@ -0,0 +1,84 @@
+/**
+ * GyroCam — Service Worker
+ *
+ * Caches the app shell so GyroCam starts with no network (field use often
+ * happens with no signal).
+ *
+ * Strategy:
+ *   - install:  precache every file in APP_SHELL into a versioned cache
+ *   - activate: delete caches from older versions
+ *   - fetch:    cache-first for same-origin GETs; page navigations fall back
+ *               to the cached index.html
+ *
+ * Shipping a change: bump CACHE_VERSION. The browser then installs the new
+ * worker alongside the old one and the page shows an "update available"
+ * prompt; accepting it posts SKIP_WAITING and the page reloads.
+ */
+
+const CACHE_VERSION = 'gyrocam-v15';
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css',
+  './script.js',
+  './gyrocam.js',
+  './muxer.js',
+  './library.js',
+  './zip.js',
+  './horizon.js',
+  './horizon-worker.js',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './icons/icon-maskable-512.png',
+  './icons/apple-touch-icon.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    // Bypass the HTTP cache so a new version never precaches stale files
+    caches.open(CACHE_VERSION).then((cache) => cache.addAll(
+      APP_SHELL.map((url) => new Request(url, { cache: 'reload' }))
+    ))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key !== CACHE_VERSION).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Traces, uploads and anything cross-origin go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then((cached) => {
+      if (cached) return cached;
+
+      return fetch(request).catch(() => {
+        if (request.mode === 'navigate') {
+          return caches.match('./index.html');
+        }
+        return Response.error();
+      });
+    })
+  );
+});
@@ -0,0 +1,136 @@
+/**
+ * GyroCam — ZIP archive writer
+ *
+ * Bundles the JPEGs of an interval-stills take into one file, so a long
+ * take is a single download rather than one per still. Entries are stored
+ * uncompressed (JPEG data doesn't deflate any further), and their bytes
+ * stay in the Blobs they arrived in; only the headers are built here.
+ *
+ * Usage:
+ *   const zip = createZipWriter();
+ *   zip.add('still-0001.jpg', jpegBlobOrPromise);
+ *   …
+ *   const blob = await zip.finalize();
+ *
+ * There is no ZIP64: sizes and offsets are 32-bit and the entry count is
+ * 16-bit. Once full() is true, finalize the archive and start another.
+ */
+
+const MAX_ENTRIES = 0xffff;
+const MAX_BYTES = 0xffffffff;
+const HEADROOM_BYTES = 256 * 1024 * 1024; // Room for entries still being added
+const UTF8_NAMES = 0x0800;                 // General purpose flag: names are UTF-8
+const VERSION = 20;                        // 2.0, the version stored entries need
+
+// ─── Byte Helpers ────────────────────────────────────────────────
+
+/** Little-endian fields; `fields` is a list of [value, byteWidth]. */
+function littleEndian(fields) {
+  let length = 0;
+  for (const [, width] of fields) length += width;
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  for (const [value, width] of fields) {
+    if (width === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += width;
+  }
+  return bytes;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS date and time, the only timestamp the base format has. */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// ─── ZIP Writer ──────────────────────────────────────────────────
+
+export function createZipWriter() {
+  const parts = [];   // Local headers and entry data, in file order
+  const entries = []; // { name, crc, size, offset, time, date }
+  let offset = 0;
+  let reserved = 0;   // Entries added, including those still pending
+  let queue = Promise.resolve();
+
+  /**
+   * Appends `blob` (or a Promise of one) as `name`. Entries keep the order
+   * add() was called in. Resolves with the Blob, or null when it was null.
+   */
+  function add(name, blob) {
+    reserved++;
+    const stored = queue.then(() => blob).then(async (data) => {
+      if (!data) return null;
+      const crc = crc32(new Uint8Array(await data.arrayBuffer()));
+      const nameBytes = new TextEncoder().encode(name);
+      const { time, date } = dosDateTime(new Date());
+
+      parts.push(littleEndian([
+        [0x04034b50, 4], [VERSION, 2], [UTF8_NAMES, 2], [0, 2], // signature, version, flags, stored
+        [time, 2], [date, 2], [crc, 4], [data.size, 4], [data.size, 4],
+        [nameBytes.length, 2], [0, 2],
+      ]), nameBytes, data);
+      entries.push({ nameBytes, crc, size: data.size, offset, time, date });
+      offset += 30 + nameBytes.length + data.size;
+      return data;
+    });
+    // A failed entry is left out; later ones still go in
+    queue = stored.catch(() => {});
+    return stored;
+  }
+
+  /** True once another entry might not fit in 32-bit sizes and counts. */
+  function full() {
+    return reserved >= MAX_ENTRIES || offset >= MAX_BYTES - HEADROOM_BYTES;
+  }
+
+  /** Entries stored so far. */
+  function count() {
+    return entries.length;
+  }
+
+  /** Waits for pending entries and returns the archive. */
+  async function finalize() {
+    await queue;
+    const directory = [];
+    let directorySize = 0;
+    for (const entry of entries) {
+      const header = littleEndian([
+        [0x02014b50, 4], [VERSION, 2], [VERSION, 2], [UTF8_NAMES, 2], [0, 2],
+        [entry.time, 2], [entry.date, 2], [entry.crc, 4], [entry.size, 4], [entry.size, 4],
+        [entry.nameBytes.length, 2], [0, 2], [0, 2], // name, extra and comment lengths
+        [0, 2], [0, 2], [0, 4], [entry.offset, 4],   // disk, attributes, local header offset
+      ]);
+      directory.push(header, entry.nameBytes);
+      directorySize += header.length + entry.nameBytes.length;
+    }
+    const end = littleEndian([
+      [0x06054b50, 4], [0, 2], [0, 2], [entries.length, 2], [entries.length, 2],
+      [directorySize, 4], [offset, 4], [0, 2],
+    ]);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  return { add, full, count, finalize };
+}